@@ -1,7 +1,7 @@
 // Loads .env, validates, and exports a typed env object
 const path = require('path');
 const dotenv = require('dotenv');
-const { cleanEnv, str, num } = require('envalid');
+const { cleanEnv, str, num, bool } = require('envalid');
 
 dotenv.config({ path: path.resolve(process.cwd(), '.env') });
 
@@ -23,6 +23,12 @@ const env = cleanEnv(process.env, {
   JWT_EXPIRES_IN: str({ default: '15m' }),
   REFRESH_TOKEN_SECRET: str(),
   REFRESH_TOKEN_EXPIRES_IN: str({ default: '30d' }),
+  // Lifetime of the signed link guests use to view and pay for their order
+  ORDER_ACCESS_TOKEN_EXPIRES_IN: str({ default: '30d' }),
+  // Anonymous carts are purged after this many days without changes
+  GUEST_CART_TTL_DAYS: num({ default: 30 }),
+  // Lifetime of the one-time links product downloads are served through
+  DOWNLOAD_LINK_EXPIRES_IN: str({ default: '5m' }),
 
   REDIS_URL: str({ default: 'redis://localhost:6379' }),
 
@@ -41,14 +47,40 @@ const env = cleanEnv(process.env, {
   STRIPE_SECRET_KEY: str({ devDefault: '' }),
   STRIPE_WEBHOOK_SECRET: str({ devDefault: '' }),
 
+  // Where uploaded files live: 'local' (uploads/) or 's3' (any S3-compatible bucket)
+  STORAGE_DRIVER: str({ choices: ['local', 's3'], default: 'local' }),
+  // Signs /files links of the local driver (JWT_SECRET when empty)
+  STORAGE_SIGNING_SECRET: str({ default: '' }),
   S3_BUCKET: str({ default: '' }),
   S3_REGION: str({ default: '' }),
   S3_ACCESS_KEY_ID: str({ default: '' }),
   S3_SECRET_ACCESS_KEY: str({ default: '' }),
+  // For MinIO, R2 and other S3-compatible services
+  S3_ENDPOINT: str({ default: '' }),
+  S3_FORCE_PATH_STYLE: bool({ default: false }),
+  // Base URL public files are served from, e.g. a CDN in front of the bucket
+  S3_PUBLIC_URL: str({ default: '' }),
 
   RATE_LIMIT_WINDOW_MS: num({ default: 60000 }),
   RATE_LIMIT_MAX: num({ default: 120 }),
 
+  // Unpaid orders release their stock after this many minutes (0 disables the sweeper)
+  ORDER_PAYMENT_TTL_MINUTES: num({ default: 60 }),
+  ORDER_EXPIRY_INTERVAL_MS: num({ default: 5 * 60 * 1000 }),
+  // Days after delivery during which customers can open a return request
+  RETURN_WINDOW_DAYS: num({ default: 30 }),
+  // Open abuse reports after which a published review is hidden until a moderator looks at it
+  REVIEW_REPORT_THRESHOLD: num({ default: 3 }),
+  // Days after delivery before customers are asked to review what they bought (0 = next sweep)
+  REVIEW_REQUEST_DELAY_DAYS: num({ default: 7 }),
+  REVIEW_REQUEST_INTERVAL_MS: num({ default: 15 * 60 * 1000 }), // 0 disables the sender
+  REVIEW_REQUEST_TOKEN_EXPIRES_IN: str({ default: '30d' }),
+
+  // Seller details printed on invoices and credit notes
+  INVOICE_SELLER_NAME: str({ default: 'Jaguza' }),
+  INVOICE_SELLER_ADDRESS: str({ default: '' }),
+  INVOICE_VAT_NUMBER: str({ default: '' }),
+
   // Admin hardening
   ADMIN_ROUTE_KEY: str({ devDefault: 'change-this-admin-key' }),
   ADMIN_RATE_LIMIT_MAX: num({ default: 60 }),
@@ -3,7 +3,34 @@ const User = require('../models/user.model');
 const Product = require('../models/product.model');
 const Category = require('../models/category.model');
 const Order = require('../models/order.model');
+const ImportJob = require('../models/importJob.model');
+const Review = require('../models/review.model');
+const Question = require('../models/question.model');
 const { safeSearchRegex } = require('../utils/regex.utils');
+const {
+  unpaidPendingOrderQuery,
+  getOrderExpiry,
+  orderLineKey,
+  findOrderItem,
+  mergeItemLines,
+  getRefundableTotal,
+  getRefundedAmount,
+  getRefundedQuantities,
+  calculateLineRefund,
+  claimOrderForRefund,
+  releaseOrderRefund,
+  recordRefund,
+  cancelOrder,
+} = require('../utils/order.utils');
+const { actorFromUser, applyOrderTransition } = require('../utils/orderStatus.utils');
+const { createRefund } = require('../utils/payment.utils');
+const { issueCreditNotes, buildInvoiceDocument, buildCreditNoteDocument } = require('../utils/invoice.utils');
+const { FORMATS, writeProductExport } = require('../utils/productSpreadsheet.utils');
+const { enqueueProductImport } = require('../jobs/productImport.job');
+const { removeImageFiles } = require('../utils/productImage.utils');
+const { scheduleReviewRequest } = require('../utils/reviewRequest.utils');
+const { getStorage } = require('../storage');
+const { env } = require('../config/env');
 
 function normalizeCsvishStringArray(value) {
   if (!Array.isArray(value)) return undefined;
@@ -158,6 +185,8 @@ exports.createProduct = asyncHandler(async (req, res) => {
     featured,
     discountPercent,
     promoPrice,
+    promoStartsAt,
+    promoEndsAt,
     minQty,
     maxQty,
     lowStockThreshold,
@@ -175,6 +204,8 @@ exports.createProduct = asyncHandler(async (req, res) => {
     featured: featured !== undefined ? !!featured : undefined,
     discountPercent,
     promoPrice,
+    promoStartsAt,
+    promoEndsAt,
     minQty,
     maxQty,
     lowStockThreshold,
@@ -183,6 +214,44 @@ exports.createProduct = asyncHandler(async (req, res) => {
   res.status(201).json(product);
 });
 
+// Queue a spreadsheet import; rows are upserted by sku (validated only with dryRun)
+exports.importProducts = asyncHandler(async (req, res) => {
+  if (!req.file) return res.status(400).json({ message: 'Upload a .csv or .xlsx file as "file"' });
+  const job = await ImportJob.create({
+    dryRun: !!req.body.dryRun,
+    filename: req.file.originalname,
+    format: req.file.format,
+    createdBy: req.user._id,
+  });
+  enqueueProductImport(job._id, req.file.buffer);
+  res.status(202).json({ message: 'Import queued', job });
+});
+
+exports.listImportJobs = asyncHandler(async (_req, res) => {
+  const jobs = await ImportJob.find().select('-rowErrors').sort('-createdAt').limit(50).lean();
+  res.json({ jobs });
+});
+
+exports.getImportJob = asyncHandler(async (req, res) => {
+  const job = await ImportJob.findById(req.params.jobId).populate('createdBy', 'name email').lean();
+  if (!job) return res.status(404).json({ message: 'Import job not found' });
+  res.json(job);
+});
+
+// Stream the catalog in the import layout
+exports.exportProducts = asyncHandler(async (req, res) => {
+  const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="products-${date}.${format}"`);
+  try {
+    await writeProductExport(res, format);
+  } catch (err) {
+    // Once the file has started, the response can only be cut short, not turned into an error
+    if (!res.headersSent) throw err;
+  }
+});
+
 exports.getProduct = asyncHandler(async (req, res) => {
   const product = await Product.findById(req.params.id).populate('category','name slug');
   if (!product) return res.status(404).json({ message: 'Product not found' });
@@ -192,7 +261,7 @@ exports.getProduct = asyncHandler(async (req, res) => {
 exports.updateProduct = asyncHandler(async (req, res) => {
   const product = await Product.findById(req.params.id);
   if (!product) return res.status(404).json({ message: 'Product not found' });
-  ['name','description','category','price','countInStock','sku','discountPercent','promoPrice','minQty','maxQty','lowStockThreshold','enabled','featured'].forEach(f => {
+  ['name','description','category','price','countInStock','sku','discountPercent','promoPrice','promoStartsAt','promoEndsAt','minQty','maxQty','lowStockThreshold','enabled','featured'].forEach(f => {
     if (req.body[f] !== undefined) product[f] = req.body[f];
   });
   if (req.body.tags !== undefined) product.tags = normalizeCsvishStringArray(req.body.tags);
@@ -200,6 +269,63 @@ exports.updateProduct = asyncHandler(async (req, res) => {
   res.json({ message:'Product updated', product });
 });
 
+// Save a product after variant changes, reporting bad matrices and taken SKUs to the client
+async function saveVariants(product, res) {
+  try {
+    await product.save();
+    return true;
+  } catch (err) {
+    if (err?.name === 'ValidationError') {
+      res.status(400).json({ message: Object.values(err.errors).map(e => e.message).join('; ') });
+      return false;
+    }
+    if (err?.code === 11000) {
+      res.status(409).json({ message: 'Variant SKU is already in use' });
+      return false;
+    }
+    throw err;
+  }
+}
+
+// Replace the option axes and variant matrix; variants sent with their _id keep it,
+// so carts and orders referencing them stay valid.
+exports.setProductVariants = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  if (!product) return res.status(404).json({ message: 'Product not found' });
+
+  const existing = new Set(product.variants.map(v => v._id.toString()));
+  const variants = req.body.variants || [];
+  if (variants.some(v => v._id && !existing.has(String(v._id)))) {
+    return res.status(400).json({ message: 'Unknown variant id' });
+  }
+
+  product.variantOptions = (req.body.options || []).map(o => ({ name: o.name, values: o.values }));
+  product.variants = variants.map(v => ({
+    _id: v._id,
+    sku: v.sku,
+    options: v.options,
+    price: v.price,
+    countInStock: v.countInStock,
+    image: v.image,
+    enabled: v.enabled,
+  }));
+  if (!(await saveVariants(product, res))) return;
+  res.json({ message: 'Product variants updated', product });
+});
+
+exports.updateProductVariant = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  if (!product) return res.status(404).json({ message: 'Product not found' });
+  const variant = product.variants.id(req.params.variantId);
+  if (!variant) return res.status(404).json({ message: 'Variant not found' });
+
+  ['sku','price','countInStock','image','enabled'].forEach(f => {
+    if (req.body[f] !== undefined) variant[f] = req.body[f];
+  });
+  if (!(await saveVariants(product, res))) return;
+  res.json({ message: 'Product variant updated', product });
+});
+
 exports.setProductVisibility = asyncHandler(async (req, res) => {
   const product = await Product.findById(req.params.id);
   if (!product) return res.status(404).json({ message: 'Product not found' });
@@ -219,6 +345,11 @@ exports.setProductFeatured = asyncHandler(async (req, res) => {
 exports.deleteProduct = asyncHandler(async (req, res) => {
   const product = await Product.findByIdAndDelete(req.params.id);
   if (!product) return res.status(404).json({ message: 'Product not found' });
+  await removeImageFiles((product.imageAssets || []).flatMap(a => a.files));
+  const storage = getStorage();
+  await Promise.all((product.downloads || []).filter(d => d.key).map(d => storage.remove(d.key)));
+  await Review.deleteMany({ product: product._id });
+  await Question.deleteMany({ product: product._id });
   res.json({ message: 'Product deleted' });
 });
 
@@ -301,16 +432,56 @@ exports.listOrders = asyncHandler(async (req, res) => {
   res.json({ page, pages: Math.ceil(total/limit), total, orders });
 });
 
+// Unpaid pending orders the expiry sweeper will cancel within the next `withinMinutes`
+exports.listExpiringOrders = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = buildPagination(req);
+  const ttlMinutes = env.ORDER_PAYMENT_TTL_MINUTES;
+  if (!ttlMinutes) {
+    return res.json({ ttlMinutes, withinMinutes: 0, page, pages: 0, total: 0, orders: [] });
+  }
+  const withinMinutes = Math.min(24 * 60, Math.max(1, Number.parseInt(req.query.withinMinutes, 10) || 30));
+  const createdBefore = new Date(Date.now() - (ttlMinutes - withinMinutes) * 60 * 1000);
+  const q = unpaidPendingOrderQuery(createdBefore);
+  const total = await Order.countDocuments(q);
+  const orders = await Order.find(q).populate('user','name email').sort('createdAt').skip(skip).limit(limit).lean();
+  res.json({
+    ttlMinutes,
+    withinMinutes,
+    page,
+    pages: Math.ceil(total/limit),
+    total,
+    orders: orders.map(o => ({ ...o, expiresAt: getOrderExpiry(o.createdAt, ttlMinutes) })),
+  });
+});
+
 exports.getOrder = asyncHandler(async (req, res) => {
   const order = await Order.findById(req.params.id).populate('user','name email');
   if (!order) return res.status(404).json({ message: 'Order not found' });
   res.json(order);
 });
 
+exports.getOrderInvoice = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id).populate('user','name email');
+  if (!order) return res.status(404).json({ message: 'Order not found' });
+  const result = await buildInvoiceDocument(order);
+  if (!result.ok) return res.status(409).json({ message: 'Order has not been paid yet, no invoice is available' });
+  res.type('application/pdf').attachment(result.filename).send(result.pdf);
+});
+
+exports.getOrderCreditNote = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id).populate('user','name email');
+  if (!order) return res.status(404).json({ message: 'Order not found' });
+  const result = await buildCreditNoteDocument(order, req.params.refundId);
+  if (!result.ok) return res.status(404).json({ message: 'Refund not found' });
+  res.type('application/pdf').attachment(result.filename).send(result.pdf);
+});
+
 exports.markDelivered = asyncHandler(async (req, res) => {
   const order = await Order.findById(req.params.id);
   if (!order) return res.status(404).json({ message: 'Order not found' });
-  order.isDelivered = true; order.deliveredAt = new Date();
+  const transition = applyOrderTransition(order, { status: 'delivered', actor: actorFromUser(req.user) });
+  if (!transition.ok) return res.status(409).json({ message: transition.message });
+  scheduleReviewRequest(order);
   await order.save();
   res.json({ message: 'Order marked delivered', order });
 });
@@ -318,12 +489,32 @@ exports.markDelivered = asyncHandler(async (req, res) => {
 exports.updateOrderStatus = asyncHandler(async (req, res) => {
   const order = await Order.findById(req.params.id);
   if (!order) return res.status(404).json({ message: 'Order not found' });
+  const actor = actorFromUser(req.user);
+  const { status, note } = req.body;
+  const wasDelivered = order.status === 'delivered';
 
-  order.status = req.body.status;
-  if (req.body.shippingStatus !== undefined) {
-    order.shipping = order.shipping || {};
-    order.shipping.status = req.body.shippingStatus;
+  // Cancelling and refunding move money and stock, so they go through their own flows.
+  if (status === 'refunded' && order.status !== 'refunded') {
+    return res.status(409).json({ message: 'Use the refunds endpoint to refund an order' });
   }
+  if (status === 'cancelled' && order.status !== 'cancelled') {
+    const result = await cancelOrder(order, { reason: note, message: note || 'Cancelled by admin', actor });
+    if (!result.cancelled) {
+      return result.error === 'payment_void_failed'
+        ? res.status(502).json({ message: 'Payment could not be voided', error: result.message })
+        : res.status(409).json({ message: `Cannot move order from ${order.status} to cancelled` });
+    }
+    return res.json({ message: 'Order updated', order: result.order });
+  }
+
+  const transition = applyOrderTransition(order, {
+    status,
+    shippingStatus: req.body.shippingStatus,
+    actor,
+    message: note,
+  });
+  if (!transition.ok) return res.status(409).json({ message: transition.message });
+  if (!wasDelivered && order.status === 'delivered') scheduleReviewRequest(order);
   if (req.body.trackingNumber !== undefined) {
     order.shipping = order.shipping || {};
     order.shipping.trackingNumber = req.body.trackingNumber;
@@ -332,15 +523,92 @@ exports.updateOrderStatus = asyncHandler(async (req, res) => {
     order.shipping = order.shipping || {};
     order.shipping.courier = req.body.courier;
   }
-  if (req.body.status === 'delivered') {
-    order.isDelivered = true;
-    order.deliveredAt = order.deliveredAt || new Date();
-  }
 
   await order.save();
   res.json({ message: 'Order updated', order });
 });
 
+// Full refund by default; `lines` refunds specific items (prorated), `amount` overrides the figure.
+// The order is claimed first, so a second refund cannot be checked against stale totals.
+exports.createOrderRefund = asyncHandler(async (req, res) => {
+  const order = await claimOrderForRefund(req.params.id);
+  if (!order) {
+    if (!(await Order.exists({ _id: req.params.id }))) return res.status(404).json({ message: 'Order not found' });
+    return res.status(409).json({ message: 'Another refund for this order is being issued' });
+  }
+  try {
+    await issueOrderRefund(req, res, order);
+  } finally {
+    await releaseOrderRefund(order._id);
+  }
+});
+
+async function issueOrderRefund(req, res, order) {
+  if (order.payment?.status !== 'paid' || !order.payment?.intentId) {
+    return res.status(409).json({ message: 'Order has no captured payment to refund' });
+  }
+  const remaining = getRefundableTotal(order) - getRefundedAmount(order);
+  if (remaining <= 0) return res.status(409).json({ message: 'Order has already been fully refunded' });
+
+  const lines = [];
+  let amount = remaining;
+  const requestedLines = mergeItemLines(req.body.lines);
+  if (requestedLines.length) {
+    const refunded = getRefundedQuantities(order);
+    for (const line of requestedLines) {
+      const item = findOrderItem(order, line.productId, line.variantId);
+      if (!item) return res.status(400).json({ message: 'One or more items are not part of this order' });
+      const available = item.qty - (refunded.get(orderLineKey(item.product, item.variant)) || 0);
+      if (line.qty > available) {
+        return res.status(400).json({ message: `Cannot refund more than ${available} of ${item.name}` });
+      }
+      lines.push({ product: item.product, variant: item.variant, qty: line.qty, price: item.price });
+    }
+    const coversRemainingItems = order.orderItems.every(it => {
+      const key = orderLineKey(it.product, it.variant);
+      const line = lines.find(l => orderLineKey(l.product, l.variant) === key);
+      return (refunded.get(key) || 0) + (line?.qty || 0) >= it.qty;
+    });
+    amount = calculateLineRefund(order, lines, { coversRemainingItems });
+  }
+  if (req.body.amount !== undefined) amount = Math.round(Number(req.body.amount) * 100);
+  if (!(amount > 0)) return res.status(400).json({ message: 'Refund amount must be greater than zero' });
+  if (amount > remaining) return res.status(400).json({ message: 'Refund amount exceeds the amount left to refund' });
+
+  let refund;
+  try {
+    refund = await createRefund(order.payment.intentId, amount, {
+      orderId: order.id,
+      reference: `admin:${order.refunds.length}`,
+    });
+  } catch (err) {
+    return res.status(502).json({ message: 'Refund could not be issued', error: err.message });
+  }
+
+  const reason = req.body.reason || undefined;
+  const actor = actorFromUser(req.user);
+  recordRefund(order, {
+    stripeRefundId: refund.id,
+    amount: refund.amount,
+    reason,
+    source: 'admin',
+    lines: lines.map(l => ({ product: l.product, variant: l.variant, qty: l.qty })),
+    createdBy: req.user._id,
+    actor,
+  });
+  order.addTimelineEvent(
+    'refund',
+    `Refunded ${(refund.amount / 100).toFixed(2)}${reason ? `: ${reason}` : ''}`,
+    undefined,
+    actor
+  );
+  await order.save();
+  await issueCreditNotes(order);
+
+  const entry = order.refunds.find(r => r.stripeRefundId === refund.id);
+  res.status(201).json({ message: 'Refund issued', refund: entry, order });
+}
+
 // ANALYTICS
 exports.summary = asyncHandler(async (_req, res) => {
   const [users, products, orders, salesAgg] = await Promise.all([
@@ -3,8 +3,11 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/user.model');
 const RefreshToken = require('../models/refreshToken.model');
+const Order = require('../models/order.model');
 const transporter = require('../config/email.config');
 const { env } = require('../config/env');
+const { claimGuestOrders, unclaimedGuestOrderQuery } = require('../utils/orderAccess.utils');
+const { mergeGuestCart } = require('../utils/guestCart.utils');
 
 // For cross-origin (Netlify ↔ Render), use sameSite: 'none' + secure: true in production
 const isProduction = env.NODE_ENV === 'production';
@@ -62,12 +65,22 @@ async function revokeRefreshFamily({ userId, familyId, reason, revokedByIp }) {
   );
 }
 
+// Lines from the visitor's guest cart move into the account's cart; a failed merge never blocks signing in
+async function mergeGuestCartSafely(req, res, userId) {
+  try {
+    return await mergeGuestCart(req, res, userId);
+  } catch (err) {
+    console.error('Guest cart merge failed:', err.message);
+    return null;
+  }
+}
+
 function passwordStrong(pw) {
   // At least 8 chars, uppercase, lowercase, number
   return /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,}$/.test(pw);
 }
 
-// @desc    Register user & send verify email
+// @desc    Register user & send verify email (a guest cart moves into the account)
 // @route   POST /api/auth/register
 // @access  Public
 exports.register = asyncHandler(async (req, res) => {
@@ -102,7 +115,13 @@ exports.register = asyncHandler(async (req, res) => {
       console.error('Failed to send verification email:', emailErr.message);
     });
 
-    res.status(201).json({ message: 'Registration successful! You can now login.', clientId: user.clientId });
+    const cartMerge = await mergeGuestCartSafely(req, res, user._id);
+
+    res.status(201).json({
+      message: 'Registration successful! You can now login.',
+      clientId: user.clientId,
+      ...(cartMerge && { cartMerge }),
+    });
   } catch (err) {
     console.error('Registration error:', err);
     res.status(500).json({ message: 'Internal server error' });
@@ -133,6 +152,9 @@ exports.verifyEmail = asyncHandler(async (req, res) => {
   user.verifyTokenExpires = undefined;
   await user.save();
 
+  // The address is now proven, so guest orders placed with it belong to this account
+  const claimedOrders = await claimGuestOrders(user);
+
   const access = generateAccessToken(user._id, user.role);
   const { token: refresh, jti, familyId, expiresAt } = generateRefreshToken(user);
   await RefreshToken.create({
@@ -148,10 +170,37 @@ exports.verifyEmail = asyncHandler(async (req, res) => {
   res.json({
     message: 'Email verified successfully',
     user: { id: user._id, name: user.name, email: user.email },
+    claimedOrders,
   });
 });
 
-// @desc    Login user & get token
+// @desc    Email a verification link that adds guest orders placed with this address to the account
+// @route   POST /api/auth/claim-orders
+// @access  Private
+exports.requestOrderClaim = asyncHandler(async (req, res) => {
+  const pending = await Order.countDocuments(unclaimedGuestOrderQuery(req.user.email));
+  if (!pending) {
+    return res.status(404).json({ message: 'No guest orders found for your email address' });
+  }
+
+  const user = await User.findById(req.user.id);
+  const verifyToken = user.getVerifyToken();
+  await user.save();
+
+  const verifyURL = `${env.CLIENT_ORIGIN}/verify-email/${verifyToken}`;
+  transporter.sendMail({
+    from: env.EMAIL_FROM,
+    to: user.email,
+    subject: 'Add your Jaguza guest orders to your account',
+    html: `<p>Hi ${user.name}, confirm your email by clicking <a href="${verifyURL}">here</a> to add ${pending} guest order(s) to your account.</p>`,
+  }).catch(emailErr => {
+    console.error('Failed to send order claim email:', emailErr.message);
+  });
+
+  res.json({ message: 'Check your email to confirm adding your guest orders', orders: pending });
+});
+
+// @desc    Login user & get token (a guest cart merges into the account cart)
 // @route   POST /api/auth/login
 // @access  Public
 exports.login = asyncHandler(async (req, res) => {
@@ -216,10 +265,12 @@ exports.login = asyncHandler(async (req, res) => {
     createdByUa: req.get('user-agent') || undefined,
   });
   await issueSessionCookies(res, user, access, refresh);
+  const cartMerge = await mergeGuestCartSafely(req, res, user._id);
 
   res.json({
     message: 'Login successful',
     user: { id: user._id, name: user.name, email: user.email },
+    ...(cartMerge && { cartMerge }),
   });
 });
 
@@ -1,22 +1,48 @@
 const asyncHandler = require('express-async-handler');
 const Cart = require('../models/cart.model');
 const Product = require('../models/product.model');
+const PriceList = require('../models/priceList.model');
+const { findVariant, availableStock } = require('../utils/inventory.utils');
+const { CART_PRODUCT_FIELDS, withLinePricing } = require('../utils/cart.utils');
+const { newGuestCartId, guestCartExpiry, setGuestCartCookie, readGuestCartId } = require('../utils/guestCart.utils');
 
-// @desc    Get current user's cart
+// The signed-in user's cart, or the guest cart named by the visitor's cookie (null: no cart yet)
+function cartFilter(req) {
+  if (req.user) return { user: req.user.id };
+  const guestId = readGuestCartId(req);
+  return guestId ? { guestId } : null;
+}
+
+function findCart(req) {
+  const filter = cartFilter(req);
+  return filter ? Cart.findOne(filter) : null;
+}
+
+// Guest carts get a new lease (cookie and expiry) whenever they change
+async function saveCart(cart, res) {
+  if (cart.guestId) {
+    cart.expiresAt = guestCartExpiry();
+    setGuestCartCookie(res, cart.guestId);
+  }
+  await cart.save();
+}
+
+// @desc    Get current user's (or guest's) cart
 // @route   GET /api/cart
-// @access  Private
+// @access  Public
 exports.getCart = asyncHandler(async (req, res) => {
-  const cart = await Cart.findOne({ user: req.user.id })
-    .populate('items.product', 'name slug price images countInStock maxQty')
+  const filter = cartFilter(req);
+  const cart = filter && await Cart.findOne(filter)
+    .populate('items.product', CART_PRODUCT_FIELDS)
     .lean();
-  res.json(cart || { items: [] });
+  res.json(cart ? withLinePricing(cart, await PriceList.findForUser(req.user)) : { items: [] });
 });
 
-// @desc    Add or update an item in cart
+// @desc    Add or update an item in cart; guests get a cart cookie on their first item
 // @route   POST /api/cart
-// @access  Private
+// @access  Public
 exports.addToCart = asyncHandler(async (req, res) => {
-  const { productId, quantity } = req.body;
+  const { productId, variantId, quantity } = req.body;
   if (!productId || !quantity) {
     res.status(400);
     throw new Error('Product ID and quantity are required');
@@ -28,55 +54,59 @@ exports.addToCart = asyncHandler(async (req, res) => {
     res.status(404);
     throw new Error('Product not found');
   }
-  if (product.countInStock < qty) {
+  // Products with variants are added per variant, each with its own stock
+  if (product.variants?.length ? !findVariant(product, variantId) : variantId) {
+    res.status(400);
+    throw new Error(variantId ? 'Variant not found' : 'Choose a variant of this product');
+  }
+  if (availableStock(product, variantId) < qty) {
     res.status(400);
     throw new Error('Requested quantity exceeds stock');
   }
 
-  let cart = await Cart.findOne({ user: req.user.id });
+  let cart = await findCart(req);
   if (!cart) {
-    cart = new Cart({ user: req.user.id, items: [] });
+    cart = req.user
+      ? new Cart({ user: req.user.id, items: [] })
+      : new Cart({ guestId: newGuestCartId(), items: [] });
   }
 
-  const existing = cart.items.find(i => i.product.toString() === productId);
+  const existing = cart.items.find(i =>
+    i.product.toString() === productId && String(i.variant || '') === String(variantId || ''));
   if (existing) {
-    if (product.countInStock < qty) {
-      res.status(400);
-      throw new Error('Requested quantity exceeds stock');
-    }
     existing.quantity = qty;
   } else {
-    cart.items.push({ product: productId, quantity: qty });
+    cart.items.push({ product: productId, variant: variantId, quantity: qty });
   }
-  await cart.save();
-  await cart.populate('items.product', 'name slug price images countInStock maxQty');
-  res.json(cart);
+  await saveCart(cart, res);
+  await cart.populate('items.product', CART_PRODUCT_FIELDS);
+  res.json(withLinePricing(cart, await PriceList.findForUser(req.user)));
 });
 
 // @desc    Remove an item from cart
 // @route   DELETE /api/cart/:itemId
-// @access  Private
+// @access  Public
 exports.removeFromCart = asyncHandler(async (req, res) => {
   const { itemId } = req.params;
-  const cart = await Cart.findOne({ user: req.user.id });
+  const cart = await findCart(req);
   if (!cart) {
     res.status(404);
     throw new Error('Cart not found');
   }
   cart.items = cart.items.filter(i => i._id.toString() !== itemId);
-  await cart.save();
-  await cart.populate('items.product', 'name slug price images countInStock maxQty');
-  res.json(cart);
+  await saveCart(cart, res);
+  await cart.populate('items.product', CART_PRODUCT_FIELDS);
+  res.json(withLinePricing(cart, await PriceList.findForUser(req.user)));
 });
 
 // @desc    Clear all items from cart
 // @route   DELETE /api/cart
-// @access  Private
+// @access  Public
 exports.clearCart = asyncHandler(async (req, res) => {
-  const cart = await Cart.findOne({ user: req.user.id });
+  const cart = await findCart(req);
   if (cart) {
     cart.items = [];
-    await cart.save();
+    await saveCart(cart, res);
   }
   res.json({ message: 'Cart cleared' });
 });
\ No newline at end of file
@@ -0,0 +1,84 @@
+const asyncHandler = require('express-async-handler');
+const Product = require('../models/product.model');
+const PriceList = require('../models/priceList.model');
+const {
+  ORDER_LINE_PRODUCT_FIELDS,
+  normalizeOrderItems,
+  buildOrderLines,
+  priceOrder,
+} = require('../utils/checkout.utils');
+const { getShippingMethods } = require('../utils/shipping.utils');
+const { availableStock } = require('../utils/inventory.utils');
+const { evaluateCoupon } = require('./coupon.controller');
+
+/**
+ * @desc    Price a checkout without reserving stock or recording coupon usage
+ *          (signed-in customers get their price list and coupons, guests list prices)
+ * @route   POST /api/checkout/quote
+ * @access  Public
+ */
+exports.getCheckoutQuote = asyncHandler(async (req, res) => {
+  const { orderItems, shippingAddress, shippingMethod = 'standard', couponCode } = req.body;
+
+  const normalized = normalizeOrderItems(orderItems);
+  if (normalized.length === 0) {
+    res.status(400);
+    throw new Error('No order items');
+  }
+
+  // Same availability rule addOrderItems applies when it reserves stock
+  const products = await Product.find({
+    _id: { $in: normalized.map((it) => it.productId) },
+    enabled: true,
+    isDeleted: { $ne: true },
+  })
+    .select(`${ORDER_LINE_PRODUCT_FIELDS} countInStock`)
+    .lean();
+  const priceList = await PriceList.findForUser(req.user);
+  const { items, itemsPrice, missing, priceList: appliedList } = buildOrderLines(normalized, products, { priceList });
+  if (missing) {
+    res.status(400);
+    throw new Error('One or more products are unavailable');
+  }
+
+  let coupon = null;
+  let discountAmount = 0;
+  if (couponCode) {
+    // Coupons are per account; guests are told so instead of seeing a lower total than they would pay
+    const result = req.user
+      ? await evaluateCoupon(couponCode, req.user.id, null, itemsPrice)
+      : { applied: false, error: 'Sign in to use a coupon' };
+    discountAmount = result.applied ? result.discount : 0;
+    coupon = {
+      code: result.coupon?.code || couponCode,
+      applied: result.applied,
+      discount: discountAmount,
+      error: result.error,
+    };
+  }
+
+  const totals = priceOrder({ items, shippingAddress, shippingMethod, discountAmount });
+  const productsById = new Map(products.map((p) => [p._id.toString(), p]));
+
+  res.json({
+    items: items.map((it) => ({
+      ...it,
+      lineTotal: Number((it.price * it.qty).toFixed(2)),
+      inStock: availableStock(productsById.get(it.product.toString()), it.variant) >= it.qty,
+    })),
+    itemsPrice: totals.itemsPrice,
+    shippingPrice: totals.shippingPrice,
+    shippingMethod: totals.shippingMethod,
+    shippingDays: totals.shippingDays,
+    isFreeShipping: totals.isFreeShipping,
+    shippingMethods: getShippingMethods(shippingAddress?.country || 'UG', itemsPrice, totals.itemCount),
+    taxPrice: totals.taxPrice,
+    taxRate: totals.taxRate,
+    coupon,
+    discountAmount,
+    totalPrice: totals.totalPrice,
+    priceList: appliedList,
+    itemCount: totals.itemCount,
+    currency: totals.currency,
+  });
+});
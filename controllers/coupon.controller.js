@@ -56,22 +56,40 @@ exports.validateCoupon = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Apply coupon to order (internal use during checkout)
+ * @desc    Work out a coupon's discount for an order without recording usage
  * @access  Internal
  */
-exports.applyCouponToOrder = async (couponCode, userId, orderId, orderTotal) => {
+exports.evaluateCoupon = async (couponCode, userId, orderId, orderTotal) => {
   if (!couponCode) return { discount: 0, applied: false };
   
   const coupon = await Coupon.findValidByCode(couponCode);
   if (!coupon) return { discount: 0, applied: false, error: 'Invalid coupon' };
   
-  const orderCount = await Order.countDocuments({ user: userId, _id: { $ne: orderId } });
+  const previousOrders = { user: userId };
+  if (orderId) previousOrders._id = { $ne: orderId };
+  const orderCount = await Order.countDocuments(previousOrders);
   const isFirstOrder = orderCount === 0;
   
   const canUse = await coupon.canBeUsedBy(userId, isFirstOrder);
   if (!canUse.valid) return { discount: 0, applied: false, error: canUse.reason };
   
+  if (orderTotal < coupon.minOrderAmount) {
+    return { discount: 0, applied: false, error: `Minimum order amount of $${coupon.minOrderAmount} required` };
+  }
+  
   const discount = coupon.calculateDiscount(orderTotal);
+  return { discount, applied: true, coupon };
+};
+
+/**
+ * @desc    Apply coupon to order (internal use during checkout)
+ * @access  Internal
+ */
+exports.applyCouponToOrder = async (couponCode, userId, orderId, orderTotal) => {
+  const result = await exports.evaluateCoupon(couponCode, userId, orderId, orderTotal);
+  if (!result.applied) return { discount: 0, applied: false, error: result.error };
+  
+  const { coupon, discount } = result;
   
   // Record usage
   coupon.usedBy.push({
@@ -0,0 +1,211 @@
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const asyncHandler = require('express-async-handler');
+const Product = require('../models/product.model');
+const DownloadLog = require('../models/downloadLog.model');
+const { getStorage } = require('../storage');
+const {
+  findDownload,
+  checkDownloadAccess,
+  claimDownload,
+  releaseDownload,
+  signDownloadToken,
+  verifyDownloadToken,
+} = require('../utils/download.utils');
+const { env } = require('../config/env');
+
+// Storage links behind a redeemed download only need to survive the redirect
+const STORAGE_LINK_SECONDS = 60;
+
+const ACCESS_ERRORS = {
+  login_required: [401, 'Sign in to download this file'],
+  not_purchased: [403, 'This download is available after purchasing the product'],
+  limit_reached: [403, 'Download limit reached'],
+};
+
+function downloadFilename(download) {
+  if (download.filename) return download.filename;
+  const source = download.key || new URL(download.url).pathname;
+  return path.basename(source) || download.name;
+}
+
+/**
+ * @desc    Issue a one-time, short-lived link to a product download
+ * @route   GET /api/products/:id/downloads/:name
+ * @access  Public for public downloads; otherwise buyers with a paid order
+ */
+exports.getDownloadLink = asyncHandler(async (req, res) => {
+  const product = await Product.findOne({ _id: req.params.id, enabled: true, isDeleted: { $ne: true } })
+    .select('downloads')
+    .lean();
+  const download = findDownload(product, req.params.name);
+  if (!download) {
+    res.status(404);
+    throw new Error('Download not found');
+  }
+
+  const access = await checkDownloadAccess(product, download, req.user);
+  if (!access.ok) {
+    const [status, message] = ACCESS_ERRORS[access.error];
+    res.status(status);
+    throw new Error(message);
+  }
+
+  const { token, expiresAt } = signDownloadToken({ product, download, user: req.user, order: access.order });
+  res.json({
+    url: `${env.BASE_URL.replace(/\/$/, '')}/api/downloads/${token}`,
+    expiresAt,
+    remaining: access.remaining,
+  });
+});
+
+/**
+ * @desc    Redeem a download link: logs the download and sends the file
+ * @route   GET /api/downloads/:token
+ * @access  Holder of the link (works once)
+ */
+exports.redeemDownload = asyncHandler(async (req, res) => {
+  const grant = verifyDownloadToken(req.params.token);
+  if (!grant) {
+    res.status(403);
+    throw new Error('Download link is invalid or has expired');
+  }
+  const product = await Product.findOne({ _id: grant.productId, isDeleted: { $ne: true } }).select('downloads').lean();
+  const download = findDownload(product, grant.name);
+  if (!download) {
+    res.status(404);
+    throw new Error('Download not found');
+  }
+
+  // Limits are checked again: several links may have been issued before any was used
+  const limited = !!(download.maxDownloads && grant.userId);
+  if (limited && !(await claimDownload(product._id, download, grant.userId))) {
+    res.status(403);
+    throw new Error('Download limit reached');
+  }
+
+  try {
+    await DownloadLog.create({
+      product: product._id,
+      name: download.name,
+      user: grant.userId,
+      order: grant.orderId,
+      tokenId: grant.tokenId,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+  } catch (err) {
+    if (limited) await releaseDownload(product._id, download, grant.userId);
+    if (err?.code === 11000) {
+      res.status(410);
+      throw new Error('Download link has already been used');
+    }
+    throw err;
+  }
+
+  const filename = downloadFilename(download);
+  if (download.key) {
+    return res.redirect(await getStorage().signedUrl(download.key, { expiresIn: STORAGE_LINK_SECONDS, filename }));
+  }
+
+  // Legacy downloads on an external URL are proxied so the URL itself stays private
+  const upstream = await fetch(download.url);
+  if (!upstream.ok || !upstream.body) {
+    res.status(502);
+    throw new Error('Download is unavailable');
+  }
+  res.set('Content-Type', upstream.headers.get('content-type') || 'application/octet-stream');
+  res.set('Cache-Control', 'private, no-store');
+  res.attachment(filename);
+  try {
+    // pipeline tears down both sides when the upstream breaks off or the client goes away
+    await pipeline(Readable.fromWeb(upstream.body), res);
+  } catch (err) {
+    // Once the file has started, the response can only be cut short, not turned into an error
+    if (!res.headersSent) throw err;
+  }
+});
+
+/**
+ * @desc    Upload (or replace) a product download into private storage.
+ *          Fields: name, isPublic, maxDownloads, and the file as `file`.
+ * @route   POST /api/admin/.../products/:id/downloads
+ * @access  Admin
+ */
+exports.uploadProductDownload = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+  if (!req.file) {
+    res.status(400);
+    throw new Error('Upload the file as "file"');
+  }
+
+  const filename = path.basename(req.file.originalname).replace(/[^\w.-]+/g, '_');
+  const key = `private/downloads/${product.id}/${crypto.randomBytes(8).toString('hex')}/${filename}`;
+  const storage = getStorage();
+  await storage.put(key, req.file.buffer, { contentType: req.file.mimetype });
+
+  const existing = product.downloads.find((d) => d.name === req.body.name);
+  const previousKey = existing?.key;
+  const entry = {
+    name: req.body.name,
+    key,
+    filename: req.file.originalname,
+    isPublic: !!req.body.isPublic,
+    maxDownloads: req.body.maxDownloads || undefined,
+  };
+  if (existing) existing.set({ ...entry, url: undefined });
+  else product.downloads.push(entry);
+
+  try {
+    await product.save();
+  } catch (err) {
+    await storage.remove(key);
+    throw err;
+  }
+  if (previousKey) await storage.remove(previousKey);
+
+  res.status(existing ? 200 : 201).json({ message: 'Download saved', downloads: product.downloads });
+});
+
+/**
+ * @desc    Change who may fetch a download and how often
+ * @route   PUT /api/admin/.../products/:id/downloads/:name
+ * @access  Admin
+ */
+exports.updateProductDownload = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  const download = product && product.downloads.find((d) => d.name === req.params.name);
+  if (!download) {
+    res.status(404);
+    throw new Error('Download not found');
+  }
+  if (req.body.isPublic !== undefined) download.isPublic = req.body.isPublic;
+  if (req.body.maxDownloads !== undefined) download.maxDownloads = req.body.maxDownloads || undefined;
+  await product.save();
+  res.json({ message: 'Download updated', downloads: product.downloads });
+});
+
+/**
+ * @desc    Remove a download and its stored file
+ * @route   DELETE /api/admin/.../products/:id/downloads/:name
+ * @access  Admin
+ */
+exports.deleteProductDownload = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  const download = product && product.downloads.find((d) => d.name === req.params.name);
+  if (!download) {
+    res.status(404);
+    throw new Error('Download not found');
+  }
+  const { key } = download;
+  product.downloads = product.downloads.filter((d) => d.name !== req.params.name);
+  await product.save();
+  if (key) await getStorage().remove(key);
+  res.json({ message: 'Download deleted', downloads: product.downloads });
+});
@@ -1,21 +1,25 @@
 const asyncHandler = require('express-async-handler');
 const mongoose = require('mongoose');
+const { matchedData } = require('express-validator');
 const Order = require('../models/order.model');
 const transporter = require('../config/email.config');
 const Product = require('../models/product.model');
-const { calculateShipping, calculateTax, getShippingMethods } = require('../utils/shipping.utils');
+const Cart = require('../models/cart.model');
+const PriceList = require('../models/priceList.model');
+const {
+  ORDER_LINE_PRODUCT_FIELDS,
+  normalizeOrderItems,
+  buildOrderLines,
+  priceOrder,
+} = require('../utils/checkout.utils');
 const { applyCouponToOrder } = require('./coupon.controller');
-
-function normalizeOrderItems(orderItems) {
-  const items = Array.isArray(orderItems) ? orderItems : [];
-  return items
-    .map((it) => {
-      const productId = it.productId || it.product;
-      const qty = Number(it.qty ?? it.quantity ?? 0);
-      return { productId, qty };
-    })
-    .filter((it) => it.productId && Number.isFinite(it.qty) && it.qty > 0);
-}
+const { cancelOrder } = require('../utils/order.utils');
+const { actorFromUser } = require('../utils/orderStatus.utils');
+const { signOrderAccessToken } = require('../utils/orderAccess.utils');
+const { buildInvoiceDocument, buildCreditNoteDocument } = require('../utils/invoice.utils');
+const { CART_PRODUCT_FIELDS, addLinesToCart, withLinePricing } = require('../utils/cart.utils');
+const { reserveStock, releaseStock } = require('../utils/inventory.utils');
+const { env } = require('../config/env');
 
 // Helper to check if we can use transactions (replica set required)
 async function canUseTransactions() {
@@ -29,10 +33,8 @@ async function canUseTransactions() {
   }
 }
 
-// @desc    Create new order
-// @route   POST /api/orders
-// @access  Private
-exports.addOrderItems = asyncHandler(async (req, res) => {
+// Reserve stock, price and save an order for a signed-in user or a guest email
+async function placeOrder(req, res, { userId, guestEmail }) {
   const {
     orderItems,
     shippingAddress,
@@ -46,6 +48,16 @@ exports.addOrderItems = asyncHandler(async (req, res) => {
     res.status(400);
     throw new Error('No order items');
   }
+  // Coupon usage is tracked per account; refuse rather than charge a guest the full price
+  if (couponCode && !userId) {
+    res.status(400);
+    throw new Error('Sign in to use a coupon');
+  }
+
+  // Allocate the id up front so coupon usage is recorded against this order
+  const orderId = new mongoose.Types.ObjectId();
+  // vip/wholesale/customer-specific prices; guests pay list prices
+  const priceList = userId ? await PriceList.findForUser(req.user) : null;
 
   // Check if transactions are supported
   const useTransaction = await canUseTransactions();
@@ -56,15 +68,9 @@ exports.addOrderItems = asyncHandler(async (req, res) => {
     session.startTransaction();
     
     try {
-      // Decrement stock per item within transaction
+      // Decrement stock per item (or variant) within transaction
       for (const it of normalized) {
-        const result = await Product.updateOne(
-          { _id: it.productId, enabled: true, isDeleted: { $ne: true }, countInStock: { $gte: it.qty } },
-          { $inc: { countInStock: -it.qty } },
-          { session }
-        );
-        const modified = result?.modifiedCount ?? result?.nModified ?? 0;
-        if (!modified) {
+        if (!(await reserveStock(it, { session }))) {
           throw new Error('Insufficient stock for one or more items');
         }
       }
@@ -72,59 +78,31 @@ exports.addOrderItems = asyncHandler(async (req, res) => {
       // Fetch products AFTER decrement to compute snapshots & prices
       const productIds = normalized.map((it) => it.productId);
       const products = await Product.find({ _id: { $in: productIds } })
-        .select('name sku price images')
+        .select(ORDER_LINE_PRODUCT_FIELDS)
         .session(session)
         .lean();
-      const byId = new Map(products.map((p) => [p._id.toString(), p]));
-
-      const computedItems = [];
-      let itemsPrice = 0;
-      for (const it of normalized) {
-        const product = byId.get(String(it.productId));
-        if (!product) {
-          throw new Error('One or more products are unavailable');
-        }
-        const unitPrice = Number(product.price) || 0;
-        itemsPrice += unitPrice * it.qty;
-        computedItems.push({
-          product: product._id,
-          sku: product.sku,
-          name: product.name,
-          qty: it.qty,
-          image: Array.isArray(product.images) ? product.images[0] : undefined,
-          price: unitPrice,
-        });
+      const { items: computedItems, itemsPrice, missing, priceList: appliedList } = buildOrderLines(
+        normalized,
+        products,
+        { priceList }
+      );
+      if (missing) {
+        throw new Error('One or more products are unavailable');
       }
 
-      // Calculate shipping based on country
-      const countryCode = shippingAddress?.country || 'UG';
-      const shippingCalc = calculateShipping({
-        countryCode,
-        orderTotal: itemsPrice,
-        method: shippingMethod,
-        itemCount: computedItems.reduce((sum, it) => sum + it.qty, 0)
-      });
-      const shippingPrice = shippingCalc.cost;
-
-      // Calculate tax based on country
-      const taxCalc = calculateTax({
-        countryCode,
-        subtotal: itemsPrice
-      });
-      const taxPrice = taxCalc.amount;
-
       // Apply coupon if provided
       let discountAmount = 0;
       let appliedCoupon = null;
       if (couponCode) {
-        const couponResult = await applyCouponToOrder(couponCode, req.user.id, null, itemsPrice);
+        const couponResult = await applyCouponToOrder(couponCode, userId, orderId, itemsPrice);
         if (couponResult.applied) {
           discountAmount = couponResult.discount;
           appliedCoupon = couponResult.couponId;
         }
       }
 
-      const totalPrice = Number((itemsPrice + shippingPrice + taxPrice - discountAmount).toFixed(2));
+      // Shipping and tax based on country, same figures as POST /api/checkout/quote
+      const totals = priceOrder({ items: computedItems, shippingAddress, shippingMethod, discountAmount });
 
       const shipping = {
         address: {
@@ -137,7 +115,7 @@ exports.addOrderItems = asyncHandler(async (req, res) => {
         },
         status: 'pending',
         method: shippingMethod,
-        estimatedDays: shippingCalc.estimatedDays,
+        estimatedDays: totals.shippingDays,
       };
 
       const payment = {
@@ -147,16 +125,20 @@ exports.addOrderItems = asyncHandler(async (req, res) => {
       };
 
       const order = new Order({
-        user: req.user.id,
+        _id: orderId,
+        user: userId,
+        guestEmail,
         orderItems: computedItems,
         shipping,
         payment,
-        itemsPrice,
-        shippingPrice,
-        taxPrice,
+        itemsPrice: totals.itemsPrice,
+        shippingPrice: totals.shippingPrice,
+        taxPrice: totals.taxPrice,
         discountAmount,
         coupon: appliedCoupon,
-        totalPrice,
+        priceList: appliedList?._id,
+        priceListName: appliedList?.name,
+        totalPrice: totals.totalPrice,
       });
       const createdOrder = await order.save({ session });
 
@@ -164,9 +146,10 @@ exports.addOrderItems = asyncHandler(async (req, res) => {
       session.endSession();
 
       // Send order confirmation email (non-blocking)
-      sendOrderEmail(createdOrder, req.user.email);
+      const accessToken = guestEmail ? signOrderAccessToken(createdOrder) : undefined;
+      sendOrderEmail(createdOrder, guestEmail || req.user.email, accessToken);
 
-      return res.status(201).json(createdOrder);
+      return res.status(201).json(guestEmail ? { order: createdOrder, accessToken } : createdOrder);
     } catch (err) {
       await session.abortTransaction();
       session.endSession();
@@ -183,77 +166,43 @@ exports.addOrderItems = asyncHandler(async (req, res) => {
     const decremented = [];
 
     try {
-      // Decrement stock per item with atomic conditional update
+      // Decrement stock per item (or variant) with atomic conditional update
       for (const it of normalized) {
-        const result = await Product.updateOne(
-          { _id: it.productId, enabled: true, isDeleted: { $ne: true }, countInStock: { $gte: it.qty } },
-          { $inc: { countInStock: -it.qty } },
-          undefined
-        );
-        const modified = result?.modifiedCount ?? result?.nModified ?? 0;
-        if (!modified) {
+        if (!(await reserveStock(it))) {
           res.status(409);
           throw new Error('Insufficient stock for one or more items');
         }
-        decremented.push({ productId: it.productId, qty: it.qty });
+        decremented.push(it);
       }
 
       // Fetch products AFTER decrement to compute snapshots & prices
       const productIds = normalized.map((it) => it.productId);
       const products = await Product.find({ _id: { $in: productIds } })
-        .select('name sku price images')
+        .select(ORDER_LINE_PRODUCT_FIELDS)
         .lean();
-      const byId = new Map(products.map((p) => [p._id.toString(), p]));
-
-      const computedItems = [];
-      let itemsPrice = 0;
-      for (const it of normalized) {
-        const product = byId.get(String(it.productId));
-        if (!product) {
-          res.status(400);
-          throw new Error('One or more products are unavailable');
-        }
-        const unitPrice = Number(product.price) || 0;
-        itemsPrice += unitPrice * it.qty;
-        computedItems.push({
-          product: product._id,
-          sku: product.sku,
-          name: product.name,
-          qty: it.qty,
-          image: Array.isArray(product.images) ? product.images[0] : undefined,
-          price: unitPrice,
-        });
+      const { items: computedItems, itemsPrice, missing, priceList: appliedList } = buildOrderLines(
+        normalized,
+        products,
+        { priceList }
+      );
+      if (missing) {
+        res.status(400);
+        throw new Error('One or more products are unavailable');
       }
 
-      // Calculate shipping based on country
-      const countryCode = shippingAddress?.country || 'UG';
-      const shippingCalc = calculateShipping({
-        countryCode,
-        orderTotal: itemsPrice,
-        method: shippingMethod,
-        itemCount: computedItems.reduce((sum, it) => sum + it.qty, 0)
-      });
-      const shippingPrice = shippingCalc.cost;
-
-      // Calculate tax based on country
-      const taxCalc = calculateTax({
-        countryCode,
-        subtotal: itemsPrice
-      });
-      const taxPrice = taxCalc.amount;
-
       // Apply coupon if provided
       let discountAmount = 0;
       let appliedCoupon = null;
       if (couponCode) {
-        const couponResult = await applyCouponToOrder(couponCode, req.user.id, null, itemsPrice);
+        const couponResult = await applyCouponToOrder(couponCode, userId, orderId, itemsPrice);
         if (couponResult.applied) {
           discountAmount = couponResult.discount;
           appliedCoupon = couponResult.couponId;
         }
       }
 
-      const totalPrice = Number((itemsPrice + shippingPrice + taxPrice - discountAmount).toFixed(2));
+      // Shipping and tax based on country, same figures as POST /api/checkout/quote
+      const totals = priceOrder({ items: computedItems, shippingAddress, shippingMethod, discountAmount });
 
       const shipping = {
         address: {
@@ -266,7 +215,7 @@ exports.addOrderItems = asyncHandler(async (req, res) => {
         },
         status: 'pending',
         method: shippingMethod,
-        estimatedDays: shippingCalc.estimatedDays,
+        estimatedDays: totals.shippingDays,
       };
 
       const payment = {
@@ -276,43 +225,64 @@ exports.addOrderItems = asyncHandler(async (req, res) => {
       };
 
       const order = new Order({
-        user: req.user.id,
+        _id: orderId,
+        user: userId,
+        guestEmail,
         orderItems: computedItems,
         shipping,
         payment,
-        itemsPrice,
-        shippingPrice,
-        taxPrice,
+        itemsPrice: totals.itemsPrice,
+        shippingPrice: totals.shippingPrice,
+        taxPrice: totals.taxPrice,
         discountAmount,
         coupon: appliedCoupon,
-        totalPrice,
+        priceList: appliedList?._id,
+        priceListName: appliedList?.name,
+        totalPrice: totals.totalPrice,
       });
       const createdOrder = await order.save();
 
       // Send order confirmation email (non-blocking)
-      sendOrderEmail(createdOrder, req.user.email);
+      const accessToken = guestEmail ? signOrderAccessToken(createdOrder) : undefined;
+      sendOrderEmail(createdOrder, guestEmail || req.user.email, accessToken);
 
-      res.status(201).json(createdOrder);
+      res.status(201).json(guestEmail ? { order: createdOrder, accessToken } : createdOrder);
     } catch (err) {
       if (decremented.length > 0) {
         // Compensating rollback
-        await Promise.all(
-          decremented.map((d) => Product.updateOne({ _id: d.productId }, { $inc: { countInStock: d.qty } }))
-        );
+        await Promise.all(decremented.map((d) => releaseStock(d)));
       }
       throw err;
     }
   }
+}
+
+// @desc    Create new order
+// @route   POST /api/orders
+// @access  Private
+exports.addOrderItems = asyncHandler(async (req, res) => {
+  await placeOrder(req, res, { userId: req.user.id });
+});
+
+// @desc    Create a guest order; the response carries an order access token
+// @route   POST /api/orders/guest
+// @access  Public
+exports.addGuestOrder = asyncHandler(async (req, res) => {
+  await placeOrder(req, res, { guestEmail: req.body.email });
 });
 
 // Helper to send order email (non-blocking)
-function sendOrderEmail(order, email) {
+function sendOrderEmail(order, email, accessToken) {
   try {
     transporter.sendMail({
       from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
       to: email,
       subject: `Order #${order._id}`,
-      html: `<p>Thank you! Your order has been created and is awaiting payment confirmation.</p>`,
+      html: accessToken
+        ? `<p>Thank you! Your order has been created and is awaiting payment confirmation.</p>
+<p><a href="${env.CLIENT_ORIGIN}/orders/${order._id}?token=${accessToken}">View your order</a>.
+Create an account with this email address to keep track of it.</p>`
+        : `<p>Thank you! Your order has been created and is awaiting payment confirmation.</p>`,
     }).catch((e) => {
       if (process.env.NODE_ENV !== 'test') {
         console.error('Order email failed:', e.message);
@@ -352,13 +322,200 @@ exports.getOrderById = asyncHandler(async (req, res) => {
     throw new Error('Order not found');
   }
   // ensure user owns this order
-  if (order.user._id.toString() !== req.user.id) {
+  if (order.user?._id.toString() !== req.user.id) {
     res.status(403);
     throw new Error('Not authorized to view this order');
   }
   res.json(order);
 });
 
+// @desc    Get a guest order with its order access token
+// @route   GET /api/orders/guest/:id
+// @access  Public (order access token)
+exports.getGuestOrder = asyncHandler(async (req, res) => {
+  const order = await Order.findOne({ _id: req.params.id, guestEmail: req.orderAccess.email })
+    .select('-user');
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+  res.json(order);
+});
+
+async function findOwnOrder(req, res) {
+  const order = await Order.findById(req.params.id).populate('user', 'name email');
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+  if (order.user?._id.toString() !== req.user.id) {
+    res.status(403);
+    throw new Error('Not authorized to view this order');
+  }
+  return order;
+}
+
+async function findGuestOrder(req, res) {
+  const order = await Order.findOne({ _id: req.params.id, guestEmail: req.orderAccess.email });
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+  return order;
+}
+
+async function sendInvoice(res, order) {
+  const result = await buildInvoiceDocument(order);
+  if (!result.ok) {
+    res.status(409);
+    throw new Error('Order has not been paid yet, no invoice is available');
+  }
+  res.type('application/pdf').attachment(result.filename).send(result.pdf);
+}
+
+async function sendCreditNote(res, order, refundId) {
+  const result = await buildCreditNoteDocument(order, refundId);
+  if (!result.ok) {
+    res.status(404);
+    throw new Error('Refund not found');
+  }
+  res.type('application/pdf').attachment(result.filename).send(result.pdf);
+}
+
+// @desc    Download the invoice of a paid order
+// @route   GET /api/orders/:id/invoice.pdf
+// @access  Private
+exports.getOrderInvoice = asyncHandler(async (req, res) => {
+  await sendInvoice(res, await findOwnOrder(req, res));
+});
+
+// @desc    Download the credit note of a refund
+// @route   GET /api/orders/:id/credit-notes/:refundId.pdf
+// @access  Private
+exports.getOrderCreditNote = asyncHandler(async (req, res) => {
+  await sendCreditNote(res, await findOwnOrder(req, res), req.params.refundId);
+});
+
+// @desc    Download the invoice of a paid guest order
+// @route   GET /api/orders/guest/:id/invoice.pdf
+// @access  Public (order access token)
+exports.getGuestOrderInvoice = asyncHandler(async (req, res) => {
+  await sendInvoice(res, await findGuestOrder(req, res));
+});
+
+// @desc    Download the credit note of a guest order refund
+// @route   GET /api/orders/guest/:id/credit-notes/:refundId.pdf
+// @access  Public (order access token)
+exports.getGuestOrderCreditNote = asyncHandler(async (req, res) => {
+  await sendCreditNote(res, await findGuestOrder(req, res), req.params.refundId);
+});
+
+// @desc    Public tracking view of an order: status, shipment and timeline only
+// @route   GET /api/track?orderNumber=&email=
+// @access  Public
+exports.trackOrder = asyncHandler(async (req, res) => {
+  // Sanitized values: Express 5 does not let validators rewrite req.query
+  const { orderNumber, email } = matchedData(req, { locations: ['query'] });
+  const order = await Order.findOne({ orderNumber })
+    .select('orderNumber status createdAt isDelivered deliveredAt orderItems shipping timeline guestEmail user')
+    .populate('user', 'email')
+    .lean();
+
+  // Same answer for an unknown number and a wrong email so order numbers cannot be probed
+  const ownerEmail = order?.user?.email || order?.guestEmail;
+  if (!order || !ownerEmail || ownerEmail.toLowerCase() !== String(email).toLowerCase()) {
+    res.status(404);
+    throw new Error('No order matches this order number and email');
+  }
+
+  // No addresses, prices, payment details or free-text timeline messages
+  const shipping = order.shipping || {};
+  res.json({
+    orderNumber: order.orderNumber,
+    status: order.status,
+    placedAt: order.createdAt,
+    isDelivered: order.isDelivered,
+    deliveredAt: order.deliveredAt,
+    items: (order.orderItems || []).map((it) => ({ name: it.name, qty: it.qty, image: it.image })),
+    shipping: {
+      status: shipping.status,
+      method: shipping.method,
+      courier: shipping.courier,
+      trackingNumber: shipping.trackingNumber,
+      trackingUrl: shipping.trackingUrl,
+      shippedAt: shipping.shippedAt,
+      estimatedDelivery: shipping.estimatedDelivery,
+      estimatedDays: shipping.estimatedDays,
+    },
+    timeline: (order.timeline || []).map((ev) => ({
+      status: ev.status,
+      timestamp: ev.timestamp,
+      location: ev.location,
+    })),
+  });
+});
+
+// @desc    Cancel own order before fulfilment starts
+// @route   POST /api/orders/:id/cancel
+// @access  Private
+exports.cancelMyOrder = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+  if (order.user?.toString() !== req.user.id) {
+    res.status(403);
+    throw new Error('Not authorized to cancel this order');
+  }
+
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+  const result = await cancelOrder(order, {
+    reason,
+    message: reason ? `Cancelled by customer: ${reason}` : 'Cancelled by customer',
+    actor: actorFromUser(req.user),
+  });
+
+  if (!result.cancelled) {
+    if (result.error === 'payment_void_failed') {
+      res.status(502);
+      throw new Error('Unable to void the payment for this order, please try again');
+    }
+    res.status(409);
+    throw new Error('Order can no longer be cancelled');
+  }
+
+  res.json({ message: 'Order cancelled', order: result.order });
+});
+
+// @desc    Copy the items of a past order into the cart
+// @route   POST /api/orders/:id/reorder
+// @access  Private
+exports.reorder = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id).select('user orderItems').lean();
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+  if (order.user?.toString() !== req.user.id) {
+    res.status(403);
+    throw new Error('Not authorized to reorder this order');
+  }
+
+  const lines = order.orderItems.map((it) => ({ product: it.product, variant: it.variant, qty: it.qty, name: it.name }));
+  const products = await Product.find({ _id: { $in: lines.map((l) => l.product) } })
+    .select('name enabled isDeleted countInStock maxQty variants')
+    .lean();
+
+  let cart = await Cart.findOne({ user: req.user.id });
+  if (!cart) cart = new Cart({ user: req.user.id, items: [] });
+  const items = addLinesToCart(cart, lines, products);
+  if (items.some((it) => it.added > 0)) await cart.save();
+  await cart.populate('items.product', CART_PRODUCT_FIELDS);
+
+  res.json({ cart: withLinePricing(cart, await PriceList.findForUser(req.user)), items });
+});
+
 // @desc    Payment status is updated via Stripe webhook (server-side verification)
 // @route   PUT /api/orders/:id/pay (removed)
 // @access  Private
\ No newline at end of file
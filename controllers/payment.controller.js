@@ -2,6 +2,38 @@ const asyncHandler = require('express-async-handler');
 const Order = require('../models/order.model');
 const { createPaymentIntent } = require('../utils/payment.utils');
 
+// Create the Stripe PaymentIntent for an order's stored total and record it on the order
+async function startCardPayment(req, res, order, currency, metadata) {
+  const amountCents = Math.round((Number(order.totalPrice) || 0) * 100);
+  if (!Number.isFinite(amountCents) || amountCents <= 0) {
+    res.status(400);
+    throw new Error('Order total is invalid for payment');
+  }
+  const normalizedCurrency = (currency || 'usd').toLowerCase();
+
+  const intent = await createPaymentIntent(amountCents, normalizedCurrency, {
+    ...metadata,
+    orderId: order.id,
+  });
+
+  order.payment = order.payment || {};
+  order.payment.method = 'card';
+  order.payment.status = 'pending';
+  order.payment.transactionId = intent.id;
+  order.payment.intentId = intent.id;
+  order.payment.currency = normalizedCurrency;
+  order.payment.amount = amountCents;
+  order.payment.receiptUrl = undefined;
+  order.payment.failureReason = undefined;
+  order.isPaid = false;
+  await order.save();
+
+  res.json({ clientSecret: intent.client_secret, paymentIntentId: intent.id });
+}
+
+// @desc    Create a PaymentIntent for the user's order
+// @route   POST /api/payments/create-payment-intent
+// @access  Private
 exports.createPaymentIntent = asyncHandler(async (req, res) => {
   const { orderId, currency = 'usd' } = req.body;
   if (!process.env.STRIPE_SECRET_KEY) {
@@ -19,7 +51,7 @@ exports.createPaymentIntent = asyncHandler(async (req, res) => {
     res.status(404);
     throw new Error('Order not found');
   }
-  if (order.user.toString() !== req.user.id) {
+  if (order.user?.toString() !== req.user.id) {
     res.status(403);
     throw new Error('Not allowed to pay for this order');
   }
@@ -28,29 +60,27 @@ exports.createPaymentIntent = asyncHandler(async (req, res) => {
     throw new Error('Order already settled');
   }
 
-  const amountCents = Math.round((Number(order.totalPrice) || 0) * 100);
-  if (!Number.isFinite(amountCents) || amountCents <= 0) {
-    res.status(400);
-    throw new Error('Order total is invalid for payment');
-  }
-  const normalizedCurrency = (currency || 'usd').toLowerCase();
+  await startCardPayment(req, res, order, currency, { userId: req.user.id });
+});
 
-  const intent = await createPaymentIntent(amountCents, normalizedCurrency, {
-    userId: req.user.id,
-    orderId: order.id,
-  });
+// @desc    Create a PaymentIntent for a guest order
+// @route   POST /api/payments/guest/create-payment-intent
+// @access  Public (order access token)
+exports.createGuestPaymentIntent = asyncHandler(async (req, res) => {
+  const { orderId, currency = 'usd' } = req.body;
+  if (!process.env.STRIPE_SECRET_KEY) {
+    return res.status(503).json({ message: 'Payments are not configured' });
+  }
 
-  order.payment = order.payment || {};
-  order.payment.method = 'card';
-  order.payment.status = 'pending';
-  order.payment.transactionId = intent.id;
-  order.payment.intentId = intent.id;
-  order.payment.currency = normalizedCurrency;
-  order.payment.amount = amountCents;
-  order.payment.receiptUrl = undefined;
-  order.payment.failureReason = undefined;
-  order.isPaid = false;
-  await order.save();
+  const order = await Order.findOne({ _id: orderId, guestEmail: req.orderAccess.email });
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+  if (order.isPaid) {
+    res.status(400);
+    throw new Error('Order already settled');
+  }
 
-  res.json({ clientSecret: intent.client_secret, paymentIntentId: intent.id });
-});
\ No newline at end of file
+  await startCardPayment(req, res, order, currency, { guestEmail: order.guestEmail });
+});
@@ -0,0 +1,81 @@
+const asyncHandler = require('express-async-handler');
+const PriceList = require('../models/priceList.model');
+
+const EDITABLE_FIELDS = ['name', 'description', 'isActive', 'priority', 'roles', 'users', 'percentOff', 'entries'];
+
+function pickEditable(body) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((f) => {
+    if (body[f] !== undefined) fields[f] = body[f];
+  });
+  return fields;
+}
+
+/**
+ * @desc    List price lists
+ * @route   GET /api/admin/.../price-lists
+ * @access  Admin
+ */
+exports.listPriceLists = asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.role) query.roles = req.query.role;
+  if (req.query.user) query.users = req.query.user;
+  const priceLists = await PriceList.find(query).sort({ priority: -1, createdAt: 1 }).lean();
+  res.json({ priceLists });
+});
+
+/**
+ * @desc    Get a price list
+ * @route   GET /api/admin/.../price-lists/:id
+ * @access  Admin
+ */
+exports.getPriceList = asyncHandler(async (req, res) => {
+  const priceList = await PriceList.findById(req.params.id)
+    .populate('users', 'name email role')
+    .populate('entries.product', 'name sku price');
+  if (!priceList) {
+    res.status(404);
+    throw new Error('Price list not found');
+  }
+  res.json(priceList);
+});
+
+/**
+ * @desc    Create a price list
+ * @route   POST /api/admin/.../price-lists
+ * @access  Admin
+ */
+exports.createPriceList = asyncHandler(async (req, res) => {
+  const priceList = await PriceList.create(pickEditable(req.body));
+  res.status(201).json(priceList);
+});
+
+/**
+ * @desc    Update a price list; `entries`, `roles` and `users` are replaced as a whole
+ * @route   PUT /api/admin/.../price-lists/:id
+ * @access  Admin
+ */
+exports.updatePriceList = asyncHandler(async (req, res) => {
+  const priceList = await PriceList.findById(req.params.id);
+  if (!priceList) {
+    res.status(404);
+    throw new Error('Price list not found');
+  }
+  priceList.set(pickEditable(req.body));
+  await priceList.save();
+  res.json({ message: 'Price list updated', priceList });
+});
+
+/**
+ * @desc    Delete a price list (orders keep the name they were priced with)
+ * @route   DELETE /api/admin/.../price-lists/:id
+ * @access  Admin
+ */
+exports.deletePriceList = asyncHandler(async (req, res) => {
+  const priceList = await PriceList.findByIdAndDelete(req.params.id);
+  if (!priceList) {
+    res.status(404);
+    throw new Error('Price list not found');
+  }
+  res.json({ message: 'Price list deleted' });
+});
@@ -2,46 +2,55 @@ const asyncHandler = require('express-async-handler');
 const mongoose = require('mongoose');
 const Product = require('../models/product.model');
 const Category = require('../models/category.model');
-const { safeSearchRegex } = require('../utils/regex.utils');
+const { matchedData } = require('express-validator');
+const { withPricing } = require('../utils/pricing.utils');
+const { searchProducts } = require('../utils/productSearch.utils');
+const { suggest } = require('../utils/suggest.utils');
+const { toPublicDownloads } = require('../utils/download.utils');
 
-// @desc    Get products (paginated, filtered, sorted, searched)
+// Storefront view of a product: prices for the customer, download files kept private
+function toStorefrontProduct(product, req) {
+  return { ...withPricing(product, { priceList: req.priceList }), downloads: toPublicDownloads(product.downloads) };
+}
+
+// @desc    Get products (paginated, filtered, sorted, full-text searched, with facet counts)
 // @route   GET /api/products
 // @access  Public
 exports.getProducts = asyncHandler(async (req, res) => {
   const MAX_LIMIT = 100;
-  const ALLOWED_SORTS = new Set(['createdAt', 'price', 'name', 'ratingAvg', 'ratingCount']);
+  const ALLOWED_SORTS = new Set(['relevance', 'createdAt', 'price', 'name', 'ratingAvg', 'ratingCount']);
 
-  let { page = 1, limit = 12, sort = 'createdAt', order = 'desc', category, search } = req.query;
+  const filters = matchedData(req, { locations: ['query'] });
+  let { page = 1, limit = 12, sort, order = 'desc', category } = req.query;
   page = Math.max(1, Number.parseInt(page, 10) || 1);
   limit = Math.min(MAX_LIMIT, Math.max(1, Number.parseInt(limit, 10) || 12));
-  if (!ALLOWED_SORTS.has(String(sort))) sort = 'createdAt';
+  // Searches rank by relevance unless another sort is asked for
+  if (!ALLOWED_SORTS.has(String(sort))) sort = filters.search ? 'relevance' : 'createdAt';
   const sortOrder = String(order).toLowerCase() === 'asc' ? 1 : -1;
 
-  const query = { enabled: true, isDeleted: { $ne: true } };
   if (category) {
     const cat = await Category.findOne({ slug: category }).lean();
-    if (cat) query.category = cat._id;
-  }
-  if (search) {
-    const rx = safeSearchRegex(search);
-    if (rx) query.name = rx;
+    if (cat) filters.category = cat._id;
   }
-  const total = await Product.countDocuments(query);
-  const products = await Product.find(query)
-    .populate('category', 'name slug')
-    .sort({ [sort]: sortOrder })
-    .skip((page - 1) * limit)
-    .limit(limit)
-    .lean();
+  const { total, products, facets } = await searchProducts(filters, { page, limit, sort, sortOrder });
 
   res.json({
     page,
     pages: Math.ceil(total / limit),
     total,
-    products
+    products: products.map((p) => toStorefrontProduct(p, req)),
+    facets
   });
 });
 
+// @desc    Autocomplete: product names, categories and tags matching partial input
+// @route   GET /api/products/suggest?q=
+// @access  Public
+exports.suggestProducts = asyncHandler(async (req, res) => {
+  const { q } = matchedData(req, { locations: ['query'] });
+  res.json(await suggest(q));
+});
+
 // @desc    Get single product by slug or ID
 // @route   GET /api/products/:identifier
 // @access  Public
@@ -58,5 +67,5 @@ exports.getProductById = asyncHandler(async (req, res) => {
     res.status(404);
     throw new Error('Product not found');
   }
-  res.json(product);
+  res.json(toStorefrontProduct(product, req));
 });
\ No newline at end of file
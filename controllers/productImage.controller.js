@@ -0,0 +1,122 @@
+const asyncHandler = require('express-async-handler');
+const Product = require('../models/product.model');
+const { storeProductImage, removeImageFiles } = require('../utils/productImage.utils');
+
+async function findProduct(id, res) {
+  const product = await Product.findById(id);
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+  return product;
+}
+
+// Alt texts aligned with images (seo.altTags may be shorter or missing)
+function currentAltTags(product) {
+  const altTags = product.seo?.altTags || [];
+  return product.images.map((_url, i) => altTags[i] || '');
+}
+
+function imagesResponse(product) {
+  return {
+    images: product.images,
+    imageAssets: product.imageAssets,
+    altTags: product.seo?.altTags || [],
+  };
+}
+
+/**
+ * @desc    Upload product images; each gets a display size, a thumbnail and WebP copies, without EXIF data.
+ *          `alt` (one per file, in order) is saved to seo.altTags.
+ * @route   POST /api/admin/.../products/:id/images
+ * @access  Admin
+ */
+exports.uploadProductImages = asyncHandler(async (req, res) => {
+  const product = await findProduct(req.params.id, res);
+  if (!req.files?.length) {
+    res.status(400);
+    throw new Error('Upload at least one image as "images"');
+  }
+  const alts = [].concat(req.body.alt ?? []);
+
+  const assets = [];
+  try {
+    for (const file of req.files) {
+      assets.push(await storeProductImage(file.buffer, product.id));
+    }
+    const altTags = currentAltTags(product);
+    assets.forEach((asset, i) => {
+      product.images.push(asset.url);
+      product.imageAssets.push(asset);
+      altTags.push(String(alts[i] ?? '').trim());
+    });
+    product.set('seo.altTags', altTags);
+    await product.save();
+  } catch (err) {
+    await removeImageFiles(assets.flatMap((a) => a.files));
+    throw err;
+  }
+
+  res.status(201).json({ message: 'Images uploaded', ...imagesResponse(product) });
+});
+
+/**
+ * @desc    Reorder, relabel or remove images: `images` is the full new list of `{ url, alt }`.
+ *          Uploaded images left out are deleted from storage.
+ * @route   PUT /api/admin/.../products/:id/images
+ * @access  Admin
+ */
+exports.updateProductImages = asyncHandler(async (req, res) => {
+  const product = await findProduct(req.params.id, res);
+  const altTags = currentAltTags(product);
+  const altByUrl = new Map(product.images.map((url, i) => [url, altTags[i]]));
+
+  const seen = new Set();
+  for (const { url } of req.body.images) {
+    if (!altByUrl.has(url)) {
+      res.status(400);
+      throw new Error(`Image ${url} does not belong to this product`);
+    }
+    if (seen.has(url)) {
+      res.status(400);
+      throw new Error(`Image ${url} is listed twice`);
+    }
+    seen.add(url);
+  }
+
+  const removed = product.imageAssets.filter((a) => !seen.has(a.url));
+  product.images = req.body.images.map((i) => i.url);
+  product.set('seo.altTags', req.body.images.map((i) => (i.alt !== undefined ? String(i.alt).trim() : altByUrl.get(i.url))));
+  product.imageAssets = product.imageAssets.filter((a) => seen.has(a.url));
+  await product.save();
+  await removeImageFiles(removed.flatMap((a) => a.files));
+
+  res.json({ message: 'Images updated', ...imagesResponse(product) });
+});
+
+/**
+ * @desc    Delete one uploaded image and its files
+ * @route   DELETE /api/admin/.../products/:id/images/:imageId
+ * @access  Admin
+ */
+exports.deleteProductImage = asyncHandler(async (req, res) => {
+  const product = await findProduct(req.params.id, res);
+  const asset = product.imageAssets.id(req.params.imageId);
+  if (!asset) {
+    res.status(404);
+    throw new Error('Image not found');
+  }
+
+  const index = product.images.indexOf(asset.url);
+  const altTags = currentAltTags(product);
+  if (index !== -1) {
+    product.images.splice(index, 1);
+    altTags.splice(index, 1);
+  }
+  product.set('seo.altTags', altTags);
+  product.imageAssets.pull(asset._id);
+  await product.save();
+  await removeImageFiles(asset.files);
+
+  res.json({ message: 'Image deleted', ...imagesResponse(product) });
+});
@@ -0,0 +1,339 @@
+const asyncHandler = require('express-async-handler');
+const Product = require('../models/product.model');
+const Question = require('../models/question.model');
+const { findProductPurchase } = require('../utils/order.utils');
+const {
+  sendEmail,
+  questionApprovedTemplate,
+  questionRejectedTemplate,
+  questionAnsweredTemplate
+} = require('../utils/email.utils');
+const { env } = require('../config/env');
+
+const QUESTION_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  most_answered: { answerCount: -1, createdAt: -1 }
+};
+
+function productLink(product) {
+  return `${env.CLIENT_ORIGIN}/products/${product?.slug || product?._id}#questions`;
+}
+
+// Emails the asker without holding up the response
+function notifyAsker(question, subject, html) {
+  if (!question.user?.email) return;
+  sendEmail(question.user.email, subject, html).catch((e) => {
+    console.error('Question email failed:', e.message);
+  });
+}
+
+// Storefront shape: names instead of accounts, best answers first, no voters or moderation details
+function toPublicQuestion(question) {
+  const answers = [...question.answers].sort((a, b) => b.upvoteCount - a.upvoteCount || a.createdAt - b.createdAt);
+  return {
+    _id: question._id,
+    question: question.question,
+    userName: question.user?.name || 'Anonymous',
+    createdAt: question.createdAt,
+    answerCount: question.answerCount,
+    answers: answers.map(a => ({
+      _id: a._id,
+      body: a.body,
+      answeredAs: a.answeredAs,
+      userName: a.user?.name || 'Anonymous',
+      upvoteCount: a.upvoteCount,
+      createdAt: a.createdAt
+    }))
+  };
+}
+
+async function findPublishedQuestion(req, res) {
+  const question = await Question.findOne({ _id: req.params.questionId, isApproved: true });
+  if (!question) {
+    res.status(404);
+    throw new Error('Question not found');
+  }
+  return question;
+}
+
+async function findAnswer(req, res) {
+  const question = await findPublishedQuestion(req, res);
+  const answer = question.answers.id(req.params.answerId);
+  if (!answer) {
+    res.status(404);
+    throw new Error('Answer not found');
+  }
+  return { question, answer };
+}
+
+/**
+ * @desc    Get approved questions and their answers for a product
+ * @route   GET /api/questions/product/:productId
+ * @access  Public
+ */
+exports.getProductQuestions = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const { sort = 'newest' } = req.query;
+  const page = Number(req.query.page) || 1;
+  const limit = Number(req.query.limit) || 10;
+
+  const product = await Product.findById(productId).select('name').lean();
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  const query = { product: productId, isApproved: true };
+  const [questions, total] = await Promise.all([
+    Question.find(query)
+      .populate('user', 'name')
+      .populate('answers.user', 'name')
+      .sort(QUESTION_SORTS[sort] || QUESTION_SORTS.newest)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Question.countDocuments(query)
+  ]);
+
+  res.json({
+    productId,
+    productName: product.name,
+    questions: questions.map(toPublicQuestion),
+    page,
+    pages: Math.ceil(total / limit),
+    total
+  });
+});
+
+/**
+ * @desc    Ask a question about a product; it is published once a moderator approves it
+ * @route   POST /api/questions/product/:productId
+ * @access  Private
+ */
+exports.askQuestion = asyncHandler(async (req, res) => {
+  const product = await Product.exists({ _id: req.params.productId });
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  const question = await Question.create({
+    product: req.params.productId,
+    user: req.user._id,
+    question: req.body.question
+  });
+
+  res.status(201).json({ message: 'Question submitted for moderation', question });
+});
+
+/**
+ * @desc    Get user's questions, including ones awaiting moderation
+ * @route   GET /api/questions/my-questions
+ * @access  Private
+ */
+exports.getMyQuestions = asyncHandler(async (req, res) => {
+  const questions = await Question.find({ user: req.user._id })
+    .populate('product', 'name slug images')
+    .populate('answers.user', 'name')
+    .select('-answers.upvotes')
+    .sort('-createdAt');
+
+  res.json(questions.map(question => ({
+    ...question.toJSON(),
+    product: question.product?._id,
+    productName: question.product?.name,
+    productSlug: question.product?.slug,
+    productImage: question.product?.images?.[0]
+  })));
+});
+
+/**
+ * @desc    Delete a question
+ * @route   DELETE /api/questions/:questionId
+ * @access  Private (asker or admin)
+ */
+exports.deleteQuestion = asyncHandler(async (req, res) => {
+  const question = await Question.findById(req.params.questionId);
+  if (!question) {
+    res.status(404);
+    throw new Error('Question not found');
+  }
+  if (!question.user.equals(req.user._id) && req.user.role !== 'admin') {
+    res.status(403);
+    throw new Error('Not authorized to delete this question');
+  }
+  await question.deleteOne();
+  res.json({ message: 'Question deleted' });
+});
+
+/**
+ * @desc    Answer a published question; the asker is notified by email
+ * @route   POST /api/questions/:questionId/answers
+ * @access  Private (admins and customers who bought the product)
+ */
+exports.answerQuestion = asyncHandler(async (req, res) => {
+  const question = await findPublishedQuestion(req, res);
+
+  let answeredAs = 'staff';
+  if (req.user.role !== 'admin') {
+    if (!(await findProductPurchase(req.user._id, question.product))) {
+      res.status(403);
+      throw new Error('Only our staff and customers who bought this product can answer');
+    }
+    answeredAs = 'verified_purchaser';
+  }
+
+  question.answers.push({ user: req.user._id, body: req.body.body, answeredAs });
+  question.answerCount = question.answers.length;
+  await question.save();
+  const answer = question.answers[question.answers.length - 1];
+
+  if (!question.user.equals(req.user._id)) {
+    await question.populate([{ path: 'user', select: 'name email' }, { path: 'product', select: 'name slug' }]);
+    notifyAsker(
+      question,
+      `New answer to your question about ${question.product?.name}`,
+      questionAnsweredTemplate(question.user.name, question.product?.name, answer.body, productLink(question.product))
+    );
+  }
+
+  res.status(201).json({
+    message: 'Answer posted',
+    answer: { _id: answer._id, body: answer.body, answeredAs, userName: req.user.name, upvoteCount: 0, createdAt: answer.createdAt }
+  });
+});
+
+/**
+ * @desc    Delete an answer
+ * @route   DELETE /api/questions/:questionId/answers/:answerId
+ * @access  Private (answer author or admin)
+ */
+exports.deleteAnswer = asyncHandler(async (req, res) => {
+  const question = await Question.findById(req.params.questionId);
+  const answer = question?.answers.id(req.params.answerId);
+  if (!answer) {
+    res.status(404);
+    throw new Error('Answer not found');
+  }
+  if (!answer.user.equals(req.user._id) && req.user.role !== 'admin') {
+    res.status(403);
+    throw new Error('Not authorized to delete this answer');
+  }
+  question.answers.pull(answer._id);
+  question.answerCount = question.answers.length;
+  await question.save();
+  res.json({ message: 'Answer deleted', answerCount: question.answerCount });
+});
+
+/**
+ * @desc    Upvote an answer (one vote per user; voting again changes nothing)
+ * @route   POST /api/questions/:questionId/answers/:answerId/upvote
+ * @access  Private
+ */
+exports.upvoteAnswer = asyncHandler(async (req, res) => {
+  const { question, answer } = await findAnswer(req, res);
+  if (answer.user.equals(req.user._id)) {
+    res.status(400);
+    throw new Error('You cannot upvote your own answer');
+  }
+  const updated = await Question.addAnswerUpvote(question._id, answer._id, req.user._id);
+  const current = updated ? updated.answers.id(answer._id) : answer;
+  res.json({ upvoteCount: current.upvoteCount, voted: true });
+});
+
+/**
+ * @desc    Retract an upvote
+ * @route   DELETE /api/questions/:questionId/answers/:answerId/upvote
+ * @access  Private
+ */
+exports.retractAnswerUpvote = asyncHandler(async (req, res) => {
+  const { question, answer } = await findAnswer(req, res);
+  const updated = await Question.removeAnswerUpvote(question._id, answer._id, req.user._id);
+  const current = updated ? updated.answers.id(answer._id) : answer;
+  res.json({ upvoteCount: current.upvoteCount, voted: false });
+});
+
+/**
+ * @desc    List questions by moderation status (admin); defaults to the pending queue, oldest first
+ * @route   GET /api/admin/.../questions
+ * @access  Admin
+ */
+exports.listQuestions = asyncHandler(async (req, res) => {
+  const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit, 10) || 20));
+  const status = req.query.status || 'pending';
+  const query = {
+    pending: { isApproved: false, rejectedAt: null },
+    approved: { isApproved: true },
+    rejected: { isApproved: false, rejectedAt: { $ne: null } }
+  }[status];
+  if (req.query.product) query.product = req.query.product;
+
+  const [questions, total] = await Promise.all([
+    Question.find(query)
+      .populate('user', 'name email')
+      .populate('product', 'name slug')
+      .select('-answers.upvotes')
+      .sort(status === 'pending' ? 'createdAt' : '-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Question.countDocuments(query)
+  ]);
+
+  res.json({ page, pages: Math.ceil(total / limit), total, status, questions });
+});
+
+async function moderateQuestion(req, res, approve) {
+  const question = await Question.findById(req.params.id)
+    .populate('user', 'name email')
+    .populate('product', 'name slug');
+  if (!question) {
+    res.status(404);
+    throw new Error('Question not found');
+  }
+  if (approve ? question.isApproved : question.rejectedAt) {
+    res.status(409);
+    throw new Error(`Question is already ${approve ? 'approved' : 'rejected'}`);
+  }
+
+  question.set({
+    isApproved: approve,
+    approvedAt: approve ? new Date() : undefined,
+    rejectedAt: approve ? undefined : new Date(),
+    rejectionReason: approve ? undefined : req.body.reason,
+    moderatedBy: req.user._id
+  });
+  await question.save();
+  return question;
+}
+
+/**
+ * @desc    Approve a question: it is published and the asker is notified
+ * @route   PUT /api/admin/.../questions/:id/approve
+ * @access  Admin
+ */
+exports.approveQuestion = asyncHandler(async (req, res) => {
+  const question = await moderateQuestion(req, res, true);
+  notifyAsker(
+    question,
+    `Your question about ${question.product?.name} is published`,
+    questionApprovedTemplate(question.user.name, question.product?.name, productLink(question.product))
+  );
+  res.json({ message: 'Question approved', question });
+});
+
+/**
+ * @desc    Reject a question, or take down a published one; the asker is notified
+ * @route   PUT /api/admin/.../questions/:id/reject
+ * @access  Admin
+ */
+exports.rejectQuestion = asyncHandler(async (req, res) => {
+  const question = await moderateQuestion(req, res, false);
+  notifyAsker(
+    question,
+    `Your question about ${question.product?.name}`,
+    questionRejectedTemplate(question.user.name, question.product?.name, question.rejectionReason)
+  );
+  res.json({ message: 'Question rejected', question });
+});
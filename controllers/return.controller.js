@@ -0,0 +1,365 @@
+const asyncHandler = require('express-async-handler');
+const Order = require('../models/order.model');
+const ReturnRequest = require('../models/returnRequest.model');
+const { createRefund } = require('../utils/payment.utils');
+const { issueCreditNotes } = require('../utils/invoice.utils');
+const { releaseStock } = require('../utils/inventory.utils');
+const {
+  orderLineKey,
+  findOrderItem,
+  mergeItemLines,
+  calculateLineRefund,
+  getRefundableTotal,
+  getRefundedAmount,
+  getRefundedQuantities,
+  claimOrderForRefund,
+  releaseOrderRefund,
+  recordRefund,
+} = require('../utils/order.utils');
+const { actorFromUser, applyOrderTransition } = require('../utils/orderStatus.utils');
+const { env } = require('../config/env');
+
+// Quantities per order line already covered by non-rejected returns of an order
+async function getReturnedQuantities(orderId) {
+  const returns = await ReturnRequest.find({ order: orderId, status: { $ne: 'rejected' } }).select('items').lean();
+  const returned = new Map();
+  returns.forEach((r) => r.items.forEach((it) => {
+    const key = orderLineKey(it.product, it.variant);
+    returned.set(key, (returned.get(key) || 0) + it.qty);
+  }));
+  return returned;
+}
+
+/**
+ * @desc    Open a return request for items of a delivered order
+ * @route   POST /api/orders/:id/returns
+ * @access  Private (order owner)
+ */
+exports.createReturnRequest = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+  if (order.user?.toString() !== req.user.id) {
+    res.status(403);
+    throw new Error('Not authorized to return this order');
+  }
+  if (order.status !== 'delivered') {
+    res.status(409);
+    throw new Error('Only delivered orders can be returned');
+  }
+  const deliveredAt = order.deliveredAt || order.updatedAt;
+  const windowEnds = new Date(new Date(deliveredAt).getTime() + env.RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  if (windowEnds < new Date()) {
+    res.status(409);
+    throw new Error(`Returns must be requested within ${env.RETURN_WINDOW_DAYS} days of delivery`);
+  }
+
+  const lines = mergeItemLines(req.body.items);
+  if (lines.length === 0) {
+    res.status(400);
+    throw new Error('No return items');
+  }
+
+  const returned = await getReturnedQuantities(order._id);
+  const items = [];
+  for (const line of lines) {
+    const orderItem = findOrderItem(order, line.productId, line.variantId);
+    if (!orderItem) {
+      res.status(400);
+      throw new Error('One or more items are not part of this order');
+    }
+    const available = orderItem.qty - (returned.get(orderLineKey(line.productId, line.variantId)) || 0);
+    if (line.qty > available) {
+      res.status(400);
+      throw new Error(`Cannot return more than ${available} of ${orderItem.name}`);
+    }
+    items.push({
+      product: orderItem.product,
+      variant: orderItem.variant,
+      sku: orderItem.sku,
+      name: orderItem.name,
+      variantName: orderItem.variantName,
+      qty: line.qty,
+      price: orderItem.price,
+    });
+  }
+
+  const returnRequest = await ReturnRequest.create({
+    order: order._id,
+    user: req.user.id,
+    items,
+    reason: req.body.reason,
+  });
+
+  order.addTimelineEvent('return_requested', `Return ${returnRequest.rmaNumber} requested`, undefined, actorFromUser(req.user));
+  await order.save();
+
+  res.status(201).json(returnRequest);
+});
+
+/**
+ * @desc    List return requests for an order
+ * @route   GET /api/orders/:id/returns
+ * @access  Private (order owner)
+ */
+exports.getOrderReturns = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id).select('user').lean();
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+  if (order.user?.toString() !== req.user.id) {
+    res.status(403);
+    throw new Error('Not authorized to view this order');
+  }
+  const returns = await ReturnRequest.find({ order: order._id })
+    .select('-handledBy')
+    .sort('-createdAt')
+    .lean();
+  res.json(returns);
+});
+
+// ========== ADMIN ROUTES ==========
+
+/**
+ * @desc    List return requests (admin)
+ * @route   GET /api/admin/.../returns
+ * @access  Admin
+ */
+exports.listReturnRequests = asyncHandler(async (req, res) => {
+  const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit, 10) || 20));
+  const query = {};
+  if (req.query.status) query.status = req.query.status;
+  if (req.query.order) query.order = req.query.order;
+
+  const [returns, total] = await Promise.all([
+    ReturnRequest.find(query)
+      .populate('user', 'name email')
+      .populate('order', 'orderNumber totalPrice status')
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ReturnRequest.countDocuments(query)
+  ]);
+
+  res.json({ page, pages: Math.ceil(total / limit), total, returns });
+});
+
+/**
+ * @desc    Get a return request (admin)
+ * @route   GET /api/admin/.../returns/:id
+ * @access  Admin
+ */
+exports.getReturnRequest = asyncHandler(async (req, res) => {
+  const returnRequest = await ReturnRequest.findById(req.params.id)
+    .populate('user', 'name email')
+    .populate('order')
+    .populate('handledBy', 'name email');
+  if (!returnRequest) {
+    res.status(404);
+    throw new Error('Return request not found');
+  }
+  res.json(returnRequest);
+});
+
+/**
+ * @desc    Approve a return request and refund the returned items through Stripe. The order
+ *          is claimed like for admin refunds, so the amount left to refund cannot go stale.
+ * @route   PUT /api/admin/.../returns/:id/approve
+ * @access  Admin
+ */
+exports.approveReturnRequest = asyncHandler(async (req, res) => {
+  const pending = await ReturnRequest.findById(req.params.id);
+  if (!pending) {
+    res.status(404);
+    throw new Error('Return request not found');
+  }
+  const order = await claimOrderForRefund(pending.order);
+  if (!order) {
+    const exists = await Order.exists({ _id: pending.order });
+    res.status(exists ? 409 : 404);
+    throw new Error(exists ? 'Another refund for this order is being issued' : 'Order not found');
+  }
+  try {
+    await approveClaimedReturn(req, res, pending, order);
+  } finally {
+    await releaseOrderRefund(order._id);
+  }
+});
+
+async function approveClaimedReturn(req, res, pending, order) {
+  // Work out the refund before claiming the request so validation errors leave it untouched.
+  const canRefund = order.payment?.status === 'paid' && !!order.payment?.intentId;
+  let amount = 0;
+  if (canRefund) {
+    const refunded = getRefundedQuantities(order);
+    const coversRemainingItems = order.orderItems.every((it) => {
+      const key = orderLineKey(it.product, it.variant);
+      const inThisReturn = pending.items
+        .filter((r) => orderLineKey(r.product, r.variant) === key)
+        .reduce((sum, r) => sum + r.qty, 0);
+      return (refunded.get(key) || 0) + inThisReturn >= it.qty;
+    });
+    amount = calculateLineRefund(order, pending.items, { coversRemainingItems });
+    if (req.body.refundAmount !== undefined) {
+      const requested = Math.round(Number(req.body.refundAmount) * 100);
+      const remaining = getRefundableTotal(order) - getRefundedAmount(order);
+      if (requested > remaining) {
+        res.status(400);
+        throw new Error('Refund amount exceeds the amount left to refund');
+      }
+      amount = requested;
+    }
+  }
+
+  // Claim the request so a double click cannot refund twice.
+  const returnRequest = await ReturnRequest.findOneAndUpdate(
+    { _id: pending._id, status: 'requested' },
+    { $set: { status: 'approved', approvedAt: new Date(), handledBy: req.user._id } },
+    { new: true }
+  );
+  if (!returnRequest) {
+    res.status(409);
+    throw new Error('Return request has already been handled');
+  }
+
+  let refund = null;
+  if (amount > 0) {
+    try {
+      refund = await createRefund(order.payment.intentId, amount, {
+        orderId: order.id,
+        returnId: returnRequest.id,
+        reference: `return:${returnRequest.rmaNumber}`,
+      });
+    } catch (err) {
+      await ReturnRequest.updateOne(
+        { _id: returnRequest._id, status: 'approved' },
+        { $set: { status: 'requested' }, $unset: { approvedAt: 1, handledBy: 1 } }
+      );
+      res.status(502);
+      throw new Error('Refund could not be issued, please try again');
+    }
+  }
+
+  if (req.body.note !== undefined) returnRequest.adminNote = req.body.note;
+  const actor = actorFromUser(req.user);
+  if (refund) {
+    returnRequest.refund = { stripeRefundId: refund.id, amount: refund.amount, date: new Date() };
+  }
+  await returnRequest.save();
+
+  if (refund) {
+    recordRefund(order, {
+      stripeRefundId: refund.id,
+      amount: refund.amount,
+      reason: `Return ${returnRequest.rmaNumber}`,
+      source: 'return',
+      lines: returnRequest.items.map((it) => ({ product: it.product, variant: it.variant, qty: it.qty })),
+      returnRequest: returnRequest._id,
+      createdBy: req.user._id,
+      actor,
+    });
+  }
+  order.addTimelineEvent(
+    'return_approved',
+    refund
+      ? `Return ${returnRequest.rmaNumber} approved, refunded ${(refund.amount / 100).toFixed(2)}`
+      : `Return ${returnRequest.rmaNumber} approved`,
+    undefined,
+    actor
+  );
+  await order.save();
+  if (refund) await issueCreditNotes(order);
+
+  res.json({ message: 'Return approved', returnRequest });
+}
+
+/**
+ * @desc    Reject a return request
+ * @route   PUT /api/admin/.../returns/:id/reject
+ * @access  Admin
+ */
+exports.rejectReturnRequest = asyncHandler(async (req, res) => {
+  const returnRequest = await ReturnRequest.findOneAndUpdate(
+    { _id: req.params.id, status: 'requested' },
+    { $set: { status: 'rejected', rejectedAt: new Date(), handledBy: req.user._id, adminNote: req.body.note } },
+    { new: true }
+  );
+  if (!returnRequest) {
+    const exists = await ReturnRequest.exists({ _id: req.params.id });
+    res.status(exists ? 409 : 404);
+    throw new Error(exists ? 'Return request has already been handled' : 'Return request not found');
+  }
+
+  const order = await Order.findById(returnRequest.order);
+  if (order) {
+    order.addTimelineEvent('return_rejected', `Return ${returnRequest.rmaNumber} rejected`, undefined, actorFromUser(req.user));
+    await order.save();
+  }
+
+  res.json({ message: 'Return rejected', returnRequest });
+});
+
+/**
+ * @desc    Mark returned goods as received, optionally putting them back in stock
+ * @route   PUT /api/admin/.../returns/:id/receive
+ * @access  Admin
+ */
+exports.receiveReturnRequest = asyncHandler(async (req, res) => {
+  const restock = req.body.restock === true;
+  const returnRequest = await ReturnRequest.findOneAndUpdate(
+    { _id: req.params.id, status: 'approved' },
+    { $set: { status: 'received', receivedAt: new Date(), restocked: restock, handledBy: req.user._id } },
+    { new: true }
+  );
+  if (!returnRequest) {
+    const exists = await ReturnRequest.exists({ _id: req.params.id });
+    res.status(exists ? 409 : 404);
+    throw new Error(exists ? 'Only approved returns can be marked received' : 'Return request not found');
+  }
+
+  if (restock) {
+    await Promise.all(
+      returnRequest.items.map((it) =>
+        releaseStock({ productId: it.product, variantId: it.variant, qty: it.qty })
+      )
+    );
+  }
+
+  const order = await Order.findById(returnRequest.order);
+  if (order) {
+    const received = await ReturnRequest.find({ order: order._id, status: 'received' }).select('items').lean();
+    const receivedQty = new Map();
+    received.forEach((r) => r.items.forEach((it) => {
+      const key = orderLineKey(it.product, it.variant);
+      receivedQty.set(key, (receivedQty.get(key) || 0) + it.qty);
+    }));
+    const everythingBack = order.orderItems.every(
+      (it) => (receivedQty.get(orderLineKey(it.product, it.variant)) || 0) >= it.qty
+    );
+    const actor = actorFromUser(req.user);
+    if (everythingBack) {
+      // Best effort: the goods are already back, so a shipment the state machine cannot
+      // move (e.g. never marked shipped) only keeps its current status.
+      applyOrderTransition(order, {
+        status: order.status === 'refunded' ? undefined : 'returned',
+        shippingStatus: order.status === 'refunded' ? 'returned' : undefined,
+        actor,
+        message: 'All items returned',
+      });
+    }
+    order.addTimelineEvent(
+      'return_received',
+      `Return ${returnRequest.rmaNumber} received${restock ? ' and restocked' : ''}`,
+      undefined,
+      actor
+    );
+    await order.save();
+  }
+
+  res.json({ message: 'Return received', returnRequest });
+});
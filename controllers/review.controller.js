@@ -1,203 +1,253 @@
 const asyncHandler = require('express-async-handler');
 const mongoose = require('mongoose');
 const Product = require('../models/product.model');
-const Order = require('../models/order.model');
+const Review = require('../models/review.model');
+const User = require('../models/user.model');
+const { findProductPurchase } = require('../utils/order.utils');
+const { verifyReviewRequestToken, verifyOptOutToken } = require('../utils/reviewRequest.utils');
+const { env } = require('../config/env');
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+  most_helpful: { helpfulCount: -1, createdAt: -1 }
+};
+
+// Moderation details, voters and reporters stay out of storefront responses
+const PUBLIC_EXCLUDE = '-helpfulVotes -reports -reportCount -flaggedAt -order -moderatedBy -rejectionReason -adminResponse.respondedBy';
+
+async function findOwnReview(req, res, { allowAdmin = false } = {}) {
+  const review = await Review.findById(req.params.reviewId);
+  if (!review) {
+    res.status(404);
+    throw new Error('Review not found');
+  }
+  if (review.user.toString() !== req.user.id && !(allowAdmin && req.user.role === 'admin')) {
+    res.status(403);
+    throw new Error(allowAdmin ? 'Not authorized to delete this review' : 'You can only edit your own reviews');
+  }
+  return review;
+}
+
+// A published review someone other than its author can vote on or report
+async function findOthersReview(req, res, action) {
+  const review = await Review.findById(req.params.reviewId).select('user isApproved helpfulCount');
+  if (!review || !review.isApproved) {
+    res.status(404);
+    throw new Error('Review not found');
+  }
+  if (review.user.toString() === req.user.id) {
+    res.status(400);
+    throw new Error(`You cannot ${action} your own review`);
+  }
+  return review;
+}
 
 /**
- * @desc    Get reviews for a product
+ * @desc    Get approved reviews for a product
  * @route   GET /api/reviews/product/:productId
  * @access  Public
  */
 exports.getProductReviews = asyncHandler(async (req, res) => {
   const { productId } = req.params;
-  const { page = 1, limit = 10, sort = 'newest' } = req.query;
-  
+  const { sort = 'newest' } = req.query;
+  const page = Number(req.query.page) || 1;
+  const limit = Number(req.query.limit) || 10;
+
   if (!mongoose.Types.ObjectId.isValid(productId)) {
     res.status(400);
     throw new Error('Invalid product ID');
   }
-  
+
   const product = await Product.findById(productId)
-    .select('reviews ratingAvg ratingCount name')
+    .select('ratingAvg ratingCount name')
     .lean();
-  
+
   if (!product) {
     res.status(404);
     throw new Error('Product not found');
   }
-  
-  let reviews = product.reviews || [];
-  
-  // Sort reviews
-  if (sort === 'newest') {
-    reviews.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-  } else if (sort === 'oldest') {
-    reviews.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-  } else if (sort === 'highest') {
-    reviews.sort((a, b) => b.rating - a.rating);
-  } else if (sort === 'lowest') {
-    reviews.sort((a, b) => a.rating - b.rating);
-  }
-  
-  // Paginate
-  const skip = (Number(page) - 1) * Number(limit);
-  const paginatedReviews = reviews.slice(skip, skip + Number(limit));
-  
-  // Get user info for reviews
-  const User = require('../models/user.model');
-  const userIds = paginatedReviews.map(r => r.user).filter(Boolean);
-  const users = await User.find({ _id: { $in: userIds } })
-    .select('name')
-    .lean();
-  const userMap = new Map(users.map(u => [u._id.toString(), u]));
-  
-  const reviewsWithUser = paginatedReviews.map(r => ({
-    ...r,
-    userName: userMap.get(r.user?.toString())?.name || 'Anonymous'
-  }));
-  
-  // Calculate rating distribution
-  const ratingDistribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
-  reviews.forEach(r => {
-    if (r.rating >= 1 && r.rating <= 5) {
-      ratingDistribution[r.rating]++;
-    }
-  });
-  
+
+  const query = { product: productId, isApproved: true };
+  const [reviews, stats] = await Promise.all([
+    Review.find(query)
+      .populate('user', 'name')
+      .select(PUBLIC_EXCLUDE)
+      .sort(REVIEW_SORTS[sort] || REVIEW_SORTS.newest)
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Review.getProductStats(productId)
+  ]);
+
   res.json({
     productId,
     productName: product.name,
     ratingAvg: product.ratingAvg || 0,
     ratingCount: product.ratingCount || 0,
-    ratingDistribution,
-    reviews: reviewsWithUser,
-    page: Number(page),
-    pages: Math.ceil(reviews.length / Number(limit)),
-    total: reviews.length
+    ratingDistribution: stats.ratingDistribution,
+    reviews: reviews.map(r => ({
+      ...r.toJSON(),
+      user: r.user?._id,
+      userName: r.user?.name || 'Anonymous'
+    })),
+    page,
+    pages: Math.ceil(stats.totalReviews / limit),
+    total: stats.totalReviews
   });
 });
 
-/**
- * @desc    Add a review to a product
- * @route   POST /api/reviews/product/:productId
- * @access  Private (must have purchased)
- */
-exports.addProductReview = asyncHandler(async (req, res) => {
-  const { productId } = req.params;
-  const { rating, comment } = req.body;
-  const userId = req.user.id;
-  
+// Shared by signed-in submissions and one-click links from review request emails
+async function createReview(res, user, productId, { rating, title, comment, images }) {
   if (!mongoose.Types.ObjectId.isValid(productId)) {
     res.status(400);
     throw new Error('Invalid product ID');
   }
-  
+
   if (!rating || rating < 1 || rating > 5) {
     res.status(400);
     throw new Error('Rating must be between 1 and 5');
   }
-  
-  const product = await Product.findById(productId);
+
+  const product = await Product.exists({ _id: productId });
   if (!product) {
     res.status(404);
     throw new Error('Product not found');
   }
-  
-  // Check if user has purchased this product
-  const hasPurchased = await Order.exists({
-    user: userId,
-    'orderItems.product': productId,
-    isPaid: true,
-    status: { $in: ['confirmed', 'processing', 'shipped', 'delivered'] }
-  });
-  
-  if (!hasPurchased) {
+
+  const purchase = await findProductPurchase(user._id, productId);
+  if (!purchase) {
     res.status(403);
     throw new Error('You can only review products you have purchased');
   }
-  
-  // Check if user already reviewed this product
-  const existingReview = product.reviews.find(
-    r => r.user && r.user.toString() === userId
-  );
-  
-  if (existingReview) {
+
+  if (await Review.hasUserReviewed(user._id, productId)) {
     res.status(400);
     throw new Error('You have already reviewed this product');
   }
-  
-  // Add the review
-  const review = {
-    user: userId,
-    rating: Number(rating),
-    comment: comment?.trim() || '',
-    createdAt: new Date()
-  };
-  
-  product.reviews.push(review);
-  
-  // Recalculate rating average
-  const totalRating = product.reviews.reduce((sum, r) => sum + r.rating, 0);
-  product.ratingCount = product.reviews.length;
-  product.ratingAvg = Number((totalRating / product.ratingCount).toFixed(1));
-  
-  await product.save();
-  
-  res.status(201).json({
-    message: 'Review added successfully',
+
+  try {
+    return await Review.create({
+      product: productId,
+      user: user._id,
+      order: purchase._id,
+      rating: Number(rating),
+      title,
+      comment,
+      images,
+      verifiedPurchase: true
+    });
+  } catch (err) {
+    // Two submissions racing past the check above
+    if (err?.code === 11000) {
+      res.status(400);
+      throw new Error('You have already reviewed this product');
+    }
+    throw err;
+  }
+}
+
+function reviewCreatedResponse(review, user) {
+  return {
+    message: 'Review submitted for moderation',
     review: {
-      ...review,
-      userName: req.user.name
-    },
-    newRatingAvg: product.ratingAvg,
-    newRatingCount: product.ratingCount
-  });
+      ...review.toJSON(),
+      userName: user.name
+    }
+  };
+}
+
+// The account behind a review request link
+async function findRequestUser(req, res) {
+  const grant = verifyReviewRequestToken(req.params.token);
+  const user = grant && await User.findById(grant.userId).select('name isActive');
+  if (!user || user.isActive === false) {
+    res.status(403);
+    throw new Error('Review link is invalid or has expired');
+  }
+  return { grant, user };
+}
+
+/**
+ * @desc    Add a review to a product; it is published once a moderator approves it
+ * @route   POST /api/reviews/product/:productId
+ * @access  Private (must have purchased)
+ */
+exports.addProductReview = asyncHandler(async (req, res) => {
+  const review = await createReview(res, req.user, req.params.productId, req.body);
+  res.status(201).json(reviewCreatedResponse(review, req.user));
 });
 
 /**
- * @desc    Update a review
- * @route   PUT /api/reviews/:reviewId
- * @access  Private (owner only)
+ * @desc    Product behind a review request email link, and whether it can still be reviewed
+ * @route   GET /api/reviews/request/:token
+ * @access  Holder of the link
  */
-exports.updateReview = asyncHandler(async (req, res) => {
-  const { reviewId } = req.params;
-  const { rating, comment } = req.body;
-  const userId = req.user.id;
-  
-  // Find product with this review
-  const product = await Product.findOne({ 'reviews._id': reviewId });
-  
+exports.getReviewRequest = asyncHandler(async (req, res) => {
+  const { grant, user } = await findRequestUser(req, res);
+  const product = await Product.findById(grant.productId).select('name slug images').lean();
   if (!product) {
     res.status(404);
-    throw new Error('Review not found');
-  }
-  
-  const review = product.reviews.id(reviewId);
-  
-  if (!review) {
-    res.status(404);
-    throw new Error('Review not found');
+    throw new Error('Product not found');
   }
-  
-  if (review.user.toString() !== userId) {
+  const reviewed = await Review.hasUserReviewed(user._id, product._id);
+
+  res.json({
+    product: { _id: product._id, name: product.name, slug: product.slug, image: product.images?.[0] },
+    userName: user.name,
+    canReview: !reviewed,
+    ...(reviewed && { reason: 'already_reviewed' })
+  });
+});
+
+/**
+ * @desc    Submit a review from a review request email link, without signing in
+ * @route   POST /api/reviews/request/:token
+ * @access  Holder of the link
+ */
+exports.submitRequestedReview = asyncHandler(async (req, res) => {
+  const { grant, user } = await findRequestUser(req, res);
+  const review = await createReview(res, user, grant.productId, req.body);
+  res.status(201).json(reviewCreatedResponse(review, user));
+});
+
+/**
+ * @desc    Stop review request emails (link at the bottom of every request)
+ * @route   POST /api/reviews/opt-out/:token
+ * @access  Holder of the link
+ */
+exports.optOutOfReviewRequests = asyncHandler(async (req, res) => {
+  const userId = verifyOptOutToken(req.params.token);
+  const result = userId && await User.updateOne({ _id: userId }, { $set: { reviewRequestOptOut: true } });
+  if (!result?.matchedCount) {
     res.status(403);
-    throw new Error('You can only edit your own reviews');
+    throw new Error('Opt-out link is invalid');
   }
-  
-  // Update review
+  res.json({ message: 'You will no longer receive review requests' });
+});
+
+/**
+ * @desc    Update a review; edited reviews go back to the moderation queue
+ * @route   PUT /api/reviews/:reviewId
+ * @access  Private (owner only)
+ */
+exports.updateReview = asyncHandler(async (req, res) => {
+  const { rating, title, comment, images } = req.body;
+  const review = await findOwnReview(req, res);
+
   if (rating) review.rating = Number(rating);
-  if (comment !== undefined) review.comment = comment.trim();
-  
-  // Recalculate rating average
-  const totalRating = product.reviews.reduce((sum, r) => sum + r.rating, 0);
-  product.ratingAvg = Number((totalRating / product.reviews.length).toFixed(1));
-  
-  await product.save();
-  
+  if (title !== undefined) review.title = title;
+  if (comment !== undefined) review.comment = comment;
+  if (images !== undefined) review.images = images;
+  review.resubmit();
+
+  // Saving recalculates the product rating, which no longer counts this review until re-approved
+  await review.save();
+
   res.json({
-    message: 'Review updated successfully',
-    review,
-    newRatingAvg: product.ratingAvg
+    message: 'Review updated and resubmitted for moderation',
+    review
   });
 });
 
@@ -207,48 +257,15 @@ exports.updateReview = asyncHandler(async (req, res) => {
  * @access  Private (owner or admin)
  */
 exports.deleteReview = asyncHandler(async (req, res) => {
-  const { reviewId } = req.params;
-  const userId = req.user.id;
-  const isAdmin = req.user.role === 'admin';
-  
-  const product = await Product.findOne({ 'reviews._id': reviewId });
-  
-  if (!product) {
-    res.status(404);
-    throw new Error('Review not found');
-  }
-  
-  const review = product.reviews.id(reviewId);
-  
-  if (!review) {
-    res.status(404);
-    throw new Error('Review not found');
-  }
-  
-  if (review.user.toString() !== userId && !isAdmin) {
-    res.status(403);
-    throw new Error('Not authorized to delete this review');
-  }
-  
-  // Remove review
-  product.reviews.pull(reviewId);
-  
-  // Recalculate rating
-  if (product.reviews.length > 0) {
-    const totalRating = product.reviews.reduce((sum, r) => sum + r.rating, 0);
-    product.ratingCount = product.reviews.length;
-    product.ratingAvg = Number((totalRating / product.ratingCount).toFixed(1));
-  } else {
-    product.ratingCount = 0;
-    product.ratingAvg = 0;
-  }
-  
-  await product.save();
-  
+  const review = await findOwnReview(req, res, { allowAdmin: true });
+
+  await review.deleteOne();
+  const stats = await Review.updateProductRating(review.product);
+
   res.json({
     message: 'Review deleted successfully',
-    newRatingAvg: product.ratingAvg,
-    newRatingCount: product.ratingCount
+    newRatingAvg: stats.averageRating,
+    newRatingCount: stats.totalReviews
   });
 });
 
@@ -260,64 +277,204 @@ exports.deleteReview = asyncHandler(async (req, res) => {
 exports.canReviewProduct = asyncHandler(async (req, res) => {
   const { productId } = req.params;
   const userId = req.user.id;
-  
+
   if (!mongoose.Types.ObjectId.isValid(productId)) {
     res.status(400);
     throw new Error('Invalid product ID');
   }
-  
-  // Check if purchased
-  const hasPurchased = await Order.exists({
-    user: userId,
-    'orderItems.product': productId,
-    isPaid: true,
-    status: { $in: ['confirmed', 'processing', 'shipped', 'delivered'] }
-  });
-  
-  if (!hasPurchased) {
+
+  if (!(await findProductPurchase(userId, productId))) {
     return res.json({ canReview: false, reason: 'not_purchased' });
   }
-  
-  // Check if already reviewed
-  const product = await Product.findById(productId).select('reviews').lean();
-  const hasReviewed = product?.reviews?.some(
-    r => r.user && r.user.toString() === userId
-  );
-  
-  if (hasReviewed) {
+
+  if (await Review.hasUserReviewed(userId, productId)) {
     return res.json({ canReview: false, reason: 'already_reviewed' });
   }
-  
+
   res.json({ canReview: true });
 });
 
 /**
- * @desc    Get user's reviews
+ * @desc    Get user's reviews, including ones awaiting moderation
  * @route   GET /api/reviews/my-reviews
  * @access  Private
  */
 exports.getMyReviews = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
-  
-  const products = await Product.find({ 'reviews.user': userId })
-    .select('name slug images reviews')
-    .lean();
-  
-  const myReviews = products.flatMap(product => {
-    const userReviews = product.reviews.filter(
-      r => r.user && r.user.toString() === userId
+  const reviews = await Review.find({ user: req.user.id })
+    .populate('product', 'name slug images')
+    .select('-helpfulVotes -reports')
+    .sort('-createdAt');
+
+  res.json(reviews.map(review => ({
+    ...review.toJSON(),
+    product: review.product?._id,
+    productId: review.product?._id,
+    productName: review.product?.name,
+    productSlug: review.product?.slug,
+    productImage: review.product?.images?.[0]
+  })));
+});
+
+/**
+ * @desc    Mark a review as helpful (one vote per user; voting again changes nothing)
+ * @route   POST /api/reviews/:reviewId/helpful
+ * @access  Private
+ */
+exports.voteHelpful = asyncHandler(async (req, res) => {
+  const review = await findOthersReview(req, res, 'vote on');
+  const updated = await Review.addHelpfulVote(review._id, req.user._id);
+  res.json({ helpfulCount: (updated || review).helpfulCount, voted: true });
+});
+
+/**
+ * @desc    Retract a helpful vote
+ * @route   DELETE /api/reviews/:reviewId/helpful
+ * @access  Private
+ */
+exports.retractHelpfulVote = asyncHandler(async (req, res) => {
+  const updated = await Review.removeHelpfulVote(req.params.reviewId, req.user._id);
+  const review = updated || await Review.findById(req.params.reviewId).select('helpfulCount');
+  if (!review) {
+    res.status(404);
+    throw new Error('Review not found');
+  }
+  res.json({ helpfulCount: review.helpfulCount, voted: false });
+});
+
+/**
+ * @desc    Report a review for abuse; enough reports hide it until a moderator has looked at it
+ * @route   POST /api/reviews/:reviewId/report
+ * @access  Private
+ */
+exports.reportReview = asyncHandler(async (req, res) => {
+  const review = await findOthersReview(req, res, 'report');
+  const reported = await Review.addReport(review._id, req.user._id, req.body.reason);
+  if (!reported) {
+    res.status(409);
+    throw new Error('You have already reported this review');
+  }
+
+  if (reported.reportCount >= env.REVIEW_REPORT_THRESHOLD) {
+    const hidden = await Review.findOneAndUpdate(
+      { _id: review._id, isApproved: true },
+      { $set: { isApproved: false, flaggedAt: new Date() }, $unset: { approvedAt: 1 } }
     );
-    return userReviews.map(review => ({
-      ...review,
-      productId: product._id,
-      productName: product.name,
-      productSlug: product.slug,
-      productImage: product.images?.[0]
-    }));
+    if (hidden) await Review.updateProductRating(hidden.product);
+  }
+
+  res.status(201).json({ message: 'Review reported' });
+});
+
+/**
+ * @desc    List reviews by moderation status (admin); defaults to the pending queue, oldest first,
+ *          which includes published reviews hidden by abuse reports (`flaggedAt`)
+ * @route   GET /api/admin/.../reviews
+ * @access  Admin
+ */
+exports.listReviews = asyncHandler(async (req, res) => {
+  const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit, 10) || 20));
+  const status = req.query.status || 'pending';
+  const query = {
+    pending: { isApproved: false, rejectedAt: null },
+    approved: { isApproved: true },
+    rejected: { isApproved: false, rejectedAt: { $ne: null } }
+  }[status];
+  if (req.query.product) query.product = req.query.product;
+
+  const [reviews, total] = await Promise.all([
+    Review.find(query)
+      .populate('user', 'name email')
+      .populate('product', 'name slug')
+      .select('-helpfulVotes')
+      .sort(status === 'pending' ? 'createdAt' : '-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Review.countDocuments(query)
+  ]);
+
+  res.json({ page, pages: Math.ceil(total / limit), total, status, reviews });
+});
+
+/**
+ * @desc    Approve a review: it is published and counted in the product rating
+ * @route   PUT /api/admin/.../reviews/:id/approve
+ * @access  Admin
+ */
+exports.approveReview = asyncHandler(async (req, res) => {
+  const review = await Review.findById(req.params.id);
+  if (!review) {
+    res.status(404);
+    throw new Error('Review not found');
+  }
+  if (review.isApproved) {
+    res.status(409);
+    throw new Error('Review is already approved');
+  }
+
+  review.set({
+    isApproved: true,
+    approvedAt: new Date(),
+    rejectedAt: undefined,
+    rejectionReason: undefined,
+    moderatedBy: req.user._id,
+    // Moderation settles the reports received so far
+    reportCount: 0,
+    flaggedAt: undefined
+  });
+  await review.save();
+
+  res.json({ message: 'Review approved', review });
+});
+
+/**
+ * @desc    Reject a review, or take down an approved one
+ * @route   PUT /api/admin/.../reviews/:id/reject
+ * @access  Admin
+ */
+exports.rejectReview = asyncHandler(async (req, res) => {
+  const review = await Review.findById(req.params.id);
+  if (!review) {
+    res.status(404);
+    throw new Error('Review not found');
+  }
+  if (review.rejectedAt) {
+    res.status(409);
+    throw new Error('Review is already rejected');
+  }
+
+  review.set({
+    isApproved: false,
+    approvedAt: undefined,
+    rejectedAt: new Date(),
+    rejectionReason: req.body.reason,
+    moderatedBy: req.user._id,
+    reportCount: 0,
+    flaggedAt: undefined
   });
-  
-  // Sort by newest first
-  myReviews.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-  
-  res.json(myReviews);
+  await review.save();
+
+  res.json({ message: 'Review rejected', review });
+});
+
+/**
+ * @desc    Publish (or replace) the store's public response to a review
+ * @route   PUT /api/admin/.../reviews/:id/response
+ * @access  Admin
+ */
+exports.respondToReview = asyncHandler(async (req, res) => {
+  const review = await Review.findById(req.params.id);
+  if (!review) {
+    res.status(404);
+    throw new Error('Review not found');
+  }
+
+  review.adminResponse = {
+    comment: req.body.comment,
+    respondedAt: new Date(),
+    respondedBy: req.user._id
+  };
+  await review.save();
+
+  res.json({ message: 'Response saved', review });
 });
@@ -2,6 +2,9 @@ const asyncHandler = require('express-async-handler');
 const Order = require('../models/order.model');
 const { getStripe } = require('../utils/payment.utils');
 const WebhookEvent = require('../models/webhookEvent.model');
+const { recordRefund, getRefundedAmount, claimOrderForRefund, releaseOrderRefund } = require('../utils/order.utils');
+const { applyOrderTransition, STRIPE_ACTOR } = require('../utils/orderStatus.utils');
+const { assignInvoiceNumber, issueCreditNotes } = require('../utils/invoice.utils');
 const { env } = require('../config/env');
 
 const STRIPE_WEBHOOK_SECRET = env.STRIPE_WEBHOOK_SECRET;
@@ -52,7 +55,11 @@ async function markOrderPaid(paymentIntent) {
   order.payment.failureReason = undefined;
   order.isPaid = true;
   order.paidAt = new Date();
-  if (order.status === 'pending') order.status = 'confirmed';
+  if (order.status === 'pending') {
+    applyOrderTransition(order, { status: 'confirmed', actor: STRIPE_ACTOR, message: 'Payment received' });
+  }
+  // Numbered before the save so a retried delivery after a failed save reuses the same number.
+  await assignInvoiceNumber(order, order.paidAt);
   await order.save();
 }
 
@@ -78,22 +85,48 @@ async function markOrderFailed(paymentIntent) {
 async function markOrderRefunded(charge) {
   const intentId = charge?.payment_intent;
   if (!intentId) return;
-  const order = await Order.findOne({ 'payment.intentId': intentId });
-  if (!order) return;
+  const found = await Order.exists({ 'payment.intentId': intentId });
+  if (!found) return;
+
+  // A refund being issued through the API holds the order until it is recorded. Failing here
+  // makes Stripe deliver the event again later, when that refund is in the history.
+  const order = await claimOrderForRefund(found._id);
+  if (!order) throw new Error('A refund for this order is being recorded, retry later');
+  try {
+    await recordStripeRefunds(order, charge);
+  } finally {
+    await releaseOrderRefund(order._id);
+  }
+}
 
-  // Idempotency: if already refunded, do nothing.
-  if (order.payment?.status === 'refunded' || order.status === 'refunded') return;
+async function recordStripeRefunds(order, charge) {
+  // Record refunds issued outside the API (e.g. Stripe Dashboard). Refunds we created
+  // ourselves are already in the history and are skipped by their Stripe id.
+  let changed = false;
+  for (const refund of charge.refunds?.data || []) {
+    if (refund.status === 'failed' || refund.status === 'canceled') continue;
+    const added = recordRefund(order, {
+      stripeRefundId: refund.id,
+      amount: refund.amount,
+      reason: refund.reason || undefined,
+      source: 'stripe',
+      actor: STRIPE_ACTOR,
+    });
+    changed = changed || added;
+  }
 
+  // Payloads without an expanded refunds list: record whatever is unaccounted for.
+  const unaccounted = (Number(charge.amount_refunded) || 0) - getRefundedAmount(order);
+  if (unaccounted > 0) {
+    recordRefund(order, { amount: unaccounted, reason: 'Refunded in Stripe', source: 'stripe', actor: STRIPE_ACTOR });
+    changed = true;
+  }
+
+  if (!changed) return;
   order.payment = order.payment || {};
-  order.payment.status = 'refunded';
   order.payment.transactionId = charge.id || order.payment.transactionId;
-  order.refund = order.refund || {};
-  order.refund.amount = charge.amount_refunded;
-  order.refund.reason = charge.refunds?.data?.[0]?.reason || order.refund.reason;
-  order.refund.date = new Date();
-  order.status = 'refunded';
-  order.isPaid = false;
   await order.save();
+  await issueCreditNotes(order);
 }
 
 exports.handleStripeWebhook = asyncHandler(async (req, res) => {
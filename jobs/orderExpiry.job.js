@@ -0,0 +1,42 @@
+/**
+ * Background sweeper that cancels unpaid orders once their payment window passes,
+ * so stock reserved by addOrderItems is not held forever.
+ */
+
+const { env } = require('../config/env');
+const { expireUnpaidOrders } = require('../utils/order.utils');
+
+let timer = null;
+let running = false;
+
+async function runOrderExpirySweep() {
+  // Skip overlapping sweeps if a previous one is still working through Stripe calls.
+  if (running) return { expired: 0, skipped: 0 };
+  running = true;
+  try {
+    const result = await expireUnpaidOrders({ ttlMinutes: env.ORDER_PAYMENT_TTL_MINUTES });
+    if (result.expired || result.skipped) {
+      console.log(`[order-expiry] expired ${result.expired} order(s), skipped ${result.skipped}`);
+    }
+    return result;
+  } catch (err) {
+    console.error('[order-expiry] sweep failed:', err.message);
+    return { expired: 0, skipped: 0 };
+  } finally {
+    running = false;
+  }
+}
+
+function startOrderExpiryJob() {
+  if (timer || !env.ORDER_PAYMENT_TTL_MINUTES || !env.ORDER_EXPIRY_INTERVAL_MS) return;
+  timer = setInterval(runOrderExpirySweep, env.ORDER_EXPIRY_INTERVAL_MS);
+  // Never keep the process alive just for the sweeper.
+  timer.unref();
+}
+
+function stopOrderExpiryJob() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { runOrderExpirySweep, startOrderExpiryJob, stopOrderExpiryJob };
@@ -0,0 +1,53 @@
+/**
+ * In-process queue for product spreadsheet imports. Uploads are answered straight away
+ * with a job id; files are then processed one at a time so large imports never overlap.
+ */
+
+const ImportJob = require('../models/importJob.model');
+const { runProductImport } = require('../utils/productSpreadsheet.utils');
+
+const queue = [];
+let running = false;
+
+async function drainQueue() {
+  if (running) return;
+  running = true;
+  try {
+    while (queue.length) {
+      const { jobId, buffer } = queue.shift();
+      try {
+        const job = await runProductImport(jobId, buffer);
+        if (job) {
+          const { created, updated, failed } = job.totals;
+          console.log(`[product-import] job ${jobId} ${job.status}: ${created} created, ${updated} updated, ${failed} failed`);
+        }
+      } catch (err) {
+        console.error(`[product-import] job ${jobId} failed:`, err.message);
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+function enqueueProductImport(jobId, buffer) {
+  queue.push({ jobId, buffer });
+  setImmediate(drainQueue);
+}
+
+/**
+ * Fail jobs left queued or running by a previous process. Their files only ever lived in
+ * that process's memory, so they cannot be resumed; the admin has to upload them again.
+ * Call once on boot, before any new upload is queued.
+ * @returns {Promise<number>} Number of jobs marked as failed
+ */
+async function failInterruptedImports() {
+  const { modifiedCount } = await ImportJob.updateMany(
+    { status: { $in: ['queued', 'running'] } },
+    { $set: { status: 'failed', error: 'The server restarted before the import finished, upload the file again', finishedAt: new Date() } }
+  );
+  if (modifiedCount) console.log(`[product-import] marked ${modifiedCount} interrupted job(s) as failed`);
+  return modifiedCount;
+}
+
+module.exports = { enqueueProductImport, failInterruptedImports };
@@ -0,0 +1,41 @@
+/**
+ * Background sender for review request emails that have come due after delivery.
+ */
+
+const { env } = require('../config/env');
+const { sendDueReviewRequests } = require('../utils/reviewRequest.utils');
+
+let timer = null;
+let running = false;
+
+async function runReviewRequestSweep() {
+  // Skip overlapping sweeps while a slow mail server is still working through the last batch.
+  if (running) return { sent: 0, skipped: 0, failed: 0 };
+  running = true;
+  try {
+    const result = await sendDueReviewRequests();
+    if (result.sent || result.failed) {
+      console.log(`[review-requests] sent ${result.sent}, skipped ${result.skipped}, failed ${result.failed}`);
+    }
+    return result;
+  } catch (err) {
+    console.error('[review-requests] sweep failed:', err.message);
+    return { sent: 0, skipped: 0, failed: 0 };
+  } finally {
+    running = false;
+  }
+}
+
+function startReviewRequestJob() {
+  if (timer || !env.REVIEW_REQUEST_INTERVAL_MS) return;
+  timer = setInterval(runReviewRequestSweep, env.REVIEW_REQUEST_INTERVAL_MS);
+  // Never keep the process alive just for the sender.
+  timer.unref();
+}
+
+function stopReviewRequestJob() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { runReviewRequestSweep, startReviewRequestJob, stopReviewRequestJob };
@@ -2,13 +2,19 @@ const jwt = require('jsonwebtoken');
 const asyncHandler = require('express-async-handler');
 const User = require('../models/user.model');
 const { env } = require('../config/env');
+const { verifyOrderAccessToken } = require('../utils/orderAccess.utils');
 
-exports.protect = asyncHandler(async (req, res, next) => {
+function readAccessToken(req) {
   // Prefer HttpOnly cookie
   let token = req.cookies.token || req.cookies.accessToken;
   if (!token && req.headers.authorization?.startsWith('Bearer ')) {
     token = req.headers.authorization.split(' ')[1];
   }
+  return token;
+}
+
+exports.protect = asyncHandler(async (req, res, next) => {
+  const token = readAccessToken(req);
   if (!token) {
     res.status(401);
     throw new Error('Not authorized');
@@ -32,4 +38,48 @@ exports.protect = asyncHandler(async (req, res, next) => {
     res.status(401);
     throw new Error('Token invalid or expired');
   }
-});
\ No newline at end of file
+});
+
+// Public routes that personalise for signed-in users: sets req.user when a valid token
+// is sent and lets requests without a token through anonymously. A token that fails
+// verification is rejected like in protect, so the client knows to refresh it.
+exports.optionalAuth = asyncHandler(async (req, res, next) => {
+  const token = readAccessToken(req);
+  if (!token) return next();
+  try {
+    const decoded = jwt.verify(token, env.JWT_SECRET, {
+      algorithms: ['HS256']
+    });
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user) {
+      res.status(401);
+      throw new Error('User not found');
+    }
+    if (user.isActive === false) {
+      res.status(403);
+      throw new Error('User is disabled');
+    }
+    req.user = user;
+    next();
+  } catch (err) {
+    res.status(401);
+    throw new Error('Token invalid or expired');
+  }
+});
+
+// Guest order access: signed order token from X-Order-Token or ?token=, scoped to :id
+exports.protectOrderAccess = asyncHandler(async (req, res, next) => {
+  const token = req.get('X-Order-Token') || req.query.token;
+  const access = token ? verifyOrderAccessToken(String(token)) : null;
+  if (!access) {
+    res.status(401);
+    throw new Error('Order access token invalid or expired');
+  }
+  const orderId = req.params.id || req.body?.orderId;
+  if (orderId && String(orderId) !== access.orderId) {
+    res.status(403);
+    throw new Error('Order access token does not match this order');
+  }
+  req.orderAccess = access;
+  next();
+});
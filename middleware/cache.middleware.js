@@ -3,10 +3,12 @@ const cache = require('../cache/cache.config');
 /**
  * Cache middleware factory.
  * @param {number} ttlSeconds  Time to live in seconds
+ * @param {Function} varyBy    Optional (req) => string; responses are cached per value
  */
-function cacheMiddleware(ttlSeconds) {
+function cacheMiddleware(ttlSeconds, varyBy) {
   return (req, res, next) => {
-    const key = '__expres__' + (req.originalUrl || req.url);
+    const variant = varyBy ? varyBy(req) : '';
+    const key = '__expres__' + (req.originalUrl || req.url) + (variant ? `|${variant}` : '');
     const cachedBody = cache.get(key);
     if (cachedBody) {
       return res.json(cachedBody);
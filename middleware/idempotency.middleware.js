@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKey.model');
+const { errorLogger } = require('../logging/logger');
+
+const MAX_KEY_LENGTH = 255;
+// A request still "processing" after this long is assumed to have died and can be retried.
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+// Key order must not change the fingerprint of an otherwise identical body
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function fingerprint(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Idempotency-Key middleware factory.
+ * Replays the stored response for a retried key, rejects a key reused with a different
+ * body (422) and one whose first request is still running (409). Requests without the
+ * header pass straight through.
+ * @param {string} scope  Endpoint name the keys belong to
+ */
+exports.idempotency = (scope) => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters` });
+    }
+
+    const user = String(req.user?.id || req.ip);
+    const requestHash = fingerprint(req);
+    const filter = { user, scope, key: key.trim() };
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({ ...filter, requestHash });
+    } catch (err) {
+      if (err?.code !== 11000) return next(err);
+      const existing = await IdempotencyKey.findOne(filter).lean();
+      if (!existing) return next(err);
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({ message: 'Idempotency-Key was already used with a different request' });
+      }
+      if (existing.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+      // Take over a lock left behind by a request that never finished.
+      record = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: 'processing', lockedAt: { $lte: new Date(Date.now() - STALE_LOCK_MS) } },
+        { $set: { lockedAt: new Date() } },
+        { new: true }
+      );
+      if (!record) {
+        return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+      }
+    }
+
+    // The key is held until the handler responds, even if the client has gone away: a retry
+    // must not run the request a second time. Failed handlers reach the error handler's 5xx,
+    // which frees the key; locks left by a crashed process expire after STALE_LOCK_MS.
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      // Server errors are not final: free the key so the client can retry.
+      const update = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          {
+            $set: {
+              status: 'completed',
+              responseStatus: res.statusCode,
+              responseBody: JSON.parse(JSON.stringify(body ?? null)),
+              completedAt: new Date(),
+            },
+          }
+        );
+      update
+        .catch((e) => errorLogger.error({ message: '[idempotency] Failed to store response', error: e.message }))
+        .finally(() => sendJson(body));
+      return res;
+    };
+    next();
+  };
+};
@@ -0,0 +1,8 @@
+const asyncHandler = require('express-async-handler');
+const PriceList = require('../models/priceList.model');
+
+// Resolve the signed-in customer's price list once per request (req.priceList, null when none)
+exports.attachPriceList = asyncHandler(async (req, res, next) => {
+  req.priceList = await PriceList.findForUser(req.user);
+  next();
+});
@@ -0,0 +1,34 @@
+const path = require('path');
+const multer = require('multer');
+
+// Spreadsheets are parsed straight from memory and never written to disk
+const EXTENSIONS = { '.csv': 'csv', '.xlsx': 'xlsx' };
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (_req, file, cb) => {
+    const format = EXTENSIONS[path.extname(file.originalname).toLowerCase()];
+    if (!format) {
+      const err = new Error('Upload a .csv or .xlsx file');
+      err.status = 400;
+      return cb(err, false);
+    }
+    file.format = format;
+    cb(null, true);
+  },
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 } // 10MB
+});
+
+/**
+ * Accepts one spreadsheet in `field`; the file's `format` is set to 'csv' or 'xlsx'.
+ * Upload limit errors are reported as 400s.
+ */
+function spreadsheetUpload(field) {
+  const single = upload.single(field);
+  return (req, res, next) => single(req, res, (err) => {
+    if (err instanceof multer.MulterError) err.status = 400;
+    next(err);
+  });
+}
+
+module.exports = { spreadsheetUpload };
@@ -0,0 +1,13 @@
+const { invalidateSuggestIndex } = require('../utils/suggest.utils');
+
+/**
+ * Rebuilds the autocomplete index after a successful write to the catalog.
+ * Mount on admin product and category routes.
+ */
+exports.refreshSuggestIndex = (req, res, next) => {
+  if (req.method === 'GET' || req.method === 'HEAD') return next();
+  res.on('finish', () => {
+    if (res.statusCode < 400) invalidateSuggestIndex();
+  });
+  next();
+};
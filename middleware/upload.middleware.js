@@ -1,29 +1,17 @@
-const fs = require('fs');
-const path = require('path');
 const multer = require('multer');
 
-const uploadsDir = path.join(__dirname, '../uploads/');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-const storage = multer.diskStorage({
-  destination: (_req, _file, cb) => {
-    cb(null, uploadsDir);
-  },
-  filename: (_req, file, cb) => {
-    const unique = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname).toLowerCase();
-    cb(null, `${unique}${ext}`);
-  }
-});
+// Uploads stay in memory: images are re-encoded (and stripped of EXIF) before anything
+// reaches the publicly served uploads/ directory.
+const storage = multer.memoryStorage();
 
 const fileFilter = (_req, file, cb) => {
   const allowed = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
   if (allowed.includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Unsupported file type'), false);
+    const err = new Error('Unsupported file type');
+    err.status = 400;
+    cb(err, false);
   }
 };
 
@@ -33,4 +21,34 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 } // 5MB
 });
 
-module.exports = upload;
\ No newline at end of file
+/**
+ * Accepts up to `maxCount` images in `field`; upload limit errors are reported as 400s
+ */
+function imageUpload(field, maxCount) {
+  const array = upload.array(field, maxCount);
+  return (req, res, next) => array(req, res, (err) => {
+    if (err instanceof multer.MulterError) err.status = 400;
+    next(err);
+  });
+}
+
+// Product downloads (manuals, guides): any file type
+const fileUploader = multer({
+  storage,
+  limits: { fileSize: 50 * 1024 * 1024, files: 1 } // 50MB
+});
+
+/**
+ * Accepts one file of any type in `field`; upload limit errors are reported as 400s
+ */
+function fileUpload(field) {
+  const single = fileUploader.single(field);
+  return (req, res, next) => single(req, res, (err) => {
+    if (err instanceof multer.MulterError) err.status = 400;
+    next(err);
+  });
+}
+
+module.exports = upload;
+module.exports.imageUpload = imageUpload;
+module.exports.fileUpload = fileUpload;
@@ -2,17 +2,29 @@ const mongoose = require('mongoose');
 
 const cartItemSchema = new mongoose.Schema({
   product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId },
   quantity: { type: Number, required: true, min: 1 },
 }, { _id: true });
 
 const cartSchema = new mongoose.Schema({
-  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  // Either the account that owns the cart, or the id in an anonymous visitor's signed cookie
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', unique: true, sparse: true },
+  guestId: { type: String, unique: true, sparse: true },
   items: [cartItemSchema],
+  // Guest carts only: removed by MongoDB once unused until then (see utils/guestCart.utils.js)
+  expiresAt: { type: Date },
 }, {
   timestamps: true,
 });
 
-// User index created automatically via unique: true
-// cartSchema.index({ user: 1 }); // Removed to prevent duplicate index warning
+// User and guest indexes created automatically via unique: true
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
-module.exports = mongoose.model('Cart', cartSchema);
\ No newline at end of file
+cartSchema.pre('validate', function(next) {
+  if (!this.user && !this.guestId) {
+    this.invalidate('user', 'Cart requires a user or a guest id');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. 'invoice:2026' for gap-free document numbers
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+}, {
+  versionKey: false,
+});
+
+// Atomically take the next value of a sequence (starting at 1)
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return counter.seq;
+};
+
+// Give back a value that ended up unused, only if nothing was taken after it
+counterSchema.statics.release = async function(name, seq) {
+  const result = await this.updateOne({ _id: name, seq }, { $inc: { seq: -1 } });
+  return (result?.modifiedCount ?? 0) > 0;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
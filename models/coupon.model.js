@@ -140,4 +140,14 @@ couponSchema.statics.findValidByCode = function(code) {
   });
 };
 
+// Static method to undo the usage recorded for an order (cancellation/expiry).
+// Atomic and idempotent: only decrements when the order's usage entry is still present.
+couponSchema.statics.releaseUsage = async function(couponId, orderId) {
+  const result = await this.updateOne(
+    { _id: couponId, 'usedBy.order': orderId },
+    { $pull: { usedBy: { order: orderId } }, $inc: { usedCount: -1 } }
+  );
+  return (result?.modifiedCount ?? 0) > 0;
+};
+
 module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// One redeemed download link; DownloadUsage keeps the per-customer count that limits are checked against
+const downloadLogSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  name: { type: String, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Paid order that granted access (private downloads)
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  // Each signed link works once
+  tokenId: { type: String, required: true, unique: true },
+  ip: { type: String },
+  userAgent: { type: String }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+downloadLogSchema.index({ product: 1, name: 1, user: 1 });
+
+module.exports = mongoose.model('DownloadLog', downloadLogSchema);
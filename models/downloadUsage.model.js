@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Redeemed links of one download per customer; claimed atomically so maxDownloads holds under concurrent redeems
+const downloadUsageSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  name: { type: String, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  count: { type: Number, default: 0, min: 0 }
+}, {
+  timestamps: true,
+});
+
+downloadUsageSchema.index({ product: 1, name: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('DownloadUsage', downloadUsageSchema);
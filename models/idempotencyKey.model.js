@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Stored outcome of a request sent with an Idempotency-Key header
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true, trim: true },
+  scope: { type: String, required: true, trim: true }, // endpoint, e.g. 'orders:create'
+  user: { type: String, required: true, trim: true },
+  requestHash: { type: String, required: true },
+  status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+  responseStatus: { type: Number },
+  responseBody: { type: mongoose.Schema.Types.Mixed },
+  lockedAt: { type: Date, default: Date.now },
+  completedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+idempotencyKeySchema.index({ user: 1, scope: 1, key: 1 }, { unique: true });
+// Keys are only honoured for a day, like Stripe's.
+idempotencyKeySchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Problem with one spreadsheet row; `row` is the spreadsheet row number (header is row 1)
+const rowErrorSchema = new mongoose.Schema({
+  row: { type: Number, required: true },
+  sku: { type: String },
+  field: { type: String },
+  message: { type: String, required: true }
+}, { _id: false });
+
+const importJobSchema = new mongoose.Schema({
+  type: { type: String, enum: ['products'], default: 'products' },
+  status: { type: String, enum: ['queued', 'running', 'completed', 'failed'], default: 'queued', index: true },
+  // Validate every row without writing anything
+  dryRun: { type: Boolean, default: false },
+  filename: { type: String },
+  format: { type: String, enum: ['csv', 'xlsx'], required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+  totals: {
+    rows: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  rowErrors: [rowErrorSchema],
+  // Set when the file as a whole could not be processed
+  error: { type: String },
+
+  startedAt: { type: Date },
+  finishedAt: { type: Date }
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
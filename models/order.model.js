@@ -2,16 +2,20 @@ const mongoose = require('mongoose');
 
 const orderItemSchema = new mongoose.Schema({
   product:   { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant:   { type: mongoose.Schema.Types.ObjectId },
   sku:       { type: String, trim: true },
   name:      { type: String, required: true },
+  variantName: { type: String, trim: true },
   qty:       { type: Number, required: true, min: 1 },
   image:     { type: String },
-  price:     { type: Number, required: true, min: 0 },
+  price:     { type: Number, required: true, min: 0 }, // unit price charged
+  originalPrice: { type: Number, min: 0 }, // unit price before the sale discount
+  discount:  { type: Number, default: 0, min: 0 }, // sale discount per unit
 }, { _id: false });
 
 const paymentSchema = new mongoose.Schema({
   method: { type: String, trim: true },
-  status: { type: String, enum: ['pending', 'paid', 'failed', 'refunded'], default: 'pending' },
+  status: { type: String, enum: ['pending', 'paid', 'failed', 'refunded', 'cancelled'], default: 'pending' },
   transactionId: { type: String, trim: true },
   intentId: { type: String, trim: true },
   amount: { type: Number, min: 0 }, // stored in the smallest currency unit (e.g., cents)
@@ -39,10 +43,29 @@ const shippingSchema = new mongoose.Schema({
   estimatedDelivery: { type: Date }
 }, { _id: false });
 
+const refundLineSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId },
+  qty: { type: Number, required: true, min: 1 }
+}, { _id: false });
+
+// One entry per Stripe refund; amounts in the smallest currency unit like payment.amount
 const refundSchema = new mongoose.Schema({
+  stripeRefundId: { type: String, trim: true },
   amount: { type: Number, min: 0 },
   reason: { type: String, trim: true },
-  date: { type: Date }
+  source: { type: String, enum: ['admin', 'cancellation', 'return', 'stripe'], default: 'admin' },
+  lines: [refundLineSchema],
+  returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  creditNoteNumber: { type: String, trim: true },
+  date: { type: Date, default: Date.now }
+}, { _id: true });
+
+// Who caused a timeline event
+const timelineActorSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['customer', 'admin', 'system', 'stripe'], required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
 }, { _id: false });
 
 // Timeline event for order tracking
@@ -50,11 +73,24 @@ const timelineEventSchema = new mongoose.Schema({
   status: { type: String, required: true },
   message: { type: String },
   timestamp: { type: Date, default: Date.now },
-  location: { type: String, trim: true }
+  location: { type: String, trim: true },
+  actor: timelineActorSchema
+}, { _id: false });
+
+// Review request email sent a while after delivery (see utils/reviewRequest.utils.js)
+const reviewRequestSchema = new mongoose.Schema({
+  status: { type: String, enum: ['scheduled', 'sending', 'sent', 'skipped', 'failed'], default: 'scheduled' },
+  dueAt: { type: Date, required: true },
+  // When a sweep claimed it for sending; a 'sending' claim this old is taken over again
+  claimedAt: Date,
+  sentAt: Date,
+  skippedReason: { type: String, enum: ['opted_out', 'already_reviewed'] }
 }, { _id: false });
 
 const orderSchema = new mongoose.Schema({
-  user:          { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  user:          { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  guestEmail:    { type: String, lowercase: true, trim: true },
+  claimedAt:     Date,
   orderNumber:   { type: String, unique: true, sparse: true },
   orderItems:    [orderItemSchema],
   status:        { type: String, enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned', 'refunded'], default: 'pending', index: true },
@@ -63,21 +99,40 @@ const orderSchema = new mongoose.Schema({
   taxPrice:       { type: Number, required: true, min: 0 },
   discountAmount: { type: Number, default: 0, min: 0 },
   coupon:         { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+  // Customer price list that priced at least one line, with its name at order time
+  priceList:      { type: mongoose.Schema.Types.ObjectId, ref: 'PriceList' },
+  priceListName:  { type: String, trim: true },
   totalPrice:     { type: Number, required: true, min: 0 },
   payment:        paymentSchema,
   shipping:       shippingSchema,
-  refund:         refundSchema,
+  refunds:        [refundSchema],
   timeline:       [timelineEventSchema],
-  invoiceNumber:  { type: String, trim: true },
+  invoiceNumber:  { type: String, trim: true, unique: true, sparse: true },
+  invoicedAt:     Date,
   notes:          { type: String, trim: true },
   isPaid:         { type: Boolean, default: false },
   paidAt:         Date,
   isDelivered:    { type: Boolean, default: false },
   deliveredAt:    Date,
+  cancelledAt:    Date,
+  cancellationReason: { type: String, trim: true },
+  // Last time the unpaid-order sweep failed to void this order's payment
+  expiryAttemptedAt: Date,
+  reviewRequest:  reviewRequestSchema,
+  // Set while an admin refund is being issued (see claimOrderForRefund in utils/order.utils.js)
+  refundLockedAt: { type: Date, select: false },
 }, {
   timestamps: true,
 });
 
+// Guest orders carry an email instead of a user until they are claimed
+orderSchema.pre('validate', function(next) {
+  if (!this.user && !this.guestEmail) {
+    this.invalidate('user', 'Order requires a user or a guest email');
+  }
+  next();
+});
+
 // Generate order number before saving
 orderSchema.pre('save', function(next) {
   if (!this.orderNumber && this.isNew) {
@@ -89,11 +144,12 @@ orderSchema.pre('save', function(next) {
 });
 
 // Add timeline event method
-orderSchema.methods.addTimelineEvent = function(status, message, location) {
+orderSchema.methods.addTimelineEvent = function(status, message, location, actor) {
   this.timeline.push({
     status,
     message,
     location,
+    actor,
     timestamp: new Date()
   });
 };
@@ -102,5 +158,7 @@ orderSchema.methods.addTimelineEvent = function(status, message, location) {
 orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ status: 1, createdAt: -1 });
 orderSchema.index({ 'payment.intentId': 1 });
+orderSchema.index({ guestEmail: 1 }, { sparse: true });
+orderSchema.index({ 'reviewRequest.status': 1, 'reviewRequest.dueAt': 1 }, { sparse: true });
 
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
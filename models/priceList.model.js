@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Quantity break: from `minQty` units a line is priced by this tier instead of its entry
+const tierSchema = new mongoose.Schema({
+  minQty: { type: Number, required: true, min: 2 },
+  price: { type: Number, min: 0 },
+  percentOff: { type: Number, min: 0, max: 100 }
+}, { _id: false });
+
+// Override for one product, or one variant of it
+const entrySchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId },
+  price: { type: Number, min: 0 },
+  percentOff: { type: Number, min: 0, max: 100 },
+  tiers: [tierSchema]
+}, { _id: true });
+
+const priceListSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, trim: true },
+  isActive: { type: Boolean, default: true, index: true },
+  // Higher wins when several lists match a customer; lists assigned to the user beat role lists
+  priority: { type: Number, default: 0 },
+
+  // Who gets the list
+  roles: [{ type: String, enum: ['user', 'vip', 'wholesale', 'staff', 'admin'] }],
+  users: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+
+  // Reduction for every product without an entry (0: list prices only what it lists)
+  percentOff: { type: Number, default: 0, min: 0, max: 100 },
+  entries: [entrySchema]
+}, {
+  timestamps: true,
+});
+
+priceListSchema.index({ isActive: 1, roles: 1 });
+priceListSchema.index({ isActive: 1, users: 1 });
+
+// The one active list that applies to a customer, or null
+priceListSchema.statics.findForUser = async function(user) {
+  if (!user) return null;
+  const userId = user._id || user.id;
+  const lists = await this.find({
+    isActive: true,
+    $or: [{ users: userId }, { roles: user.role }],
+  }).sort({ priority: -1, createdAt: 1 }).lean();
+  return lists.find(l => (l.users || []).some(u => u.toString() === String(userId))) || lists[0] || null;
+};
+
+module.exports = mongoose.model('PriceList', priceListSchema);
@@ -1,29 +1,58 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
 
-const variantSchema = new mongoose.Schema({
+// Option axes a product varies on, e.g. { name: 'Size', values: ['5L', '20L'] }
+const variantOptionSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
   values: [{ type: String, trim: true }]
 }, { _id: false });
 
+// One sellable combination of option values; price falls back to the product price
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, required: true, trim: true },
+  options: { type: Map, of: String, default: {} },
+  price: { type: Number, min: 0 },
+  countInStock: { type: Number, default: 0, min: 0 },
+  image: { type: String, trim: true },
+  enabled: { type: Boolean, default: true }
+}, { _id: true });
+
+// Files generated for an uploaded image; `url` is its entry in `images`
+const imageAssetSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  webpUrl: { type: String },
+  thumbnailUrl: { type: String },
+  thumbnailWebpUrl: { type: String },
+  width: { type: Number },
+  height: { type: Number },
+  // Storage keys of every generated file, removed together with the image
+  files: [{ type: String }]
+}, { _id: true });
+
+// Manuals, guides and other files. Only handed out through signed links
+// (GET /api/products/:id/downloads/:name); `key` is a private storage key, `url` a legacy external URL.
 const downloadSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
-  url: { type: String, required: true, trim: true }
+  key: { type: String, trim: true },
+  url: { type: String, trim: true },
+  filename: { type: String, trim: true },
+  // Anyone may download; otherwise only buyers with a paid order
+  isPublic: { type: Boolean, default: false },
+  // Downloads allowed per customer (unlimited when unset)
+  maxDownloads: { type: Number, min: 1 }
 }, { _id: false });
 
+downloadSchema.pre('validate', function(next) {
+  if (!this.key && !this.url) this.invalidate('key', 'A download needs a stored file or a URL');
+  next();
+});
+
 const seoSchema = new mongoose.Schema({
   metaTitle: { type: String, trim: true },
   metaDescription: { type: String, trim: true },
   altTags: [{ type: String, trim: true }]
 }, { _id: false });
 
-const reviewSchema = new mongoose.Schema({
-  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-  rating: { type: Number, min: 1, max: 5, required: true },
-  comment: { type: String },
-  createdAt: { type: Date, default: Date.now }
-}, { _id: true });
-
 const productSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
   slug: { type: String, required: true, unique: true, index: true },
@@ -35,18 +64,24 @@ const productSchema = new mongoose.Schema({
   currency: { type: String, default: 'USD' },
   discountPercent: { type: Number, min: 0, max: 100 },
   promoPrice: { type: Number, min: 0 },
+  // Optional sale window for promoPrice/discountPercent (open-ended when unset)
+  promoStartsAt: { type: Date },
+  promoEndsAt: { type: Date },
 
   countInStock: { type: Number, default: 0, min: 0 },
   lowStockThreshold: { type: Number, default: 5 },
   minQty: { type: Number, default: 1 },
   maxQty: { type: Number },
 
+  // Storefront image URLs in display order; seo.altTags[i] is the alt text of images[i]
   images: [{ type: String }],
+  imageAssets: [imageAssetSchema],
   videos: [{ type: String }],
   media360: [{ type: String }],
   downloads: [downloadSchema],
 
   tags: [{ type: String, index: true }],
+  variantOptions: [variantOptionSchema],
   variants: [variantSchema],
 
   enabled: { type: Boolean, default: true, index: true },
@@ -55,7 +90,7 @@ const productSchema = new mongoose.Schema({
 
   seo: seoSchema,
 
-  reviews: [reviewSchema],
+  // Reviews live in the Review collection; these are kept in sync from approved reviews
   ratingAvg: { type: Number, default: 0 },
   ratingCount: { type: Number, default: 0 }
 }, { timestamps: true });
@@ -67,6 +102,11 @@ productSchema.index({ name: 'text', description: 'text', tags: 'text' });
 productSchema.index({ enabled: 1, isDeleted: 1, category: 1, createdAt: -1 });
 productSchema.index({ enabled: 1, isDeleted: 1, featured: 1, createdAt: -1 });
 productSchema.index({ enabled: 1, isDeleted: 1, price: 1 });
+// Variant SKUs are unique across products; products without variants are left out
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
 
 // Auto-generate slug
 productSchema.pre('validate', function(next) {
@@ -74,4 +114,34 @@ productSchema.pre('validate', function(next) {
   next();
 });
 
+// Variants must be distinct combinations of the declared options. The product stock is
+// the total over its variants so listings and low-stock reports keep working.
+productSchema.pre('validate', function(next) {
+  if (!this.variants?.length) return next();
+
+  const axes = new Map((this.variantOptions || []).map(o => [o.name, o.values || []]));
+  const skus = new Set();
+  const combos = new Set();
+  for (const variant of this.variants) {
+    const options = variant.options || new Map();
+    if (options.size !== axes.size) {
+      this.invalidate('variants', `Variant ${variant.sku} must set a value for every option`);
+      continue;
+    }
+    for (const [name, value] of options) {
+      if (!axes.has(name) || !axes.get(name).includes(value)) {
+        this.invalidate('variants', `Variant ${variant.sku} has an unknown option ${name}=${value}`);
+      }
+    }
+    const combo = [...axes.keys()].map(name => options.get(name)).join('\u0000');
+    if (combos.has(combo)) this.invalidate('variants', `Duplicate variant combination for ${variant.sku}`);
+    if (skus.has(variant.sku)) this.invalidate('variants', `Duplicate variant SKU ${variant.sku}`);
+    combos.add(combo);
+    skus.add(variant.sku);
+  }
+
+  this.countInStock = this.variants.reduce((sum, v) => sum + (Number(v.countInStock) || 0), 0);
+  next();
+});
+
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
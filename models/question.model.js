@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const answerSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    body: {
+      type: String,
+      required: [true, 'Answer is required'],
+      trim: true,
+      maxlength: [2000, 'Answer cannot exceed 2000 characters'],
+    },
+    // Who may answer: the store, or customers who bought the product
+    answeredAs: {
+      type: String,
+      enum: ['staff', 'verified_purchaser'],
+      required: true,
+    },
+    upvoteCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    upvotes: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+const questionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    question: {
+      type: String,
+      required: [true, 'Question is required'],
+      trim: true,
+      maxlength: [1000, 'Question cannot exceed 1000 characters'],
+    },
+    answers: [answerSchema],
+    answerCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Questions wait in the moderation queue until approved; only approved ones are shown
+    isApproved: {
+      type: Boolean,
+      default: false,
+    },
+    approvedAt: Date,
+    rejectedAt: Date,
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Index for the public listing
+questionSchema.index({ product: 1, isApproved: 1, createdAt: -1 });
+
+// Index for the moderation queue
+questionSchema.index({ isApproved: 1, rejectedAt: 1, createdAt: 1 });
+
+// Virtual for moderation state
+questionSchema.virtual('status').get(function () {
+  if (this.isApproved) return 'approved';
+  return this.rejectedAt ? 'rejected' : 'pending';
+});
+
+// Static: Record an upvote on an answer (one per user); returns the updated question, or null
+// if the answer does not exist or the user already voted
+questionSchema.statics.addAnswerUpvote = function (questionId, answerId, userId) {
+  return this.findOneAndUpdate(
+    { _id: questionId, answers: { $elemMatch: { _id: answerId, upvotes: { $ne: userId } } } },
+    { $push: { 'answers.$.upvotes': userId }, $inc: { 'answers.$.upvoteCount': 1 } },
+    { new: true }
+  );
+};
+
+// Static: Retract an upvote; returns the updated question, or null if there was no vote
+questionSchema.statics.removeAnswerUpvote = function (questionId, answerId, userId) {
+  return this.findOneAndUpdate(
+    { _id: questionId, answers: { $elemMatch: { _id: answerId, upvotes: userId } } },
+    { $pull: { 'answers.$.upvotes': userId }, $inc: { 'answers.$.upvoteCount': -1 } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('Question', questionSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const returnItemSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId },
+  sku:     { type: String, trim: true },
+  name:    { type: String, required: true },
+  variantName: { type: String, trim: true },
+  qty:     { type: Number, required: true, min: 1 },
+  price:   { type: Number, required: true, min: 0 },
+}, { _id: false });
+
+const returnRefundSchema = new mongoose.Schema({
+  stripeRefundId: { type: String, trim: true },
+  amount: { type: Number, min: 0 }, // smallest currency unit, like order.payment.amount
+  date: { type: Date }
+}, { _id: false });
+
+const returnRequestSchema = new mongoose.Schema({
+  order:      { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+  user:       { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  rmaNumber:  { type: String, unique: true, sparse: true },
+  items:      [returnItemSchema],
+  reason:     { type: String, required: true, trim: true, maxlength: 1000 },
+  status:     { type: String, enum: ['requested', 'approved', 'rejected', 'received'], default: 'requested', index: true },
+  refund:     returnRefundSchema,
+  restocked:  { type: Boolean, default: false },
+  adminNote:  { type: String, trim: true },
+  handledBy:  { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  approvedAt: Date,
+  rejectedAt: Date,
+  receivedAt: Date,
+}, {
+  timestamps: true,
+});
+
+// Generate RMA number before saving
+returnRequestSchema.pre('save', function(next) {
+  if (!this.rmaNumber && this.isNew) {
+    const timestamp = Date.now().toString(36).toUpperCase();
+    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+    this.rmaNumber = `RMA-${timestamp}-${random}`;
+  }
+  next();
+});
+
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
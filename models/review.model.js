@@ -1,4 +1,4 @@
-import mongoose from 'mongoose';
+const mongoose = require('mongoose');
 
 const reviewSchema = new mongoose.Schema(
   {
@@ -30,11 +30,10 @@ const reviewSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, 'Title cannot exceed 100 characters'],
     },
+    // Optional: a star rating on its own is a valid review
     comment: {
       type: String,
-      required: [true, 'Review comment is required'],
       trim: true,
-      minlength: [10, 'Comment must be at least 10 characters'],
       maxlength: [2000, 'Comment cannot exceed 2000 characters'],
     },
     images: [
@@ -61,9 +60,49 @@ const reviewSchema = new mongoose.Schema(
         ref: 'User',
       },
     ],
+    reports: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        reason: {
+          type: String,
+          required: [true, 'Report reason is required'],
+          trim: true,
+          maxlength: [500, 'Reason cannot exceed 500 characters'],
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Reports received since the review was last moderated
+    reportCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Set when reports hid a published review
+    flaggedAt: Date,
+    // New and edited reviews wait in the moderation queue until approved;
+    // only approved reviews are shown and counted in the product rating
     isApproved: {
       type: Boolean,
-      default: true, // Auto-approve or require moderation
+      default: false,
+    },
+    approvedAt: Date,
+    rejectedAt: Date,
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
     },
     adminResponse: {
       comment: String,
@@ -87,6 +126,18 @@ reviewSchema.index({ product: 1, user: 1 }, { unique: true });
 // Index for querying approved reviews
 reviewSchema.index({ product: 1, isApproved: 1, createdAt: -1 });
 
+// Index for the most helpful sort
+reviewSchema.index({ product: 1, isApproved: 1, helpfulCount: -1 });
+
+// Index for the moderation queue
+reviewSchema.index({ isApproved: 1, rejectedAt: 1, createdAt: 1 });
+
+// Virtual for moderation state
+reviewSchema.virtual('status').get(function () {
+  if (this.isApproved) return 'approved';
+  return this.rejectedAt ? 'rejected' : 'pending';
+});
+
 // Virtual for time since review
 reviewSchema.virtual('timeAgo').get(function () {
   const seconds = Math.floor((new Date() - this.createdAt) / 1000);
@@ -177,19 +228,42 @@ reviewSchema.statics.hasUserReviewed = async function (userId, productId) {
   return !!review;
 };
 
-// Method: Mark review as helpful
-reviewSchema.methods.markHelpful = async function (userId) {
-  // Check if user already voted
-  if (this.helpfulVotes.includes(userId)) {
-    return false;
-  }
-  
-  this.helpfulVotes.push(userId);
-  this.helpfulCount = this.helpfulVotes.length;
-  await this.save();
-  return true;
+// Static: Record a helpful vote (one per user); returns the updated review, or null if it is
+// not published or the user already voted
+reviewSchema.statics.addHelpfulVote = function (reviewId, userId) {
+  return this.findOneAndUpdate(
+    { _id: reviewId, isApproved: true, helpfulVotes: { $ne: userId } },
+    { $push: { helpfulVotes: userId }, $inc: { helpfulCount: 1 } },
+    { new: true }
+  );
+};
+
+// Static: Retract a helpful vote; returns the updated review, or null if there was no vote
+reviewSchema.statics.removeHelpfulVote = function (reviewId, userId) {
+  return this.findOneAndUpdate(
+    { _id: reviewId, helpfulVotes: userId },
+    { $pull: { helpfulVotes: userId }, $inc: { helpfulCount: -1 } },
+    { new: true }
+  );
 };
 
-const Review = mongoose.model('Review', reviewSchema);
+// Static: Record an abuse report (one per user); returns the updated review, or null if it is
+// not published or the user already reported it
+reviewSchema.statics.addReport = function (reviewId, userId, reason) {
+  return this.findOneAndUpdate(
+    { _id: reviewId, isApproved: true, 'reports.user': { $ne: userId } },
+    { $push: { reports: { user: userId, reason } }, $inc: { reportCount: 1 } },
+    { new: true, runValidators: true }
+  );
+};
+
+// Method: Put the review back in the moderation queue (e.g. after the author edits it)
+reviewSchema.methods.resubmit = function () {
+  this.isApproved = false;
+  this.approvedAt = undefined;
+  this.rejectedAt = undefined;
+  this.rejectionReason = undefined;
+  this.moderatedBy = undefined;
+};
 
-export default Review;
+module.exports = mongoose.model('Review', reviewSchema);
@@ -26,6 +26,8 @@ const userSchema = new mongoose.Schema({
   address: addressSchema,
   loyaltyPoints: { type: Number, default: 0 },
   subscribedToNewsletter: { type: Boolean, default: false },
+  // Set from the opt-out link in review request emails
+  reviewRequestOptOut: { type: Boolean, default: false },
   totalSpent: { type: Number, default: 0 },
 
   // Account lockout fields
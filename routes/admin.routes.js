@@ -4,13 +4,25 @@ const { authorizeRoles } = require('../middleware/role.middleware');
 const { adminLimiter, verifyAdminRouteKey, ipAllowlist } = require('../middleware/adminSecure.middleware');
 const { body, param, query } = require('express-validator');
 const { validate } = require('../middleware/validate.middleware');
+const { refreshSuggestIndex } = require('../middleware/suggest.middleware');
+const { spreadsheetUpload } = require('../middleware/spreadsheetUpload.middleware');
+const { imageUpload, fileUpload } = require('../middleware/upload.middleware');
 const adminController = require('../controllers/admin.controller');
+const returnController = require('../controllers/return.controller');
+const priceListController = require('../controllers/priceList.controller');
+const productImageController = require('../controllers/productImage.controller');
+const downloadController = require('../controllers/download.controller');
+const reviewController = require('../controllers/review.controller');
+const questionController = require('../controllers/question.controller');
 
 const router = express.Router();
 
 // Security layers in chain
 router.use(adminLimiter, verifyAdminRouteKey, ipAllowlist, protect, authorizeRoles('admin'));
 
+// Catalog writes rebuild the storefront autocomplete index
+router.use(['/products', '/categories'], refreshSuggestIndex);
+
 // Users
 router.get('/users', validate([
   query('page').optional().isInt({ min: 1 }),
@@ -51,10 +63,21 @@ router.post('/products', validate([
   body('featured').optional().isBoolean().toBoolean(),
   body('discountPercent').optional().isFloat({ min: 0, max: 100 }),
   body('promoPrice').optional().isFloat({ min: 0 }),
+  body('promoStartsAt').optional({ values: 'null' }).isISO8601().toDate(),
+  body('promoEndsAt').optional({ values: 'null' }).isISO8601().toDate(),
   body('minQty').optional().isInt({ min: 1 }),
   body('maxQty').optional().isInt({ min: 1 }),
   body('lowStockThreshold').optional().isInt({ min: 0 })
 ]), adminController.createProduct);
+// Spreadsheet import/export (before /products/:id)
+router.get('/products/export', validate([
+  query('format').optional().isIn(['csv', 'xlsx'])
+]), adminController.exportProducts);
+router.post('/products/import', spreadsheetUpload('file'), validate([
+  body('dryRun').optional().isBoolean().toBoolean()
+]), adminController.importProducts);
+router.get('/products/import', adminController.listImportJobs);
+router.get('/products/import/:jobId', validate([param('jobId').isMongoId()]), adminController.getImportJob);
 router.get('/products/:id', validate([param('id').isMongoId()]), adminController.getProduct);
 router.put('/products/:id', validate([
   param('id').isMongoId(),
@@ -70,10 +93,36 @@ router.put('/products/:id', validate([
   body('featured').optional().isBoolean().toBoolean(),
   body('discountPercent').optional().isFloat({ min: 0, max: 100 }),
   body('promoPrice').optional().isFloat({ min: 0 }),
+  body('promoStartsAt').optional({ values: 'null' }).isISO8601().toDate(),
+  body('promoEndsAt').optional({ values: 'null' }).isISO8601().toDate(),
   body('minQty').optional().isInt({ min: 1 }),
   body('maxQty').optional().isInt({ min: 1 }),
   body('lowStockThreshold').optional().isInt({ min: 0 })
 ]), adminController.updateProduct);
+router.put('/products/:id/variants', validate([
+  param('id').isMongoId(),
+  body('options').isArray(),
+  body('options.*.name').isString().trim().notEmpty(),
+  body('options.*.values').isArray({ min: 1 }),
+  body('options.*.values.*').isString().trim().notEmpty(),
+  body('variants').isArray(),
+  body('variants.*._id').optional().isMongoId(),
+  body('variants.*.sku').isString().trim().notEmpty(),
+  body('variants.*.options').isObject(),
+  body('variants.*.price').optional().isFloat({ min: 0 }),
+  body('variants.*.countInStock').optional().isInt({ min: 0 }),
+  body('variants.*.image').optional().isString().trim(),
+  body('variants.*.enabled').optional().isBoolean().toBoolean()
+]), adminController.setProductVariants);
+router.put('/products/:id/variants/:variantId', validate([
+  param('id').isMongoId(),
+  param('variantId').isMongoId(),
+  body('sku').optional().isString().trim().notEmpty(),
+  body('price').optional().isFloat({ min: 0 }),
+  body('countInStock').optional().isInt({ min: 0 }),
+  body('image').optional().isString().trim(),
+  body('enabled').optional().isBoolean().toBoolean()
+]), adminController.updateProductVariant);
 router.put('/products/:id/visibility', validate([
   param('id').isMongoId(),
   body('enabled').isBoolean().toBoolean()
@@ -84,6 +133,37 @@ router.put('/products/:id/feature', validate([
 ]), adminController.setProductFeatured);
 router.delete('/products/:id', validate([param('id').isMongoId()]), adminController.deleteProduct);
 
+// Product images
+router.post('/products/:id/images', imageUpload('images', 10), validate([
+  param('id').isMongoId(),
+  body('alt').optional(),
+  body('alt.*').optional().isString().isLength({ max: 200 })
+]), productImageController.uploadProductImages);
+router.put('/products/:id/images', validate([
+  param('id').isMongoId(),
+  body('images').isArray(),
+  body('images.*.url').isString().notEmpty(),
+  body('images.*.alt').optional().isString().isLength({ max: 200 })
+]), productImageController.updateProductImages);
+router.delete('/products/:id/images/:imageId', validate([
+  param('id').isMongoId(),
+  param('imageId').isMongoId()
+]), productImageController.deleteProductImage);
+
+// Product downloads (stored privately, handed out through signed links)
+router.post('/products/:id/downloads', fileUpload('file'), validate([
+  param('id').isMongoId(),
+  body('name').isString().trim().isLength({ min: 1, max: 200 }),
+  body('isPublic').optional().isBoolean().toBoolean(),
+  body('maxDownloads').optional({ values: 'falsy' }).isInt({ min: 1 }).toInt()
+]), downloadController.uploadProductDownload);
+router.put('/products/:id/downloads/:name', validate([
+  param('id').isMongoId(),
+  body('isPublic').optional().isBoolean().toBoolean(),
+  body('maxDownloads').optional({ values: 'null' }).isInt({ min: 1 }).toInt()
+]), downloadController.updateProductDownload);
+router.delete('/products/:id/downloads/:name', validate([param('id').isMongoId()]), downloadController.deleteProductDownload);
+
 // Categories
 router.get('/categories', adminController.listCategories);
 router.get('/categories/tree', adminController.listCategoryTree);
@@ -124,19 +204,126 @@ router.get('/orders', validate([
   query('limit').optional().isInt({ min:1, max:100 }),
   query('user').optional().isMongoId(),
   query('status').optional().isIn(['pending','confirmed','processing','shipped','delivered','cancelled','returned','refunded']),
-  query('paymentStatus').optional().isIn(['pending','paid','failed','refunded']),
+  query('paymentStatus').optional().isIn(['pending','paid','failed','refunded','cancelled']),
   query('from').optional().isISO8601(),
   query('to').optional().isISO8601()
 ]), adminController.listOrders);
+router.get('/orders/expiring', validate([
+  query('page').optional().isInt({ min:1 }),
+  query('limit').optional().isInt({ min:1, max:100 }),
+  query('withinMinutes').optional().isInt({ min:1, max:1440 })
+]), adminController.listExpiringOrders);
 router.get('/orders/:id', validate([param('id').isMongoId()]), adminController.getOrder);
+router.get('/orders/:id/invoice.pdf', validate([param('id').isMongoId()]), adminController.getOrderInvoice);
+router.get('/orders/:id/credit-notes/:refundId.pdf', validate([
+  param('id').isMongoId(),
+  param('refundId').isMongoId()
+]), adminController.getOrderCreditNote);
 router.put('/orders/:id/deliver', validate([param('id').isMongoId()]), adminController.markDelivered);
 router.put('/orders/:id/status', validate([
   param('id').isMongoId(),
   body('status').isIn(['pending','confirmed','processing','shipped','delivered','cancelled','returned','refunded']),
-  body('shippingStatus').optional().isIn(['pending','shipped','in-transit','delivered','returned']),
+  body('shippingStatus').optional().isIn(['pending','processing','shipped','in-transit','out-for-delivery','delivered','returned','failed']),
   body('trackingNumber').optional().isString().trim(),
-  body('courier').optional().isString().trim()
+  body('courier').optional().isString().trim(),
+  body('note').optional().isString().trim().isLength({ max: 500 })
 ]), adminController.updateOrderStatus);
+router.post('/orders/:id/refunds', validate([
+  param('id').isMongoId(),
+  body('amount').optional().isFloat({ min: 0.01 }),
+  body('lines').optional().isArray({ min: 1 }),
+  body('lines.*.productId').optional().isMongoId(),
+  body('lines.*.variantId').optional().isMongoId(),
+  body('lines.*.qty').optional().isInt({ min: 1 }),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+]), adminController.createOrderRefund);
+
+// Returns (RMA)
+router.get('/returns', validate([
+  query('page').optional().isInt({ min:1 }),
+  query('limit').optional().isInt({ min:1, max:100 }),
+  query('status').optional().isIn(['requested','approved','rejected','received']),
+  query('order').optional().isMongoId()
+]), returnController.listReturnRequests);
+router.get('/returns/:id', validate([param('id').isMongoId()]), returnController.getReturnRequest);
+router.put('/returns/:id/approve', validate([
+  param('id').isMongoId(),
+  body('refundAmount').optional().isFloat({ min: 0 }),
+  body('note').optional().isString().trim().isLength({ max: 1000 })
+]), returnController.approveReturnRequest);
+router.put('/returns/:id/reject', validate([
+  param('id').isMongoId(),
+  body('note').optional().isString().trim().isLength({ max: 1000 })
+]), returnController.rejectReturnRequest);
+router.put('/returns/:id/receive', validate([
+  param('id').isMongoId(),
+  body('restock').optional().isBoolean().toBoolean()
+]), returnController.receiveReturnRequest);
+
+// Reviews (moderation queue)
+router.get('/reviews', validate([
+  query('page').optional().isInt({ min:1 }),
+  query('limit').optional().isInt({ min:1, max:100 }),
+  query('status').optional().isIn(['pending','approved','rejected']),
+  query('product').optional().isMongoId()
+]), reviewController.listReviews);
+router.put('/reviews/:id/approve', validate([param('id').isMongoId()]), reviewController.approveReview);
+router.put('/reviews/:id/reject', validate([
+  param('id').isMongoId(),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+]), reviewController.rejectReview);
+router.put('/reviews/:id/response', validate([
+  param('id').isMongoId(),
+  body('comment').isString().trim().isLength({ min: 1, max: 1000 })
+]), reviewController.respondToReview);
+
+// Product questions (moderation queue)
+router.get('/questions', validate([
+  query('page').optional().isInt({ min:1 }),
+  query('limit').optional().isInt({ min:1, max:100 }),
+  query('status').optional().isIn(['pending','approved','rejected']),
+  query('product').optional().isMongoId()
+]), questionController.listQuestions);
+router.put('/questions/:id/approve', validate([param('id').isMongoId()]), questionController.approveQuestion);
+router.put('/questions/:id/reject', validate([
+  param('id').isMongoId(),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+]), questionController.rejectQuestion);
+
+const PRICE_LIST_ROLES = ['user','vip','wholesale','staff','admin'];
+const priceListRules = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+  return [
+    field('name').isString().trim().notEmpty(),
+    body('description').optional().isString().trim(),
+    body('isActive').optional().isBoolean().toBoolean(),
+    body('priority').optional().isInt(),
+    body('roles').optional().isArray(),
+    body('roles.*').isIn(PRICE_LIST_ROLES),
+    body('users').optional().isArray(),
+    body('users.*').isMongoId(),
+    body('percentOff').optional().isFloat({ min: 0, max: 100 }),
+    body('entries').optional().isArray(),
+    body('entries.*.product').isMongoId(),
+    body('entries.*.variant').optional().isMongoId(),
+    body('entries.*.price').optional().isFloat({ min: 0 }),
+    body('entries.*.percentOff').optional().isFloat({ min: 0, max: 100 }),
+    body('entries.*.tiers').optional().isArray(),
+    body('entries.*.tiers.*.minQty').isInt({ min: 2 }),
+    body('entries.*.tiers.*.price').optional().isFloat({ min: 0 }),
+    body('entries.*.tiers.*.percentOff').optional().isFloat({ min: 0, max: 100 })
+  ];
+};
+
+// Price lists (vip / wholesale / per-customer pricing)
+router.get('/price-lists', validate([
+  query('role').optional().isIn(PRICE_LIST_ROLES),
+  query('user').optional().isMongoId()
+]), priceListController.listPriceLists);
+router.get('/price-lists/:id', validate([param('id').isMongoId()]), priceListController.getPriceList);
+router.post('/price-lists', validate(priceListRules(true)), priceListController.createPriceList);
+router.put('/price-lists/:id', validate([param('id').isMongoId(), ...priceListRules(false)]), priceListController.updatePriceList);
+router.delete('/price-lists/:id', validate([param('id').isMongoId()]), priceListController.deletePriceList);
 
 // Analytics
 router.get('/analytics/summary', adminController.summary);
@@ -10,7 +10,8 @@ const {
   resetPassword,
   updateProfile,
   logout,
-  refresh
+  refresh,
+  requestOrderClaim
 } = require('../controllers/auth.controller');
 const { protect } = require('../middleware/auth.middleware');
 const { validate } = require('../middleware/validate.middleware');
@@ -79,6 +80,9 @@ router.put('/profile',
   updateProfile
 );
 
+// Guest orders placed with the account's email are claimed through email verification
+router.post('/claim-orders', authLimiter, protect, requestOrderClaim);
+
 // Self profile (for admin UI convenience)
 router.get('/profile-self', protect, async (req, res) => {
   const user = await User.findById(req.user.id).select('-password').lean();
@@ -1,6 +1,6 @@
 const express = require('express');
 const { body, param } = require('express-validator');
-const { protect } = require('../middleware/auth.middleware');
+const { optionalAuth } = require('../middleware/auth.middleware');
 const { validate } = require('../middleware/validate.middleware');
 const {
   getCart,
@@ -11,11 +11,13 @@ const {
 
 const router = express.Router();
 
-router.use(protect);
+// Signed-in users get their account cart; anonymous visitors a guest cart kept in a signed cookie
+router.use(optionalAuth);
 router.get('/', getCart);
 router.post('/',
   validate([
     body('productId').isMongoId(),
+    body('variantId').optional().isMongoId(),
     body('quantity').isInt({ min: 1, max: 100 })
   ]),
   addToCart
@@ -0,0 +1,28 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { optionalAuth } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const { getCheckoutQuote } = require('../controllers/checkout.controller');
+
+const router = express.Router();
+// Guests get quotes too, at list prices
+router.use(optionalAuth);
+
+// Accepts the POST /api/orders body; only the country matters for shipping and tax
+router.post('/quote',
+  validate([
+    body('orderItems').isArray({ min: 1 }),
+    body('orderItems.*.productId').optional().isMongoId(),
+    body('orderItems.*.product').optional().isMongoId(),
+    body('orderItems.*.variantId').optional().isMongoId(),
+    body('orderItems.*.variant').optional().isMongoId(),
+    body('orderItems.*.qty').optional().isInt({ min: 1, max: 100 }),
+    body('orderItems.*.quantity').optional().isInt({ min: 1, max: 100 }),
+    body('shippingAddress.country').optional().isString().notEmpty(),
+    body('shippingMethod').optional().isIn(['standard', 'express']),
+    body('couponCode').optional().isString().trim(),
+  ]),
+  getCheckoutQuote
+);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const { redeemDownload } = require('../controllers/download.controller');
+
+const router = express.Router();
+
+// One-time links issued by GET /api/products/:id/downloads/:name
+router.get('/:token', redeemDownload);
+
+module.exports = router;
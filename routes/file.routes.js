@@ -0,0 +1,22 @@
+const express = require('express');
+const { getStorage } = require('../storage');
+
+const router = express.Router();
+
+// Private files of the local storage driver, reachable only through signed URLs
+router.get('/*key', (req, res) => {
+  const storage = getStorage();
+  const key = [].concat(req.params.key).join('/');
+  const file = storage.verifySignedUrl?.(key, {
+    expires: req.query.expires,
+    signature: req.query.signature,
+    filename: req.query.filename,
+  });
+  if (!file) return res.status(403).json({ message: 'Link is invalid or has expired' });
+
+  res.set('Cache-Control', 'private, no-store');
+  if (req.query.filename) return res.download(file, String(req.query.filename));
+  res.sendFile(file);
+});
+
+module.exports = router;
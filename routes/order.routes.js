@@ -1,17 +1,29 @@
 const express = require('express');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, protectOrderAccess } = require('../middleware/auth.middleware');
 const rateLimit = require('express-rate-limit');
 const { body, param } = require('express-validator');
 const { validate } = require('../middleware/validate.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
 const { env } = require('../config/env');
 const {
   addOrderItems,
+  addGuestOrder,
+  getGuestOrder,
   getMyOrders,
-  getOrderById
+  getOrderById,
+  getOrderInvoice,
+  getOrderCreditNote,
+  getGuestOrderInvoice,
+  getGuestOrderCreditNote,
+  cancelMyOrder,
+  reorder
 } = require('../controllers/order.controller');
+const {
+  createReturnRequest,
+  getOrderReturns
+} = require('../controllers/return.controller');
 
 const router = express.Router();
-router.use(protect);
 
 // Prevent abuse/spam orders per user; keeps checkout endpoints predictable.
 const createOrderLimiter = rateLimit({
@@ -22,28 +34,81 @@ const createOrderLimiter = rateLimit({
   keyGenerator: (req) => String(req.user?.id || req.ip),
 });
 
-router.post('/',
+// Same body as POST /api/orders plus the guest's email address
+const orderBodyRules = [
+  // Back-compat: accept orderItems; prefer minimal item shape { productId, qty }
+  body('orderItems').isArray({ min: 1 }),
+  body('orderItems.*.productId').optional().isMongoId(),
+  body('orderItems.*.product').optional().isMongoId(),
+  body('orderItems.*.variantId').optional().isMongoId(),
+  body('orderItems.*.variant').optional().isMongoId(),
+  body('orderItems.*.qty').optional().isInt({ min: 1, max: 100 }),
+  body('orderItems.*.quantity').optional().isInt({ min: 1, max: 100 }),
+
+  // Shipping (minimal required set)
+  body('shippingAddress.address').isString().notEmpty(),
+  body('shippingAddress.city').isString().notEmpty(),
+  body('shippingAddress.postalCode').isString().notEmpty(),
+  body('shippingAddress.country').isString().notEmpty(),
+
+  // Payment method optional; defaults to 'card'
+  body('paymentMethod').optional().isString().notEmpty(),
+];
+
+// Guest checkout: no account, access through a signed order token
+router.post('/guest',
   createOrderLimiter,
   validate([
-    // Back-compat: accept orderItems; prefer minimal item shape { productId, qty }
-    body('orderItems').isArray({ min: 1 }),
-    body('orderItems.*.productId').optional().isMongoId(),
-    body('orderItems.*.product').optional().isMongoId(),
-    body('orderItems.*.qty').optional().isInt({ min: 1, max: 100 }),
-    body('orderItems.*.quantity').optional().isInt({ min: 1, max: 100 }),
-
-    // Shipping (minimal required set)
-    body('shippingAddress.address').isString().notEmpty(),
-    body('shippingAddress.city').isString().notEmpty(),
-    body('shippingAddress.postalCode').isString().notEmpty(),
-    body('shippingAddress.country').isString().notEmpty(),
-
-    // Payment method optional; defaults to 'card'
-    body('paymentMethod').optional().isString().notEmpty(),
+    ...orderBodyRules,
+    // Normalized like registration so the order can later be claimed by that account
+    body('email').isEmail().normalizeEmail(),
   ]),
+  idempotency('orders:create-guest'),
+  addGuestOrder
+);
+router.get('/guest/:id', validate([param('id').isMongoId()]), protectOrderAccess, getGuestOrder);
+router.get('/guest/:id/invoice.pdf', validate([param('id').isMongoId()]), protectOrderAccess, getGuestOrderInvoice);
+router.get('/guest/:id/credit-notes/:refundId.pdf',
+  validate([param('id').isMongoId(), param('refundId').isMongoId()]),
+  protectOrderAccess,
+  getGuestOrderCreditNote
+);
+
+router.use(protect);
+
+router.post('/',
+  createOrderLimiter,
+  validate(orderBodyRules),
+  // A double-clicked "Place order" must not reserve stock twice
+  idempotency('orders:create'),
   addOrderItems
 );
 router.get('/', getMyOrders);
 router.get('/:id', validate([param('id').isMongoId()]), getOrderById);
+router.get('/:id/invoice.pdf', validate([param('id').isMongoId()]), getOrderInvoice);
+router.get('/:id/credit-notes/:refundId.pdf',
+  validate([param('id').isMongoId(), param('refundId').isMongoId()]),
+  getOrderCreditNote
+);
+router.post('/:id/cancel',
+  validate([
+    param('id').isMongoId(),
+    body('reason').optional().isString().trim().isLength({ max: 500 }),
+  ]),
+  cancelMyOrder
+);
+router.post('/:id/reorder', validate([param('id').isMongoId()]), reorder);
+router.get('/:id/returns', validate([param('id').isMongoId()]), getOrderReturns);
+router.post('/:id/returns',
+  validate([
+    param('id').isMongoId(),
+    body('items').isArray({ min: 1 }),
+    body('items.*.productId').isMongoId(),
+    body('items.*.variantId').optional().isMongoId(),
+    body('items.*.qty').isInt({ min: 1, max: 100 }),
+    body('reason').isString().trim().isLength({ min: 3, max: 1000 }),
+  ]),
+  createReturnRequest
+);
 
 module.exports = router;
\ No newline at end of file
@@ -1,15 +1,14 @@
 const express = require('express');
-const { protect } = require('../middleware/auth.middleware');
-const { createPaymentIntent } = require('../controllers/payment.controller');
+const { protect, protectOrderAccess } = require('../middleware/auth.middleware');
+const { createPaymentIntent, createGuestPaymentIntent } = require('../controllers/payment.controller');
 const { validate } = require('../middleware/validate.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
 const { body } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const { env } = require('../config/env');
 
 const router = express.Router();
 
-router.use(protect);
-
 const paymentIntentLimiter = rateLimit({
   windowMs: env.RATE_LIMIT_WINDOW_MS,
   max: 30,
@@ -17,12 +16,28 @@ const paymentIntentLimiter = rateLimit({
   legacyHeaders: false,
   keyGenerator: (req) => String(req.user?.id || req.ip),
 });
+
+// Guest orders authenticate with their order access token instead of a session
+router.post('/guest/create-payment-intent',
+  paymentIntentLimiter,
+  validate([
+    body('orderId').isMongoId(),
+    body('currency').optional().isString().isLength({ min: 3, max: 3 })
+  ]),
+  protectOrderAccess,
+  idempotency('payments:create-guest-intent'),
+  createGuestPaymentIntent
+);
+
+router.use(protect);
+
 router.post('/create-payment-intent',
   paymentIntentLimiter,
   validate([
     body('orderId').isMongoId(),
     body('currency').optional().isString().isLength({ min: 3, max: 3 })
   ]),
+  idempotency('payments:create-intent'),
   createPaymentIntent
 );
 
@@ -1,10 +1,43 @@
 const express = require('express');
-const { getProducts, getProductById } = require('../controllers/product.controller');
+const { query, param } = require('express-validator');
+const { getProducts, getProductById, suggestProducts } = require('../controllers/product.controller');
+const { getDownloadLink } = require('../controllers/download.controller');
 const cacheMiddleware = require('../middleware/cache.middleware');
+const { optionalAuth } = require('../middleware/auth.middleware');
+const { attachPriceList } = require('../middleware/priceList.middleware');
+const { validate } = require('../middleware/validate.middleware');
 
 const router = express.Router();
 
-router.get('/', cacheMiddleware(300), getProducts);
-router.get('/:identifier', cacheMiddleware(300), getProductById);
+// Prices depend on the customer's price list, so cached pages are kept per list
+const byPriceList = (req) => req.priceList?._id?.toString();
 
-module.exports = router;
\ No newline at end of file
+// `tags` may be repeated or comma-separated
+const toTagList = (value) => [].concat(value)
+  .flatMap((v) => String(v).split(','))
+  .map((t) => t.trim())
+  .filter(Boolean)
+  .slice(0, 20);
+
+const searchRules = [
+  query('search').optional().isString().trim().isLength({ max: 100 }),
+  query('tags').optional().customSanitizer(toTagList),
+  query('minPrice').optional().isFloat({ min: 0 }).toFloat(),
+  query('maxPrice').optional().isFloat({ min: 0 }).toFloat(),
+  query('minRating').optional().isFloat({ min: 0, max: 5 }).toFloat(),
+  query('inStock').optional().isBoolean().toBoolean(),
+  query('featured').optional().isBoolean().toBoolean()
+];
+
+router.get('/suggest', validate([
+  query('q').isString().trim().isLength({ min: 1, max: 64 })
+]), suggestProducts);
+router.get('/', validate(searchRules), optionalAuth, attachPriceList, cacheMiddleware(300, byPriceList), getProducts);
+// Signed per request, so never cached
+router.get('/:id/downloads/:name', validate([
+  param('id').isMongoId(),
+  param('name').isString().isLength({ min: 1, max: 200 })
+]), optionalAuth, getDownloadLink);
+router.get('/:identifier', optionalAuth, attachPriceList, cacheMiddleware(300, byPriceList), getProductById);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { protect } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const {
+  getProductQuestions,
+  askQuestion,
+  getMyQuestions,
+  deleteQuestion,
+  answerQuestion,
+  deleteAnswer,
+  upvoteAnswer,
+  retractAnswerUpvote
+} = require('../controllers/question.controller');
+
+const router = express.Router();
+
+const answerParams = [param('questionId').isMongoId(), param('answerId').isMongoId()];
+
+// Public: Get questions and answers for a product
+router.get('/product/:productId',
+  validate([
+    param('productId').isMongoId(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 50 }),
+    query('sort').optional().isIn(['newest', 'oldest', 'most_answered'])
+  ]),
+  getProductQuestions
+);
+
+// Protected: Get user's own questions
+router.get('/my-questions', protect, getMyQuestions);
+
+// Protected: Ask a question (held for moderation)
+router.post('/product/:productId',
+  protect,
+  validate([
+    param('productId').isMongoId(),
+    body('question').isString().trim().isLength({ min: 1, max: 1000 })
+  ]),
+  askQuestion
+);
+
+// Protected: Delete own question (or admin)
+router.delete('/:questionId',
+  protect,
+  validate([param('questionId').isMongoId()]),
+  deleteQuestion
+);
+
+// Protected: Answer a question (admins and verified purchasers)
+router.post('/:questionId/answers',
+  protect,
+  validate([
+    param('questionId').isMongoId(),
+    body('body').isString().trim().isLength({ min: 1, max: 2000 })
+  ]),
+  answerQuestion
+);
+
+// Protected: Delete own answer (or admin)
+router.delete('/:questionId/answers/:answerId',
+  protect,
+  validate(answerParams),
+  deleteAnswer
+);
+
+// Protected: Upvote answers (one per user, retractable)
+router.post('/:questionId/answers/:answerId/upvote', protect, validate(answerParams), upvoteAnswer);
+router.delete('/:questionId/answers/:answerId/upvote', protect, validate(answerParams), retractAnswerUpvote);
+
+module.exports = router;
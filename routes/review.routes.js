@@ -8,22 +8,46 @@ const {
   updateReview,
   deleteReview,
   canReviewProduct,
-  getMyReviews
+  getMyReviews,
+  voteHelpful,
+  retractHelpfulVote,
+  reportReview,
+  getReviewRequest,
+  submitRequestedReview,
+  optOutOfReviewRequests
 } = require('../controllers/review.controller');
 
 const router = express.Router();
 
+const reviewContentRules = [
+  body('title').optional().isString().trim().isLength({ max: 100 }),
+  body('comment').optional().isString().trim().isLength({ max: 2000 }),
+  body('images').optional().isArray({ max: 5 }),
+  body('images.*').isURL({ protocols: ['http', 'https'], require_protocol: true })
+];
+
 // Public: Get reviews for a product
 router.get('/product/:productId',
   validate([
     param('productId').isMongoId(),
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 50 }),
-    query('sort').optional().isIn(['newest', 'oldest', 'highest', 'lowest'])
+    query('sort').optional().isIn(['newest', 'oldest', 'highest', 'lowest', 'most_helpful'])
   ]),
   getProductReviews
 );
 
+// Link holders: one-click reviews and opt-out from review request emails
+router.get('/request/:token', getReviewRequest);
+router.post('/request/:token',
+  validate([
+    body('rating').isInt({ min: 1, max: 5 }),
+    ...reviewContentRules
+  ]),
+  submitRequestedReview
+);
+router.post('/opt-out/:token', optOutOfReviewRequests);
+
 // Protected: Check if user can review a product
 router.get('/can-review/:productId',
   protect,
@@ -34,24 +58,46 @@ router.get('/can-review/:productId',
 // Protected: Get user's own reviews
 router.get('/my-reviews', protect, getMyReviews);
 
-// Protected: Add a review
+// Protected: Add a review (held for moderation)
 router.post('/product/:productId',
   protect,
   validate([
     param('productId').isMongoId(),
     body('rating').isInt({ min: 1, max: 5 }),
-    body('comment').optional().isString().trim().isLength({ max: 2000 })
+    ...reviewContentRules
   ]),
   addProductReview
 );
 
-// Protected: Update own review
+// Protected: Helpful votes (one per user, retractable)
+router.post('/:reviewId/helpful',
+  protect,
+  validate([param('reviewId').isMongoId()]),
+  voteHelpful
+);
+router.delete('/:reviewId/helpful',
+  protect,
+  validate([param('reviewId').isMongoId()]),
+  retractHelpfulVote
+);
+
+// Protected: Report a review for abuse
+router.post('/:reviewId/report',
+  protect,
+  validate([
+    param('reviewId').isMongoId(),
+    body('reason').isString().trim().isLength({ min: 1, max: 500 })
+  ]),
+  reportReview
+);
+
+// Protected: Update own review (back to moderation)
 router.put('/:reviewId',
   protect,
   validate([
     param('reviewId').isMongoId(),
     body('rating').optional().isInt({ min: 1, max: 5 }),
-    body('comment').optional().isString().trim().isLength({ max: 2000 })
+    ...reviewContentRules
   ]),
   updateReview
 );
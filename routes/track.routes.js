@@ -0,0 +1,28 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { query } = require('express-validator');
+const { validate } = require('../middleware/validate.middleware');
+const { env } = require('../config/env');
+const { trackOrder } = require('../controllers/order.controller');
+
+const router = express.Router();
+
+// Public and keyed on guessable inputs, so keep it tight per IP.
+const trackLimiter = rateLimit({
+  windowMs: env.RATE_LIMIT_WINDOW_MS,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+router.get('/',
+  trackLimiter,
+  validate([
+    query('orderNumber').isString().trim().notEmpty().isLength({ max: 64 }),
+    // Normalized like registration and guest checkout so stored emails compare equal
+    query('email').isEmail().normalizeEmail(),
+  ]),
+  trackOrder
+);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+/*
+ Removes files under uploads/products that no product references any more, e.g. left
+ behind by interrupted uploads. Files younger than an hour are kept.
+ Usage: node scripts/cleanup-product-images.js [--dry-run]
+*/
+const mongoose = require('mongoose');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+
+const { cleanupOrphanedProductImages } = require('../utils/productImage.utils');
+
+async function run() {
+  const uri = process.env.MONGODB_URI;
+  const dbName = process.env.MONGODB_DB || 'jaguza';
+  if (!uri) {
+    console.error('Missing MONGODB_URI');
+    process.exit(1);
+  }
+  const dryRun = process.argv.includes('--dry-run');
+  mongoose.set('strictQuery', true);
+  await mongoose.connect(uri, { dbName });
+
+  const orphans = await cleanupOrphanedProductImages({ dryRun });
+  orphans.forEach((key) => console.log(`${dryRun ? 'Would remove' : 'Removed'} ${key}`));
+  console.log(`Orphaned files: ${orphans.length}`);
+  await mongoose.connection.close();
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/*
+ Moves stored files between storage drivers and points product image URLs at the new location.
+ Files already in the target are skipped, so the command can be re-run after an interruption.
+ Usage: node scripts/migrate-storage.js --from local --to s3 [--prefix products/] [--delete-source] [--dry-run]
+*/
+const mongoose = require('mongoose');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+
+const { createStorage } = require('../storage');
+const { migrateFiles } = require('../storage/migrate');
+const { rewriteProductImageUrls } = require('../utils/productImage.utils');
+
+function arg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? undefined : process.argv[i + 1];
+}
+
+async function run() {
+  const from = arg('from');
+  const to = arg('to');
+  if (!from || !to || from === to) {
+    console.error('Usage: node scripts/migrate-storage.js --from local --to s3 [--prefix products/] [--delete-source] [--dry-run]');
+    process.exit(1);
+  }
+  const uri = process.env.MONGODB_URI;
+  const dbName = process.env.MONGODB_DB || 'jaguza';
+  if (!uri) {
+    console.error('Missing MONGODB_URI');
+    process.exit(1);
+  }
+  const dryRun = process.argv.includes('--dry-run');
+  const source = createStorage(from);
+  const target = createStorage(to);
+
+  const result = await migrateFiles(source, target, {
+    prefix: arg('prefix') || '',
+    deleteSource: process.argv.includes('--delete-source'),
+    dryRun,
+    onFile: (key, action) => console.log(`${action} ${key}`),
+  });
+  console.log(`Copied: ${result.copied}, already there: ${result.skipped}, removed from ${from}: ${result.removed}`);
+
+  if (!dryRun) {
+    mongoose.set('strictQuery', true);
+    await mongoose.connect(uri, { dbName });
+    const updated = await rewriteProductImageUrls(source, target);
+    console.log(`Products with updated image URLs: ${updated}`);
+    await mongoose.connection.close();
+  }
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/*
+ Prepares the carts collection for guest carts: the unique index on `user` becomes sparse (guest
+ carts have no user) and the guestId and expiresAt (TTL) indexes are created.
+ Idempotent: safe to run multiple times.
+*/
+const mongoose = require('mongoose');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+
+const Cart = require('../../models/cart.model');
+
+async function run() {
+  const uri = process.env.MONGODB_URI;
+  const dbName = process.env.MONGODB_DB || 'jaguza';
+  if (!uri) {
+    console.error('Missing MONGODB_URI');
+    process.exit(1);
+  }
+  mongoose.set('strictQuery', true);
+  await mongoose.connect(uri, { dbName });
+
+  const indexes = await Cart.collection.indexes().catch(() => []);
+  const userIndex = indexes.find((i) => i.name === 'user_1');
+  if (userIndex && !userIndex.sparse) {
+    await Cart.collection.dropIndex('user_1');
+    console.log('Dropped non-sparse user_1 index');
+  }
+  await Cart.syncIndexes();
+
+  console.log('Cart indexes:', (await Cart.collection.indexes()).map((i) => i.name).join(', '));
+  await mongoose.connection.close();
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/*
+ Moves the legacy single `refund` subdocument on orders into the `refunds` history array.
+ Idempotent: safe to run multiple times.
+*/
+const mongoose = require('mongoose');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+
+const Order = require('../../models/order.model');
+
+async function run() {
+  const uri = process.env.MONGODB_URI;
+  const dbName = process.env.MONGODB_DB || 'jaguza';
+  if (!uri) {
+    console.error('Missing MONGODB_URI');
+    process.exit(1);
+  }
+  mongoose.set('strictQuery', true);
+  await mongoose.connect(uri, { dbName });
+
+  // `refund` is no longer in the schema, so go through the raw collection.
+  let migrated = 0;
+  const cursor = Order.collection.find({ refund: { $exists: true } });
+  for await (const o of cursor) {
+    const legacy = o.refund || {};
+    const update = { $unset: { refund: '' } };
+    if (Number(legacy.amount) > 0 && !(o.refunds || []).length) {
+      update.$set = {
+        refunds: [{
+          _id: new mongoose.Types.ObjectId(),
+          amount: legacy.amount,
+          reason: legacy.reason,
+          source: 'stripe',
+          lines: [],
+          date: legacy.date || o.updatedAt || new Date(),
+        }],
+      };
+    }
+    await Order.collection.updateOne({ _id: o._id }, update);
+    migrated++;
+  }
+
+  console.log(`Orders migrated: ${migrated}`);
+  await mongoose.connection.close();
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/*
+ Moves reviews embedded in products (`Product.reviews`) to the Review collection and recalculates
+ ratingAvg/ratingCount from approved reviews. Embedded reviews were already public, so they are
+ imported as approved; `verifiedPurchase` is set when the reviewer has a paid order with the product.
+ Entries without a user or a 1-5 rating cannot become reviews; they stay in `Product.reviews`
+ for manual follow-up and everything else is removed from there.
+ Idempotent: safe to run multiple times (a user's existing review of a product is kept).
+*/
+const mongoose = require('mongoose');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+
+const Product = require('../../models/product.model');
+const Order = require('../../models/order.model');
+const Review = require('../../models/review.model');
+
+async function run() {
+  const uri = process.env.MONGODB_URI;
+  const dbName = process.env.MONGODB_DB || 'jaguza';
+  if (!uri) {
+    console.error('Missing MONGODB_URI');
+    process.exit(1);
+  }
+  mongoose.set('strictQuery', true);
+  await mongoose.connect(uri, { dbName });
+  await Review.init();
+
+  // `reviews` is no longer in the product schema, so go through the raw collection.
+  let products = 0;
+  let moved = 0;
+  let skipped = 0;
+  const cursor = Product.collection.find({ 'reviews.0': { $exists: true } });
+  for await (const p of cursor) {
+    const leftBehind = [];
+    for (const r of p.reviews) {
+      if (!r.user || !(r.rating >= 1 && r.rating <= 5)) {
+        leftBehind.push(r);
+        skipped++;
+        continue;
+      }
+      const order = await Order.findOne({ user: r.user, 'orderItems.product': p._id, isPaid: true })
+        .sort('-createdAt').select('_id').lean();
+      const createdAt = r.createdAt || p.createdAt || new Date();
+      const result = await Review.collection.updateOne(
+        { product: p._id, user: r.user },
+        {
+          $setOnInsert: {
+            order: order?._id,
+            rating: r.rating,
+            comment: (r.comment || '').trim().slice(0, 2000),
+            images: [],
+            verifiedPurchase: !!order,
+            helpfulCount: 0,
+            helpfulVotes: [],
+            isApproved: true,
+            approvedAt: createdAt,
+            createdAt,
+            updatedAt: createdAt,
+          },
+        },
+        { upsert: true }
+      );
+      if (result.upsertedCount) moved++;
+    }
+    await Review.updateProductRating(p._id);
+    await Product.collection.updateOne(
+      { _id: p._id },
+      leftBehind.length ? { $set: { reviews: leftBehind } } : { $unset: { reviews: '' } }
+    );
+    products++;
+  }
+
+  console.log(`Products migrated: ${products}, reviews moved: ${moved}, skipped: ${skipped}`);
+  if (skipped) console.log('Skipped entries were left in Product.reviews');
+  await mongoose.connection.close();
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/*
+ Moves the legacy `variants` option lists ({ name, values }) on products to `variantOptions`,
+ leaving `variants` free for sellable combinations with their own SKU, price and stock.
+ Idempotent: safe to run multiple times.
+*/
+const mongoose = require('mongoose');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+
+const Product = require('../../models/product.model');
+
+async function run() {
+  const uri = process.env.MONGODB_URI;
+  const dbName = process.env.MONGODB_DB || 'jaguza';
+  if (!uri) {
+    console.error('Missing MONGODB_URI');
+    process.exit(1);
+  }
+  mongoose.set('strictQuery', true);
+  await mongoose.connect(uri, { dbName });
+
+  // Legacy entries have a name and no SKU, so go through the raw collection.
+  let migrated = 0;
+  const cursor = Product.collection.find({ 'variants.name': { $exists: true }, 'variants.sku': { $exists: false } });
+  for await (const p of cursor) {
+    const variantOptions = (p.variants || [])
+      .filter((v) => v && v.name)
+      .map((v) => ({ name: v.name, values: v.values || [] }));
+    await Product.collection.updateOne(
+      { _id: p._id },
+      { $set: { variantOptions: (p.variantOptions || []).length ? p.variantOptions : variantOptions, variants: [] } }
+    );
+    migrated++;
+  }
+
+  console.log(`Products migrated: ${migrated}`);
+  await mongoose.connection.close();
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -17,6 +17,9 @@ const { env } = require('./config/env');
 const { connect } = require('./config/db');
 const { errorLogger, appLogger } = require('./logging/logger');
 const requestIdMiddleware = require('./middleware/requestId.middleware');
+const { startOrderExpiryJob, stopOrderExpiryJob } = require('./jobs/orderExpiry.job');
+const { startReviewRequestJob, stopReviewRequestJob } = require('./jobs/reviewRequest.job');
+const { failInterruptedImports } = require('./jobs/productImport.job');
 
 // Sentry error tracking (optional - only loads if SENTRY_DSN is configured)
 let Sentry = null;
@@ -41,11 +44,16 @@ const productRoutes = require('./routes/product.routes');
 const categoryRoutes = require('./routes/category.routes');
 const cartRoutes = require('./routes/cart.routes');
 const orderRoutes = require('./routes/order.routes');
+const checkoutRoutes = require('./routes/checkout.routes');
+const trackRoutes = require('./routes/track.routes');
 const paymentRoutes = require('./routes/payment.routes');
 const wishlistRoutes = require('./routes/wishlist.routes');
 const adminRoutes = require('./routes/admin.routes');
+const fileRoutes = require('./routes/file.routes');
+const downloadRoutes = require('./routes/download.routes');
 const webhookRoutes = require('./routes/webhook.routes');
 const reviewRoutes = require('./routes/review.routes');
+const questionRoutes = require('./routes/question.routes');
 const couponRoutes = require('./routes/coupon.routes');
 const analyticsRoutes = require('./routes/analytics.routes');
 
@@ -142,8 +150,9 @@ app.use(sanitizeInput);
 app.use(hpp());
 app.use(cookieParser());
 
-// static uploads
+// static uploads; private/ files are stored outside uploads/ and only reachable through signed /files links
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+app.use('/files', fileRoutes);
 
 // health
 app.get('/health', (req, res) => res.json({ status: 'ok', uptime: process.uptime(), ts: Date.now() }));
@@ -234,12 +243,16 @@ const mutateLimiter = rateLimit({
 // api routes with appropriate rate limits
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/products', generalLimiter, productRoutes);
+app.use('/api/downloads', generalLimiter, downloadRoutes);
 app.use('/api/categories', generalLimiter, categoryRoutes);
 app.use('/api/cart', mutateLimiter, cartRoutes);
 app.use('/api/orders', mutateLimiter, orderRoutes);
+app.use('/api/checkout', generalLimiter, checkoutRoutes);
+app.use('/api/track', generalLimiter, trackRoutes);
 app.use('/api/payments', mutateLimiter, paymentRoutes);
 app.use('/api/wishlist', mutateLimiter, wishlistRoutes);
 app.use('/api/reviews', mutateLimiter, reviewRoutes);
+app.use('/api/questions', mutateLimiter, questionRoutes);
 app.use('/api/coupons', generalLimiter, couponRoutes);
 
 // Admin routes hidden behind keyed path segment (security by obscurity + layered controls)
@@ -334,6 +347,7 @@ if (env.NODE_ENV !== 'test') {
   (async () => {
     try {
       await connect();
+      await failInterruptedImports();
       const server = app.listen(env.PORT, () => {
         console.log(`API running on ${env.BASE_URL} (env: ${env.NODE_ENV})`);
         console.log(`Docs: ${env.BASE_URL}/docs  Health: ${env.BASE_URL}/health`);
@@ -358,9 +372,15 @@ if (env.NODE_ENV !== 'test') {
         }
       }
       
+      // Background jobs
+      startOrderExpiryJob();
+      startReviewRequestJob();
+
       // Graceful shutdown
       const shutdown = async (signal) => {
         console.log(`\n[${signal}] shutting down...`);
+        stopOrderExpiryJob();
+        stopReviewRequestJob();
         server.close(() => {
           console.log('HTTP server closed');
         });
@@ -0,0 +1,77 @@
+/**
+ * File storage
+ * One interface over local disk and S3-compatible buckets, chosen with STORAGE_DRIVER:
+ * put(key, body, { contentType }), get(key), exists(key), remove(key), list(prefix),
+ * url(key) for public files and signedUrl(key, { expiresIn, filename }) for private ones.
+ * Keys are relative paths such as 'products/<id>/<file>.jpg'. Keys under 'private/' are never
+ * served publicly (keep that prefix out of any public bucket policy); hand out signedUrl() links.
+ */
+
+const path = require('path');
+const { env } = require('../config/env');
+const { createLocalDriver } = require('./local.driver');
+const { createS3Driver } = require('./s3.driver');
+
+const LOCAL_ROOT = path.join(__dirname, '../uploads');
+// Kept outside uploads/ so express.static can never reach it, however the path is spelled
+const LOCAL_PRIVATE_ROOT = path.join(__dirname, '../private');
+
+const CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  pdf: 'application/pdf',
+  zip: 'application/zip',
+  txt: 'text/plain',
+};
+
+// Content type stored with a file, from its extension
+function contentTypeFor(key) {
+  return CONTENT_TYPES[path.extname(key).slice(1).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Build a driver from the environment, with optional overrides (tests, migrations)
+ * @param {'local'|'s3'} name
+ * @param {Object} overrides - Driver options replacing the configured ones
+ */
+function createStorage(name = env.STORAGE_DRIVER, overrides = {}) {
+  if (name === 's3') {
+    return createS3Driver({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE,
+      credentials: { accessKeyId: env.S3_ACCESS_KEY_ID, secretAccessKey: env.S3_SECRET_ACCESS_KEY },
+      publicUrl: env.S3_PUBLIC_URL,
+      ...overrides,
+    });
+  }
+  if (name === 'local') {
+    return createLocalDriver({
+      root: LOCAL_ROOT,
+      privateRoot: LOCAL_PRIVATE_ROOT,
+      baseUrl: env.BASE_URL,
+      signingSecret: env.STORAGE_SIGNING_SECRET || env.JWT_SECRET,
+      ...overrides,
+    });
+  }
+  throw new Error(`Unknown storage driver "${name}"`);
+}
+
+let storage = null;
+
+// The configured driver, created on first use
+function getStorage() {
+  if (!storage) storage = createStorage();
+  return storage;
+}
+
+// Swap the driver in use (tests)
+function setStorage(driver) {
+  storage = driver;
+}
+
+module.exports = { createStorage, getStorage, setStorage, contentTypeFor };
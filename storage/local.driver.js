@@ -0,0 +1,128 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Keys under this prefix live in their own directory, outside the one served publicly
+const PRIVATE_PREFIX = 'private/';
+
+/**
+ * Files on local disk. Public files are served by express.static under /uploads;
+ * private files are kept in a separate directory and only reachable through signed URLs
+ * pointing at /files, which checks the signature (see routes/file.routes.js).
+ * @param {Object} options
+ * @param {string} options.root - Directory holding the public files
+ * @param {string} options.privateRoot - Directory holding the 'private/' keys, outside root
+ * @param {string} options.baseUrl - Public base URL of the API
+ * @param {string} options.signingSecret - HMAC secret for signed URLs
+ */
+function createLocalDriver({ root, privateRoot, baseUrl, signingSecret }) {
+  const base = baseUrl.replace(/\/$/, '');
+
+  // Directory a key lives in, and its path relative to that directory
+  function locate(key) {
+    if (key === 'private' || key.startsWith(PRIVATE_PREFIX)) {
+      return { dir: path.resolve(privateRoot), rel: key.slice(PRIVATE_PREFIX.length) };
+    }
+    return { dir: path.resolve(root), rel: key };
+  }
+
+  // Absolute path of a key, refusing keys that would escape their directory
+  function resolve(key) {
+    const { dir, rel } = key ? locate(key) : {};
+    const file = rel && path.resolve(dir, rel);
+    if (!file || !file.startsWith(dir + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  }
+
+  function signature(key, expires, filename = '') {
+    return crypto.createHmac('sha256', signingSecret).update(`${key}:${expires}:${filename}`).digest('hex');
+  }
+
+  async function walk(dir, prefix, out) {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        await walk(path.join(dir, entry.name), key, out);
+      } else {
+        const stat = await fs.stat(path.join(dir, entry.name));
+        out.push({ key, size: stat.size, lastModified: stat.mtime });
+      }
+    }
+    return out;
+  }
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+    },
+
+    async get(key) {
+      return fs.readFile(resolve(key));
+    },
+
+    async exists(key) {
+      return fs.access(resolve(key)).then(() => true, () => false);
+    },
+
+    async remove(key) {
+      const file = resolve(key);
+      await fs.rm(file, { force: true });
+      // Drop directories the removal left empty
+      const top = locate(key).dir;
+      let dir = path.dirname(file);
+      while (dir.startsWith(top + path.sep)) {
+        try {
+          await fs.rmdir(dir);
+        } catch {
+          break;
+        }
+        dir = path.dirname(dir);
+      }
+    },
+
+    async list(prefix = '') {
+      const clean = prefix.replace(/\/+$/, '');
+      if (!clean) {
+        const files = await walk(path.resolve(root), '', []);
+        return walk(path.resolve(privateRoot), 'private', files);
+      }
+      const dir = clean === 'private' ? path.resolve(privateRoot) : resolve(clean);
+      return walk(dir, clean, []);
+    },
+
+    url(key) {
+      return `${base}/uploads/${key}`;
+    },
+
+    async signedUrl(key, { expiresIn = 300, filename } = {}) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const params = new URLSearchParams({ expires: String(expires), signature: signature(key, expires, filename) });
+      if (filename) params.set('filename', filename);
+      return `${base}/files/${key}?${params}`;
+    },
+
+    /**
+     * Path of a file behind a signed URL, or null when the signature is wrong or expired
+     */
+    verifySignedUrl(key, { expires, signature: given, filename }) {
+      if (!given || !/^\d+$/.test(String(expires)) || Number(expires) < Date.now() / 1000) return null;
+      const expected = Buffer.from(signature(key, expires, filename));
+      const actual = Buffer.from(String(given));
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+      try {
+        return resolve(key);
+      } catch {
+        return null;
+      }
+    },
+  };
+}
+
+module.exports = { createLocalDriver };
@@ -0,0 +1,36 @@
+const { contentTypeFor } = require('./index');
+
+/**
+ * Copy files from one storage to another, e.g. local disk to S3 when switching drivers.
+ * Files already present in the target are skipped, so an interrupted run can be resumed.
+ * @param {Object} from - Source storage
+ * @param {Object} to - Target storage
+ * @param {Object} options
+ * @param {string} options.prefix - Only keys starting with this
+ * @param {boolean} options.deleteSource - Remove each file from the source once copied
+ * @param {boolean} options.dryRun - Only count what would be copied
+ * @param {Function} options.onFile - Called with (key, action) for progress output
+ * @returns {Promise<{copied: number, skipped: number, removed: number}>}
+ */
+async function migrateFiles(from, to, { prefix = '', deleteSource = false, dryRun = false, onFile } = {}) {
+  const result = { copied: 0, skipped: 0, removed: 0 };
+  const files = await from.list(prefix);
+
+  for (const { key } of files) {
+    if (await to.exists(key)) {
+      result.skipped++;
+      onFile?.(key, 'skipped');
+    } else {
+      if (!dryRun) await to.put(key, await from.get(key), { contentType: contentTypeFor(key) });
+      result.copied++;
+      onFile?.(key, 'copied');
+    }
+    if (deleteSource && !dryRun) {
+      await from.remove(key);
+      result.removed++;
+    }
+  }
+  return result;
+}
+
+module.exports = { migrateFiles };
@@ -0,0 +1,90 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * Files in an S3 bucket, or any S3-compatible service (MinIO, R2, ...) via `endpoint`.
+ * @param {Object} options
+ * @param {string} options.bucket
+ * @param {string} options.region
+ * @param {string} options.endpoint - Custom endpoint for S3-compatible services
+ * @param {boolean} options.forcePathStyle - bucket in the path instead of the host name (MinIO)
+ * @param {Object} options.credentials - `{ accessKeyId, secretAccessKey }`; the default AWS chain when empty
+ * @param {string} options.publicUrl - Base URL public objects are served from (CDN); derived when empty
+ * @param {Object} options.client - S3Client to use instead of building one
+ */
+function createS3Driver({ bucket, region, endpoint, forcePathStyle, credentials, publicUrl, client }) {
+  if (!bucket) throw new Error('S3 storage needs S3_BUCKET');
+  const s3 = client || new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(forcePathStyle),
+    credentials: credentials?.accessKeyId ? credentials : undefined,
+  });
+
+  let base = publicUrl;
+  if (!base && endpoint) base = `${endpoint.replace(/\/$/, '')}/${bucket}`;
+  if (!base) base = `https://${bucket}.s3.${region || 'us-east-1'}.amazonaws.com`;
+  base = base.replace(/\/$/, '');
+
+  const isNotFound = (err) => err?.name === 'NotFound' || err?.name === 'NoSuchKey' || err?.$metadata?.httpStatusCode === 404;
+
+  return {
+    name: 's3',
+
+    async put(key, body, { contentType } = {}) {
+      await s3.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+    },
+
+    async get(key) {
+      const res = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await res.Body.transformToByteArray());
+    },
+
+    async exists(key) {
+      try {
+        await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (err) {
+        if (isNotFound(err)) return false;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async list(prefix = '') {
+      const out = [];
+      let ContinuationToken;
+      do {
+        const res = await s3.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+        (res.Contents || []).forEach((o) => out.push({ key: o.Key, size: o.Size, lastModified: o.LastModified }));
+        ContinuationToken = res.IsTruncated ? res.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return out;
+    },
+
+    url(key) {
+      return `${base}/${key}`;
+    },
+
+    async signedUrl(key, { expiresIn = 300, filename } = {}) {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: filename ? `attachment; filename="${filename.replace(/"/g, '')}"` : undefined,
+      });
+      return getSignedUrl(s3, command, { expiresIn });
+    },
+  };
+}
+
+module.exports = { createS3Driver };
@@ -40,6 +40,13 @@ async function createUser(overrides = {}) {
   });
 }
 
+async function createProduct(attrs = {}) {
+  const Category = require('../models/category.model');
+  const Product = require('../models/product.model');
+  const category = await Category.create({ name: `Category ${new mongoose.Types.ObjectId()}` });
+  return Product.create({ name: `Paint ${new mongoose.Types.ObjectId()}`, category: category._id, price: 10, ...attrs });
+}
+
 function signAccessToken(user) {
   return jwt.sign({ id: user._id.toString(), role: user.role }, process.env.JWT_SECRET, {
     expiresIn: '15m',
@@ -118,3 +125,396 @@ describe('Admin route security', () => {
     expect(updated.role).toBe('staff');
   });
 });
+
+describe('Admin orders - expiring soon', () => {
+  it('lists unpaid pending orders with their expiry time', async () => {
+    const Order = require('../models/order.model');
+    const admin = await createUser({ role: 'admin' });
+    const buyer = await createUser();
+    const token = signAccessToken(admin);
+
+    const baseOrder = {
+      user: buyer._id,
+      orderItems: [{ product: new mongoose.Types.ObjectId(), name: 'Seed', qty: 1, price: 5 }],
+      itemsPrice: 5,
+      shippingPrice: 0,
+      taxPrice: 0,
+      totalPrice: 5,
+      payment: { status: 'pending' },
+    };
+    const dueSoon = await Order.create(baseOrder);
+    const paid = await Order.create({ ...baseOrder, isPaid: true, payment: { status: 'paid' } });
+    await Order.collection.updateMany(
+      { _id: { $in: [dueSoon._id, paid._id] } },
+      { $set: { createdAt: new Date(Date.now() - 50 * 60 * 1000) } }
+    );
+    await Order.create(baseOrder); // brand new, not due within the window
+
+    const res = await agent
+      .get(adminPath('/orders/expiring?withinMinutes=15'))
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-admin-route-key', process.env.ADMIN_ROUTE_KEY);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.ttlMinutes).toBe(60);
+    expect(res.body.total).toBe(1);
+    expect(res.body.orders[0]._id).toBe(dueSoon.id);
+    expect(new Date(res.body.orders[0].expiresAt).getTime()).toBeGreaterThan(Date.now());
+  });
+});
+
+describe('Admin orders - status transitions', () => {
+  async function createOrderWithStatus(buyer, status, shippingStatus = 'pending') {
+    const Order = require('../models/order.model');
+    return Order.create({
+      user: buyer._id,
+      orderItems: [{ product: new mongoose.Types.ObjectId(), name: 'Seed', qty: 1, price: 5 }],
+      itemsPrice: 5,
+      shippingPrice: 0,
+      taxPrice: 0,
+      totalPrice: 5,
+      status,
+      shipping: { status: shippingStatus },
+    });
+  }
+
+  async function putStatus(admin, orderId, body) {
+    const csrfRes = await agent.get('/api/csrf-token');
+    return agent
+      .put(adminPath(`/orders/${orderId}/status`))
+      .set('Authorization', `Bearer ${signAccessToken(admin)}`)
+      .set('x-admin-route-key', process.env.ADMIN_ROUTE_KEY)
+      .set('X-CSRF-Token', csrfRes.body.csrfToken)
+      .send(body);
+  }
+
+  it('ships a processing order and records who did it', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const buyer = await createUser();
+    const order = await createOrderWithStatus(buyer, 'processing');
+
+    const res = await putStatus(admin, order.id, { status: 'shipped', trackingNumber: 'TRK1' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.order.status).toBe('shipped');
+    expect(res.body.order.shipping.status).toBe('shipped');
+    const entry = res.body.order.timeline.at(-1);
+    expect(entry.status).toBe('shipped');
+    expect(entry.actor.kind).toBe('admin');
+    expect(entry.actor.user).toBe(admin.id);
+  });
+
+  it('refuses to revive a cancelled order', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const buyer = await createUser();
+    const order = await createOrderWithStatus(buyer, 'cancelled');
+
+    const res = await putStatus(admin, order.id, { status: 'delivered' });
+
+    expect(res.statusCode).toBe(409);
+    const Order = require('../models/order.model');
+    expect((await Order.findById(order.id)).status).toBe('cancelled');
+  });
+
+  it('rejects a shipping status that contradicts the order status', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const buyer = await createUser();
+    const order = await createOrderWithStatus(buyer, 'shipped', 'in-transit');
+
+    const res = await putStatus(admin, order.id, { status: 'shipped', shippingStatus: 'delivered' });
+
+    expect(res.statusCode).toBe(409);
+  });
+
+  it('checks the shipping status an order status change brings along', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const buyer = await createUser();
+    const order = await createOrderWithStatus(buyer, 'shipped', 'failed');
+
+    const res = await putStatus(admin, order.id, { status: 'delivered' });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Cannot move shipping from failed to delivered');
+  });
+});
+
+describe('Admin products - variant matrix', () => {
+  async function putVariants(admin, productId, body) {
+    const csrfRes = await agent.get('/api/csrf-token');
+    return agent
+      .put(adminPath(`/products/${productId}/variants`))
+      .set('Authorization', `Bearer ${signAccessToken(admin)}`)
+      .set('x-admin-route-key', process.env.ADMIN_ROUTE_KEY)
+      .set('X-CSRF-Token', csrfRes.body.csrfToken)
+      .send(body);
+  }
+
+  it('stores variant combinations and totals their stock on the product', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const product = await createProduct();
+
+    const res = await putVariants(admin, product.id, {
+      options: [{ name: 'Size', values: ['5L', '20L'] }],
+      variants: [
+        { sku: 'PAINT-5L', options: { Size: '5L' }, price: 12, countInStock: 4 },
+        { sku: 'PAINT-20L', options: { Size: '20L' }, price: 40, countInStock: 2 },
+      ],
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.product.variants).toHaveLength(2);
+    expect(res.body.product.countInStock).toBe(6);
+  });
+
+  it('rejects variants that repeat an option combination', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const product = await createProduct();
+
+    const res = await putVariants(admin, product.id, {
+      options: [{ name: 'Size', values: ['5L'] }],
+      variants: [
+        { sku: 'A-5L', options: { Size: '5L' }, countInStock: 1 },
+        { sku: 'B-5L', options: { Size: '5L' }, countInStock: 1 },
+      ],
+    });
+
+    expect(res.statusCode).toBe(400);
+  });
+});
+
+describe('Admin products - spreadsheet import/export', () => {
+  const Category = require('../models/category.model');
+  const Product = require('../models/product.model');
+
+  function authed(req, admin, csrfToken) {
+    req.set('Authorization', `Bearer ${signAccessToken(admin)}`).set('x-admin-route-key', process.env.ADMIN_ROUTE_KEY);
+    return csrfToken ? req.set('X-CSRF-Token', csrfToken) : req;
+  }
+
+  async function importCsv(admin, csv, fields = {}) {
+    const csrfRes = await agent.get('/api/csrf-token');
+    const req = authed(agent.post(adminPath('/products/import')), admin, csrfRes.body.csrfToken);
+    Object.entries(fields).forEach(([key, value]) => req.field(key, value));
+    return req.attach('file', Buffer.from(csv), 'products.csv');
+  }
+
+  async function waitForJob(admin, jobId) {
+    for (let i = 0; i < 50; i++) {
+      const res = await authed(agent.get(adminPath(`/products/import/${jobId}`)), admin);
+      if (['completed', 'failed'].includes(res.body.status)) return res.body;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    throw new Error('Import did not finish');
+  }
+
+  const csv = [
+    'sku,name,category,price,countInStock,tags',
+    'PAINT-1,Gloss white,paints,25,10,"interior, gloss"',
+    'PAINT-2,Matt black,paints,19.5,4,',
+    'PAINT-3,Primer,no-such-category,9,1,',
+  ].join('\n');
+
+  it('validates rows without writing on a dry run', async () => {
+    const admin = await createUser({ role: 'admin' });
+    await Category.create({ name: 'Paints' });
+
+    const res = await importCsv(admin, csv, { dryRun: 'true' });
+    const job = await waitForJob(admin, res.body.job._id);
+
+    expect(res.statusCode).toBe(202);
+    expect(job).toMatchObject({ status: 'completed', dryRun: true, totals: { rows: 3, created: 2, updated: 0, failed: 1 } });
+    expect(job.rowErrors).toEqual([expect.objectContaining({ row: 4, sku: 'PAINT-3', field: 'category' })]);
+    expect(await Product.countDocuments()).toBe(0);
+  });
+
+  it('upserts products by sku and reports failed rows', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const category = await Category.create({ name: 'Paints' });
+    await Product.create({ name: 'Old matt', sku: 'PAINT-2', category: category._id, price: 30, countInStock: 1 });
+
+    const res = await importCsv(admin, csv);
+    const job = await waitForJob(admin, res.body.job._id);
+
+    expect(job.totals).toEqual({ rows: 3, created: 1, updated: 1, failed: 1 });
+    const created = await Product.findOne({ sku: 'PAINT-1' }).lean();
+    expect(created).toMatchObject({ name: 'Gloss white', price: 25, countInStock: 10, tags: ['interior', 'gloss'] });
+    const updated = await Product.findOne({ sku: 'PAINT-2' }).lean();
+    expect(updated).toMatchObject({ name: 'Matt black', price: 19.5, countInStock: 4 });
+  });
+
+  it('leaves stock alone when an order reserves it while the row is imported', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const category = await Category.create({ name: 'Paints' });
+    const product = await Product.create({ name: 'Gloss white', sku: 'PAINT-1', category: category._id, price: 25, countInStock: 5 });
+    const findOne = Product.findOne.bind(Product);
+    const spy = jest.spyOn(Product, 'findOne').mockImplementationOnce(async (...args) => {
+      const found = await findOne(...args);
+      await Product.updateOne({ _id: product._id }, { $inc: { countInStock: -2 } });
+      return found;
+    });
+
+    try {
+      const res = await importCsv(admin, 'sku,name,countInStock\nPAINT-1,Gloss white v2,10');
+      const job = await waitForJob(admin, res.body.job._id);
+
+      expect(job.totals).toMatchObject({ rows: 1, updated: 0, failed: 1 });
+      expect(job.rowErrors).toEqual([expect.objectContaining({ row: 2, field: 'countInStock' })]);
+      expect(await Product.findById(product._id).lean()).toMatchObject({ name: 'Gloss white', countInStock: 3 });
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  it('rejects files that are not spreadsheets', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const csrfRes = await agent.get('/api/csrf-token');
+
+    const res = await authed(agent.post(adminPath('/products/import')), admin, csrfRes.body.csrfToken)
+      .attach('file', Buffer.from('hello'), 'notes.txt');
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('fails jobs a previous process left unfinished', async () => {
+    const ImportJob = require('../models/importJob.model');
+    const { failInterruptedImports } = require('../jobs/productImport.job');
+    const running = await ImportJob.create({ format: 'csv', status: 'running', startedAt: new Date() });
+    const queued = await ImportJob.create({ format: 'csv' });
+    const done = await ImportJob.create({ format: 'csv', status: 'completed' });
+
+    expect(await failInterruptedImports()).toBe(2);
+
+    const statuses = await ImportJob.find({ _id: { $in: [running._id, queued._id, done._id] } }).sort('_id').lean();
+    expect(statuses.map((j) => j.status)).toEqual(['failed', 'failed', 'completed']);
+    expect(statuses[0].error).toMatch(/upload the file again/);
+  });
+
+  it('exports the catalog in the import layout', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const category = await Category.create({ name: 'Paints' });
+    await Product.create({ name: 'Gloss white', sku: 'PAINT-1', category: category._id, price: 25, tags: ['interior'] });
+
+    const res = await authed(agent.get(adminPath('/products/export?format=csv')), admin);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    const [header, row] = res.text.trim().split('\r\n');
+    expect(header.split(',').slice(0, 5)).toEqual(['sku', 'name', 'description', 'category', 'price']);
+    expect(row).toMatch(/^PAINT-1,Gloss white,,paints,25,/);
+  });
+
+  it('quotes formula-like text in every text column and reads it back unquoted', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const category = await Category.create({ name: 'Paints' });
+    await Product.create({ name: '=Gloss white', sku: '-PAINT-1', category: category._id, price: 25 });
+
+    const exported = await authed(agent.get(adminPath('/products/export?format=csv')), admin);
+    const res = await importCsv(admin, exported.text);
+    const job = await waitForJob(admin, res.body.job._id);
+
+    expect(exported.text.trim().split('\r\n')[1]).toMatch(/^'-PAINT-1,'=Gloss white,,paints,25,/);
+    expect(job.totals).toMatchObject({ rows: 1, created: 0, updated: 1, failed: 0 });
+    expect(await Product.findOne({ sku: '-PAINT-1' }).lean()).toMatchObject({ name: '=Gloss white' });
+  });
+});
+
+describe('Admin products - images', () => {
+  const fs = require('fs');
+  const path = require('path');
+  const sharp = require('sharp');
+  const Product = require('../models/product.model');
+  const productDirs = [];
+
+  afterEach(() => {
+    productDirs.splice(0).forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  // A product whose upload folder is removed after the test
+  async function createTrackedProduct() {
+    const product = await createProduct();
+    productDirs.push(path.join(__dirname, '../uploads/products', product.id));
+    return product;
+  }
+
+  function photo() {
+    return sharp({ create: { width: 2000, height: 1000, channels: 3, background: '#336699' } })
+      .jpeg()
+      .withMetadata({ exif: { IFD0: { Copyright: 'Someone' } } })
+      .toBuffer();
+  }
+
+  function storedFile(key) {
+    return path.join(__dirname, '../uploads', key);
+  }
+
+  async function send(admin, req) {
+    const csrfRes = await agent.get('/api/csrf-token');
+    return req
+      .set('Authorization', `Bearer ${signAccessToken(admin)}`)
+      .set('x-admin-route-key', process.env.ADMIN_ROUTE_KEY)
+      .set('X-CSRF-Token', csrfRes.body.csrfToken);
+  }
+
+  async function upload(admin, product, files) {
+    const req = await send(admin, agent.post(adminPath(`/products/${product.id}/images`)));
+    for (const { buffer, name, alt } of files) {
+      req.attach('images', buffer, name);
+      if (alt !== undefined) req.field('alt', alt);
+    }
+    return req;
+  }
+
+  it('stores resized images, thumbnails and WebP copies without EXIF data', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const product = await createTrackedProduct();
+
+    const res = await upload(admin, product, [{ buffer: await photo(), name: 'front.jpg', alt: 'Tin, front' }]);
+
+    expect(res.statusCode).toBe(201);
+    const [asset] = res.body.imageAssets;
+    expect(res.body.images).toEqual([asset.url]);
+    expect(res.body.altTags).toEqual(['Tin, front']);
+    expect(asset).toMatchObject({ width: 1600, height: 800 });
+    expect(asset.files).toHaveLength(4);
+    const display = await sharp(storedFile(asset.files[0])).metadata();
+    expect(display.exif).toBeUndefined();
+    const thumbnail = await sharp(storedFile(asset.files.find((f) => f.endsWith('-thumb.webp')))).metadata();
+    expect(thumbnail).toMatchObject({ format: 'webp', width: 400, height: 200 });
+  });
+
+  it('rejects files that are not images', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const product = await createTrackedProduct();
+
+    const res = await upload(admin, product, [{ buffer: Buffer.from('not an image'), name: 'fake.png' }]);
+
+    expect(res.statusCode).toBe(400);
+    expect((await Product.findById(product.id).lean()).images).toEqual([]);
+  });
+
+  it('reorders images with their alt text and deletes files of removed ones', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const product = await createTrackedProduct();
+    const uploaded = await upload(admin, product, [
+      { buffer: await photo(), name: 'a.jpg', alt: 'First' },
+      { buffer: await photo(), name: 'b.jpg', alt: 'Second' },
+    ]);
+    const [first, second] = uploaded.body.imageAssets;
+
+    const reordered = await send(admin, agent.put(adminPath(`/products/${product.id}/images`)))
+      .send({ images: [{ url: second.url }, { url: first.url, alt: 'Front' }] });
+    expect(reordered.statusCode).toBe(200);
+    expect(reordered.body.images).toEqual([second.url, first.url]);
+    expect(reordered.body.altTags).toEqual(['Second', 'Front']);
+
+    const removed = await send(admin, agent.delete(adminPath(`/products/${product.id}/images/${second._id}`)));
+    expect(removed.statusCode).toBe(200);
+    expect(removed.body.images).toEqual([first.url]);
+    expect(removed.body.altTags).toEqual(['Front']);
+    second.files.forEach((key) => expect(fs.existsSync(storedFile(key))).toBe(false));
+
+    const dropped = await send(admin, agent.put(adminPath(`/products/${product.id}/images`))).send({ images: [] });
+    expect(dropped.body.images).toEqual([]);
+    first.files.forEach((key) => expect(fs.existsSync(storedFile(key))).toBe(false));
+  });
+});
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user.model');
+const Category = require('../models/category.model');
+const Product = require('../models/product.model');
+const Cart = require('../models/cart.model');
+const { setupTestApp } = require('./helpers/setupTestApp');
+
+let app;
+let cleanup;
+
+jest.setTimeout(30000);
+
+beforeAll(async () => {
+  ({ app, cleanup } = await setupTestApp());
+  await Cart.init();
+});
+
+beforeEach(async () => {
+  const collections = await mongoose.connection.db.collections();
+  for (const collection of collections) {
+    await collection.deleteMany({});
+  }
+});
+
+afterAll(async () => {
+  if (cleanup) await cleanup();
+});
+
+async function createUser() {
+  const suffix = new mongoose.Types.ObjectId().toString().slice(-8);
+  return User.create({
+    name: `User ${suffix}`,
+    email: `user-${suffix}@example.com`,
+    password: 'Password123!',
+    isVerified: true,
+  });
+}
+
+async function createProduct(countInStock) {
+  const category = await Category.create({ name: `Category ${new mongoose.Types.ObjectId()}` });
+  return Product.create({ name: `Seed mix ${new mongoose.Types.ObjectId()}`, category: category._id, price: 8, countInStock });
+}
+
+// Each visitor gets its own agent so cookies (guest cart, session) never leak between them
+async function send(visitor, method, path, body) {
+  const csrfRes = await visitor.get('/api/csrf-token');
+  const req = visitor[method](path).set('X-CSRF-Token', csrfRes.body.csrfToken);
+  return body ? req.send(body) : req;
+}
+
+function addItem(visitor, product, quantity) {
+  return send(visitor, 'post', '/api/cart', { productId: product._id.toString(), quantity });
+}
+
+describe('Guest carts', () => {
+  it('keeps a cart for anonymous visitors behind a signed cookie', async () => {
+    const product = await createProduct(10);
+    const guest = request.agent(app);
+
+    const added = await addItem(guest, product, 2);
+    const cart = await guest.get('/api/cart');
+    const stranger = await request(app).get('/api/cart').set('Cookie', 'guestCart=forged');
+    const stored = await Cart.findOne({ guestId: { $exists: true } }).lean();
+
+    expect(added.statusCode).toBe(200);
+    expect(added.headers['set-cookie'].join(';')).toMatch(/guestCart=/);
+    expect(cart.body.items).toEqual([expect.objectContaining({ quantity: 2 })]);
+    expect(stranger.body.items).toEqual([]);
+    expect(stored.user).toBeUndefined();
+    expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+  });
+
+  it('rejects an expired access token instead of falling back to a guest cart', async () => {
+    const user = await createUser();
+    const product = await createProduct(10);
+    await Cart.create({ user: user._id, items: [{ product: product._id, quantity: 1 }] });
+    const expired = jwt.sign({ id: user._id.toString(), role: user.role }, process.env.JWT_SECRET, {
+      expiresIn: -10,
+      algorithm: 'HS256',
+    });
+
+    const res = await request(app).get('/api/cart').set('Authorization', `Bearer ${expired}`);
+
+    expect(res.statusCode).toBe(401);
+    expect(await Cart.countDocuments({ guestId: { $exists: true } })).toBe(0);
+  });
+
+  it('merges into the account cart on login, limited by stock', async () => {
+    const user = await createUser();
+    const shared = await createProduct(4);
+    const extra = await createProduct(10);
+    await Cart.create({ user: user._id, items: [{ product: shared._id, quantity: 2 }] });
+    const guest = request.agent(app);
+    await addItem(guest, shared, 3);
+    await addItem(guest, extra, 1);
+
+    const login = await send(guest, 'post', '/api/auth/login', { email: user.email, password: 'Password123!' });
+    const cart = await guest.get('/api/cart');
+
+    expect(login.statusCode).toBe(200);
+    expect(login.body.cartMerge).toEqual(expect.arrayContaining([
+      expect.objectContaining({ product: shared._id.toString(), requested: 3, added: 2, status: 'reduced' }),
+      expect.objectContaining({ product: extra._id.toString(), requested: 1, added: 1, status: 'added' }),
+    ]));
+    expect(cart.body.items.map((i) => [i.product._id, i.quantity])).toEqual(expect.arrayContaining([
+      [shared._id.toString(), 4],
+      [extra._id.toString(), 1],
+    ]));
+    expect(await Cart.countDocuments({ guestId: { $exists: true } })).toBe(0);
+  });
+
+  it('carries the guest cart over to a new account on registration', async () => {
+    const product = await createProduct(10);
+    const guest = request.agent(app);
+    await addItem(guest, product, 1);
+
+    const registered = await send(guest, 'post', '/api/auth/register', {
+      name: 'New Shopper',
+      email: 'new-shopper@example.com',
+      password: 'Password123!',
+    });
+    const user = await User.findOne({ email: 'new-shopper@example.com' });
+    const cart = await Cart.findOne({ user: user._id }).lean();
+
+    expect(registered.statusCode).toBe(201);
+    expect(registered.body.cartMerge).toEqual([expect.objectContaining({ status: 'added', added: 1 })]);
+    expect(cart.items).toEqual([expect.objectContaining({ quantity: 1 })]);
+  });
+});
@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user.model');
+const Category = require('../models/category.model');
+const Product = require('../models/product.model');
+const Coupon = require('../models/coupon.model');
+const PriceList = require('../models/priceList.model');
+const { setupTestApp } = require('./helpers/setupTestApp');
+
+let agent;
+let cleanup;
+
+jest.setTimeout(30000);
+
+beforeAll(async () => {
+  ({ agent, cleanup } = await setupTestApp());
+});
+
+beforeEach(async () => {
+  const collections = await mongoose.connection.db.collections();
+  for (const collection of collections) {
+    await collection.deleteMany({});
+  }
+});
+
+afterAll(async () => {
+  if (cleanup) await cleanup();
+});
+
+async function getCsrfToken() {
+  const res = await agent.get('/api/csrf-token');
+  return res.body.csrfToken;
+}
+
+async function createAuthedUser(attrs = {}) {
+  const user = await User.create({
+    name: 'Buyer',
+    email: `buyer-${new mongoose.Types.ObjectId()}@example.com`,
+    password: 'Password123!',
+    isVerified: true,
+    ...attrs,
+  });
+  const token = jwt.sign({ id: user._id.toString(), role: user.role }, process.env.JWT_SECRET, {
+    expiresIn: '15m',
+    algorithm: 'HS256',
+  });
+  return { user, token };
+}
+
+async function createProduct(attrs = {}) {
+  const category = await Category.create({ name: `Category ${new mongoose.Types.ObjectId()}` });
+  return Product.create({
+    name: `Product ${new mongoose.Types.ObjectId()}`,
+    category: category._id,
+    price: 12.99,
+    countInStock: 5,
+    enabled: true,
+    isDeleted: false,
+    ...attrs,
+  });
+}
+
+function checkoutBody(product, extra = {}) {
+  return {
+    orderItems: [{ productId: product._id.toString(), qty: 3 }],
+    shippingAddress: {
+      address: '123 Main',
+      city: 'Nairobi',
+      postalCode: '00100',
+      country: 'KE',
+    },
+    paymentMethod: 'card',
+    shippingMethod: 'express',
+    ...extra,
+  };
+}
+
+describe('Checkout quote', () => {
+  it('quotes exactly what the order then charges', async () => {
+    const { token } = await createAuthedUser();
+    const product = await createProduct();
+    const coupon = await Coupon.create({
+      code: `SAVE${Date.now()}`,
+      discountType: 'percentage',
+      discountValue: 10,
+      validUntil: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    });
+    const body = checkoutBody(product, { couponCode: coupon.code });
+
+    const quote = await agent
+      .post('/api/checkout/quote')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', await getCsrfToken())
+      .send(body);
+
+    expect(quote.statusCode).toBe(200);
+    expect(quote.body.coupon.applied).toBe(true);
+    expect(quote.body.shippingMethods.map((m) => m.id)).toEqual(['standard', 'express']);
+    expect(quote.body.items[0].inStock).toBe(true);
+
+    const order = await agent
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', await getCsrfToken())
+      .send(body);
+
+    expect(order.statusCode).toBe(201);
+    expect(quote.body.itemsPrice).toBe(order.body.itemsPrice);
+    expect(quote.body.shippingPrice).toBe(order.body.shippingPrice);
+    expect(quote.body.taxPrice).toBe(order.body.taxPrice);
+    expect(quote.body.discountAmount).toBe(order.body.discountAmount);
+    expect(quote.body.totalPrice).toBe(order.body.totalPrice);
+  });
+
+  it('does not reserve stock or record coupon usage', async () => {
+    const { token } = await createAuthedUser();
+    const product = await createProduct({ countInStock: 2 });
+    const coupon = await Coupon.create({
+      code: `SAVE${Date.now()}`,
+      discountType: 'fixed',
+      discountValue: 5,
+      validUntil: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    });
+
+    const res = await agent
+      .post('/api/checkout/quote')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', await getCsrfToken())
+      .send(checkoutBody(product, { couponCode: coupon.code }));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.items[0].inStock).toBe(false);
+    expect((await Product.findById(product._id).lean()).countInStock).toBe(2);
+    const after = await Coupon.findById(coupon._id).lean();
+    expect(after.usedCount).toBe(0);
+    expect(after.usedBy).toHaveLength(0);
+  });
+
+  it('quotes guests at list price and tells them coupons need an account', async () => {
+    const product = await createProduct();
+
+    const res = await agent
+      .post('/api/checkout/quote')
+      .set('X-CSRF-Token', await getCsrfToken())
+      .send(checkoutBody(product, { couponCode: 'SAVE10' }));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.items[0].price).toBe(12.99);
+    expect(res.body.coupon).toMatchObject({ applied: false, error: 'Sign in to use a coupon' });
+    expect(res.body.discountAmount).toBe(0);
+  });
+
+  it('rejects unavailable products', async () => {
+    const { token } = await createAuthedUser();
+    const product = await createProduct({ enabled: false });
+
+    const res = await agent
+      .post('/api/checkout/quote')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', await getCsrfToken())
+      .send(checkoutBody(product));
+
+    expect(res.statusCode).toBe(400);
+  });
+});
+
+describe('Checkout sale prices', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  it('charges the promo price and records the original price on the order line', async () => {
+    const { token } = await createAuthedUser();
+    const product = await createProduct({ price: 20, promoPrice: 15, promoEndsAt: new Date(Date.now() + DAY) });
+    const body = checkoutBody(product);
+
+    const quote = await agent
+      .post('/api/checkout/quote')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', await getCsrfToken())
+      .send(body);
+    const order = await agent
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', await getCsrfToken())
+      .send(body);
+
+    expect(quote.body.items[0].price).toBe(15);
+    expect(order.statusCode).toBe(201);
+    expect(order.body.orderItems[0]).toMatchObject({ price: 15, originalPrice: 20, discount: 5 });
+    expect(order.body.itemsPrice).toBe(45);
+  });
+
+  it('applies discountPercent and ignores sales outside their window', async () => {
+    const { token } = await createAuthedUser();
+    const percent = await createProduct({ price: 20, discountPercent: 25 });
+    const expired = await createProduct({ price: 20, promoPrice: 10, promoEndsAt: new Date(Date.now() - DAY) });
+
+    const quote = await agent
+      .post('/api/checkout/quote')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', await getCsrfToken())
+      .send(checkoutBody(percent, {
+        orderItems: [
+          { productId: percent._id.toString(), qty: 1 },
+          { productId: expired._id.toString(), qty: 1 },
+        ],
+      }));
+
+    expect(quote.statusCode).toBe(200);
+    expect(quote.body.items.map((it) => it.price)).toEqual([15, 20]);
+  });
+
+  it('shows the effective price in product listings', async () => {
+    const product = await createProduct({ price: 20, promoPrice: 18 });
+
+    const res = await agent.get(`/api/products/${product._id}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.pricing).toMatchObject({ price: 18, originalPrice: 20, onSale: true });
+  });
+});
+
+describe('Checkout price lists', () => {
+  it('charges wholesale tier prices and records the price list on the order', async () => {
+    const { token } = await createAuthedUser({ role: 'wholesale' });
+    const product = await createProduct({ price: 20, countInStock: 50 });
+    const priceList = await PriceList.create({
+      name: 'Wholesale',
+      roles: ['wholesale'],
+      entries: [{ product: product._id, price: 18, tiers: [{ minQty: 10, price: 15 }] }],
+    });
+
+    const res = await agent
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', await getCsrfToken())
+      .send(checkoutBody(product, { orderItems: [{ productId: product._id.toString(), qty: 10 }] }));
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.orderItems[0]).toMatchObject({ price: 15, originalPrice: 20, discount: 5 });
+    expect(res.body.priceList).toBe(priceList.id);
+    expect(res.body.priceListName).toBe('Wholesale');
+  });
+
+  it('shows list prices only to customers the list is assigned to', async () => {
+    const { user, token } = await createAuthedUser();
+    const product = await createProduct({ price: 20 });
+    await PriceList.create({ name: 'Friends', users: [user._id], percentOff: 10 });
+
+    const mine = await agent.get(`/api/products/${product._id}`).set('Authorization', `Bearer ${token}`);
+    const anonymous = await agent.get(`/api/products/${product._id}`);
+
+    expect(mine.body.pricing).toMatchObject({ price: 18, priceList: { name: 'Friends' } });
+    expect(anonymous.body.pricing.price).toBe(20);
+  });
+});
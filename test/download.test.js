@@ -0,0 +1,201 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user.model');
+const Category = require('../models/category.model');
+const Product = require('../models/product.model');
+const Order = require('../models/order.model');
+const DownloadLog = require('../models/downloadLog.model');
+const DownloadUsage = require('../models/downloadUsage.model');
+const { setupTestApp } = require('./helpers/setupTestApp');
+
+let agent;
+let cleanup;
+let root;
+let storage;
+// The storage module validates the env on load, so it is required once setupTestApp has set it
+let createStorage;
+let setStorage;
+
+jest.setTimeout(30000);
+
+beforeAll(async () => {
+  ({ agent, cleanup } = await setupTestApp());
+  ({ createStorage, setStorage } = require('../storage'));
+  await DownloadUsage.init();
+});
+
+beforeEach(async () => {
+  const collections = await mongoose.connection.db.collections();
+  for (const collection of collections) {
+    await collection.deleteMany({});
+  }
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'downloads-test-'));
+  storage = createStorage('local', { root: path.join(root, 'public'), privateRoot: path.join(root, 'private') });
+  setStorage(storage);
+});
+
+afterEach(() => {
+  setStorage(null);
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+afterAll(async () => {
+  if (cleanup) await cleanup();
+});
+
+async function createAuthedUser() {
+  const user = await User.create({
+    name: 'Buyer',
+    email: `buyer-${new mongoose.Types.ObjectId()}@example.com`,
+    password: 'Password123!',
+    isVerified: true,
+  });
+  const token = jwt.sign({ id: user._id.toString(), role: user.role }, process.env.JWT_SECRET, {
+    expiresIn: '15m',
+    algorithm: 'HS256',
+  });
+  return { user, token };
+}
+
+async function createProductWithDownloads() {
+  const category = await Category.create({ name: `Category ${new mongoose.Types.ObjectId()}` });
+  await storage.put('private/downloads/manual.pdf', Buffer.from('%PDF manual'));
+  await storage.put('private/downloads/sheet.pdf', Buffer.from('%PDF sheet'));
+  return Product.create({
+    name: `Drill ${new mongoose.Types.ObjectId()}`,
+    category: category._id,
+    price: 50,
+    downloads: [
+      { name: 'Manual', key: 'private/downloads/manual.pdf', filename: 'Drill manual.pdf', maxDownloads: 2 },
+      { name: 'Safety sheet', key: 'private/downloads/sheet.pdf', isPublic: true },
+    ],
+  });
+}
+
+function createPaidOrder(user, product, attrs = {}) {
+  return Order.create({
+    user: user._id,
+    orderItems: [{ product: product._id, name: product.name, qty: 1, price: product.price }],
+    itemsPrice: 50,
+    shippingPrice: 0,
+    taxPrice: 0,
+    totalPrice: 50,
+    isPaid: true,
+    paidAt: new Date(),
+    status: 'confirmed',
+    ...attrs,
+  });
+}
+
+function requestLink(product, name, token) {
+  const req = agent.get(`/api/products/${product._id}/downloads/${encodeURIComponent(name)}`);
+  return token ? req.set('Authorization', `Bearer ${token}`) : req;
+}
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+// Follow a one-time link to the file it redirects to
+async function redeem(link) {
+  const res = await agent.get(new URL(link).pathname);
+  if (res.statusCode !== 302) return { res };
+  const file = new URL(res.headers.location);
+  return { res, file: await agent.get(file.pathname + file.search).buffer(true).parse(binaryParser) };
+}
+
+describe('Product downloads', () => {
+  it('hides storage keys and URLs from product responses', async () => {
+    const product = await createProductWithDownloads();
+
+    const res = await agent.get(`/api/products/${product._id}`);
+
+    expect(res.body.downloads).toEqual([
+      { name: 'Manual', isPublic: false, maxDownloads: 2 },
+      { name: 'Safety sheet', isPublic: true },
+    ]);
+  });
+
+  it('gives buyers with a paid order a one-time link and logs the download', async () => {
+    const { user, token } = await createAuthedUser();
+    const product = await createProductWithDownloads();
+    const order = await createPaidOrder(user, product);
+
+    const link = await requestLink(product, 'Manual', token);
+    const { res, file } = await redeem(link.body.url);
+    const reused = await agent.get(new URL(link.body.url).pathname);
+
+    expect(link.statusCode).toBe(200);
+    expect(link.body.remaining).toBe(2);
+    expect(res.statusCode).toBe(302);
+    expect(file.statusCode).toBe(200);
+    expect(file.headers['content-disposition']).toContain('Drill manual.pdf');
+    expect(file.body.toString()).toBe('%PDF manual');
+    expect(reused.statusCode).toBe(410);
+    const logs = await DownloadLog.find().lean();
+    expect(logs).toHaveLength(1);
+    expect(logs[0]).toMatchObject({ name: 'Manual', user: user._id, order: order._id });
+  });
+
+  it('refuses private downloads without a paid order', async () => {
+    const { user, token } = await createAuthedUser();
+    const product = await createProductWithDownloads();
+    await createPaidOrder(user, product, { isPaid: false, paidAt: undefined, status: 'pending' });
+
+    const anonymous = await requestLink(product, 'Manual');
+    const unpaid = await requestLink(product, 'Manual', token);
+
+    expect(anonymous.statusCode).toBe(401);
+    expect(unpaid.statusCode).toBe(403);
+  });
+
+  it('lets anyone fetch public downloads', async () => {
+    const product = await createProductWithDownloads();
+
+    const link = await requestLink(product, 'Safety sheet');
+    const { file } = await redeem(link.body.url);
+
+    expect(file.body.toString()).toBe('%PDF sheet');
+  });
+
+  it('enforces download limits per customer', async () => {
+    const { user, token } = await createAuthedUser();
+    const product = await createProductWithDownloads();
+    await createPaidOrder(user, product);
+
+    // Links issued up front still count against the limit when redeemed
+    const links = [];
+    for (let i = 0; i < 3; i++) links.push((await requestLink(product, 'Manual', token)).body.url);
+    const results = [];
+    for (const link of links) results.push((await redeem(link)).res.statusCode);
+    const afterLimit = await requestLink(product, 'Manual', token);
+
+    expect(results).toEqual([302, 302, 403]);
+    expect(afterLimit.statusCode).toBe(403);
+  });
+
+  it('holds the limit when links are redeemed at the same time', async () => {
+    const { user, token } = await createAuthedUser();
+    const product = await createProductWithDownloads();
+    await createPaidOrder(user, product);
+    // Downloaded once before usage was counted per customer
+    await DownloadLog.create({ product: product._id, name: 'Manual', user: user._id, tokenId: 'earlier' });
+
+    const links = [];
+    for (let i = 0; i < 3; i++) links.push((await requestLink(product, 'Manual', token)).body.url);
+    const results = await Promise.all(links.map((link) => agent.get(new URL(link).pathname)));
+
+    expect(results.map((r) => r.statusCode).sort()).toEqual([302, 403, 403]);
+    expect(await DownloadLog.countDocuments({ user: user._id })).toBe(2);
+  });
+
+  it('rejects tampered links', async () => {
+    const res = await agent.get('/api/downloads/not-a-token');
+    expect(res.statusCode).toBe(403);
+  });
+});
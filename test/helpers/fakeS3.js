@@ -0,0 +1,58 @@
+const { S3Client } = require('@aws-sdk/client-s3');
+
+/**
+ * Stand-in for a local S3-compatible service (MinIO style) keeping objects in memory: a real
+ * S3Client, so URLs are presigned as usual, whose commands are answered without a network.
+ * Pass it as `client` to createS3Driver.
+ */
+function createFakeS3Client() {
+  const objects = new Map();
+
+  function notFound() {
+    const err = new Error('NotFound');
+    err.name = 'NotFound';
+    err.$metadata = { httpStatusCode: 404 };
+    return err;
+  }
+
+  async function send(command) {
+    const input = command.input;
+    switch (command.constructor.name) {
+      case 'PutObjectCommand':
+        objects.set(input.Key, { body: Buffer.from(input.Body), contentType: input.ContentType, lastModified: new Date() });
+        return {};
+      case 'GetObjectCommand': {
+        const object = objects.get(input.Key);
+        if (!object) throw notFound();
+        return { Body: { transformToByteArray: async () => new Uint8Array(object.body) }, ContentType: object.contentType };
+      }
+      case 'HeadObjectCommand':
+        if (!objects.has(input.Key)) throw notFound();
+        return {};
+      case 'DeleteObjectCommand':
+        objects.delete(input.Key);
+        return {};
+      case 'ListObjectsV2Command':
+        return {
+          Contents: [...objects]
+            .filter(([key]) => key.startsWith(input.Prefix || ''))
+            .map(([key, o]) => ({ Key: key, Size: o.body.length, LastModified: o.lastModified })),
+          IsTruncated: false,
+        };
+      default:
+        throw new Error(`Unsupported command ${command.constructor.name}`);
+    }
+  }
+
+  const client = new S3Client({
+    region: 'us-east-1',
+    endpoint: 'http://localhost:9000',
+    forcePathStyle: true,
+    credentials: { accessKeyId: 'minio', secretAccessKey: 'minio-secret' },
+  });
+  client.send = send;
+  client.objects = objects;
+  return client;
+}
+
+module.exports = { createFakeS3Client };
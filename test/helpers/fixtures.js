@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('../../models/user.model');
+const Category = require('../../models/category.model');
+const Product = require('../../models/product.model');
+const Order = require('../../models/order.model');
+
+/**
+ * Records and requests shared by the integration suites. Only call them once setupTestApp
+ * has run: they read the env it sets (JWT_SECRET, ADMIN_ROUTE_KEY).
+ */
+
+function adminPath(path) {
+  return `/api/admin/${process.env.ADMIN_ROUTE_KEY}${path}`;
+}
+
+async function createUser(overrides = {}) {
+  const suffix = new mongoose.Types.ObjectId().toString().slice(-8);
+  return User.create({
+    name: `User ${suffix}`,
+    email: `user-${suffix}@example.com`,
+    password: 'Password123!',
+    isVerified: true,
+    ...overrides,
+  });
+}
+
+function signAccessToken(user) {
+  return jwt.sign({ id: user._id.toString(), role: user.role }, process.env.JWT_SECRET, {
+    expiresIn: '15m',
+    algorithm: 'HS256',
+  });
+}
+
+async function createProduct(attrs = {}) {
+  const category = await Category.create({ name: `Category ${new mongoose.Types.ObjectId()}` });
+  return Product.create({ name: `Product ${new mongoose.Types.ObjectId()}`, category: category._id, price: 20, ...attrs });
+}
+
+// A customer with a paid, delivered order for the product
+async function createBuyer(product, orderAttrs = {}) {
+  const user = await createUser();
+  await Order.create({
+    user: user._id,
+    orderItems: [{ product: product._id, name: product.name, qty: 1, price: product.price }],
+    itemsPrice: product.price,
+    shippingPrice: 0,
+    taxPrice: 0,
+    totalPrice: product.price,
+    isPaid: true,
+    paidAt: new Date(),
+    status: 'delivered',
+    ...orderAttrs,
+  });
+  return user;
+}
+
+// Signed-in request with a fresh CSRF token; admin paths also get the route key header
+async function send(agent, method, path, user, body) {
+  const csrfRes = await agent.get('/api/csrf-token');
+  const req = agent[method](path)
+    .set('Authorization', `Bearer ${signAccessToken(user)}`)
+    .set('X-CSRF-Token', csrfRes.body.csrfToken);
+  if (path.startsWith('/api/admin/')) req.set('x-admin-route-key', process.env.ADMIN_ROUTE_KEY);
+  return body ? req.send(body) : req;
+}
+
+module.exports = { adminPath, createUser, signAccessToken, createProduct, createBuyer, send };
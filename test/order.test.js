@@ -3,6 +3,9 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
 const Category = require('../models/category.model');
 const Product = require('../models/product.model');
+const Order = require('../models/order.model');
+const Coupon = require('../models/coupon.model');
+const Cart = require('../models/cart.model');
 const { setupTestApp } = require('./helpers/setupTestApp');
 
 let agent;
@@ -44,6 +47,19 @@ async function createAuthedUser() {
   return { user, token };
 }
 
+async function createProduct(attrs = {}) {
+  const category = await Category.create({ name: `Category ${new mongoose.Types.ObjectId()}` });
+  return Product.create({
+    name: `Product ${new mongoose.Types.ObjectId()}`,
+    category: category._id,
+    price: 10,
+    countInStock: 5,
+    enabled: true,
+    isDeleted: false,
+    ...attrs,
+  });
+}
+
 describe('Orders - inventory integrity', () => {
   it('decrements product stock when creating an order', async () => {
     const { token } = await createAuthedUser();
@@ -115,3 +131,462 @@ describe('Orders - inventory integrity', () => {
     expect(updated.countInStock).toBe(1);
   });
 });
+
+describe('Orders - Idempotency-Key', () => {
+  async function placeWithKey(token, csrf, product, key, qty = 1) {
+    return agent
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', csrf)
+      .set('Idempotency-Key', key)
+      .send({
+        orderItems: [{ productId: product._id.toString(), qty }],
+        shippingAddress: {
+          address: '123 Main',
+          city: 'Kampala',
+          postalCode: '00000',
+          country: 'UG',
+        },
+        paymentMethod: 'card',
+      });
+  }
+
+  it('replays the original order for a retried key', async () => {
+    const { token } = await createAuthedUser();
+    const csrf = await getCsrfToken();
+    const product = await createProduct();
+
+    const first = await placeWithKey(token, csrf, product, 'checkout-1');
+    const retry = await placeWithKey(token, csrf, product, 'checkout-1');
+
+    expect(first.statusCode).toBe(201);
+    expect(retry.statusCode).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body._id).toBe(first.body._id);
+    expect(await Order.countDocuments({})).toBe(1);
+    expect((await Product.findById(product._id).lean()).countInStock).toBe(4);
+  });
+
+  it('rejects a key reused with a different body', async () => {
+    const { token } = await createAuthedUser();
+    const csrf = await getCsrfToken();
+    const product = await createProduct();
+
+    await placeWithKey(token, csrf, product, 'checkout-2', 1);
+    const res = await placeWithKey(token, csrf, product, 'checkout-2', 2);
+
+    expect(res.statusCode).toBe(422);
+    expect(await Order.countDocuments({})).toBe(1);
+  });
+});
+
+describe('Orders - guest checkout', () => {
+  async function placeGuestOrder(csrf, product, email = 'Guest.Buyer@example.com') {
+    return agent
+      .post('/api/orders/guest')
+      .set('X-CSRF-Token', csrf)
+      .send({
+        email,
+        orderItems: [{ productId: product._id.toString(), qty: 1 }],
+        shippingAddress: {
+          address: '123 Main',
+          city: 'Kampala',
+          postalCode: '00000',
+          country: 'UG',
+        },
+      });
+  }
+
+  it('rejects a coupon on a guest order without reserving stock', async () => {
+    const csrf = await getCsrfToken();
+    const product = await createProduct();
+
+    const res = await agent
+      .post('/api/orders/guest')
+      .set('X-CSRF-Token', csrf)
+      .send({
+        email: 'guest.buyer@example.com',
+        orderItems: [{ productId: product._id.toString(), qty: 1 }],
+        shippingAddress: { address: '123 Main', city: 'Kampala', postalCode: '00000', country: 'UG' },
+        couponCode: 'SAVE10',
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Sign in to use a coupon');
+    expect((await Product.findById(product._id).lean()).countInStock).toBe(5);
+  });
+
+  it('places a guest order and returns an order access token', async () => {
+    const csrf = await getCsrfToken();
+    const product = await createProduct();
+
+    const res = await placeGuestOrder(csrf, product);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.accessToken).toEqual(expect.any(String));
+    expect(res.body.order.guestEmail).toBe('guest.buyer@example.com');
+    expect(res.body.order.user).toBeUndefined();
+    expect((await Product.findById(product._id).lean()).countInStock).toBe(4);
+
+    const view = await agent
+      .get(`/api/orders/guest/${res.body.order._id}`)
+      .set('X-Order-Token', res.body.accessToken);
+    expect(view.statusCode).toBe(200);
+    expect(view.body._id).toBe(res.body.order._id);
+  });
+
+  it('scopes the order access token to its own order', async () => {
+    const csrf = await getCsrfToken();
+    const product = await createProduct();
+    const first = await placeGuestOrder(csrf, product);
+    const second = await placeGuestOrder(csrf, product);
+
+    const missing = await agent.get(`/api/orders/guest/${first.body.order._id}`);
+    const crossed = await agent
+      .get(`/api/orders/guest/${second.body.order._id}`)
+      .set('X-Order-Token', first.body.accessToken);
+
+    expect(missing.statusCode).toBe(401);
+    expect(crossed.statusCode).toBe(403);
+  });
+
+  it('claims guest orders into the account once its email is verified', async () => {
+    const csrf = await getCsrfToken();
+    const product = await createProduct();
+    const placed = await placeGuestOrder(csrf, product);
+
+    const user = new User({ name: 'Guest Buyer', email: 'guest.buyer@example.com', password: 'Password123!' });
+    const verifyToken = user.getVerifyToken();
+    await user.save();
+
+    const res = await agent.get(`/api/auth/verify-email/${verifyToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.claimedOrders).toBe(1);
+    const claimed = await Order.findById(placed.body.order._id).lean();
+    expect(claimed.user.toString()).toBe(user.id);
+    expect(claimed.claimedAt).toBeDefined();
+  });
+});
+
+describe('Orders - public tracking', () => {
+  async function createShippedOrder(user) {
+    return Order.create({
+      user: user._id,
+      orderItems: [{ product: new mongoose.Types.ObjectId(), name: 'Coffee', qty: 2, price: 10 }],
+      itemsPrice: 20,
+      shippingPrice: 5,
+      taxPrice: 0,
+      totalPrice: 25,
+      status: 'shipped',
+      shipping: {
+        address: { line1: '123 Main', city: 'Kampala', country: 'UG' },
+        status: 'in-transit',
+        courier: 'DHL',
+        trackingNumber: 'DHL123',
+        trackingUrl: 'https://dhl.example/track/DHL123',
+      },
+      timeline: [{ status: 'shipped', message: 'Internal note', location: 'Kampala' }],
+    });
+  }
+
+  it('returns a redacted tracking view for the matching email', async () => {
+    const { user } = await createAuthedUser();
+    const order = await createShippedOrder(user);
+
+    const res = await agent
+      .get('/api/track')
+      .query({ orderNumber: order.orderNumber, email: user.email.toUpperCase() });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.status).toBe('shipped');
+    expect(res.body.shipping.trackingUrl).toBe('https://dhl.example/track/DHL123');
+    expect(res.body.shipping.address).toBeUndefined();
+    expect(res.body.totalPrice).toBeUndefined();
+    expect(res.body.items[0].price).toBeUndefined();
+    expect(res.body.timeline[0]).toEqual(expect.objectContaining({ status: 'shipped', location: 'Kampala' }));
+    expect(res.body.timeline[0].message).toBeUndefined();
+  });
+
+  it('does not reveal orders for a different email', async () => {
+    const { user } = await createAuthedUser();
+    const order = await createShippedOrder(user);
+
+    const res = await agent
+      .get('/api/track')
+      .query({ orderNumber: order.orderNumber, email: 'someone-else@example.com' });
+
+    expect(res.statusCode).toBe(404);
+  });
+});
+
+describe('Orders - customer cancellation', () => {
+  async function placeOrder(token, csrf, product, extra = {}) {
+    return agent
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', csrf)
+      .send({
+        orderItems: [{ productId: product._id.toString(), qty: 2 }],
+        shippingAddress: {
+          address: '123 Main',
+          city: 'Kampala',
+          postalCode: '00000',
+          country: 'UG',
+        },
+        paymentMethod: 'card',
+        ...extra,
+      });
+  }
+
+  it('restores stock and records a timeline entry when a pending order is cancelled', async () => {
+    const { token } = await createAuthedUser();
+    const csrf = await getCsrfToken();
+    const product = await createProduct();
+
+    const created = await placeOrder(token, csrf, product);
+    expect(created.statusCode).toBe(201);
+    expect((await Product.findById(product._id).lean()).countInStock).toBe(3);
+
+    const res = await agent
+      .post(`/api/orders/${created.body._id}/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', csrf)
+      .send({ reason: 'Ordered by mistake' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.order.status).toBe('cancelled');
+
+    const updated = await Order.findById(created.body._id).lean();
+    expect(updated.status).toBe('cancelled');
+    expect(updated.cancellationReason).toBe('Ordered by mistake');
+    expect(updated.timeline.at(-1).status).toBe('cancelled');
+    expect((await Product.findById(product._id).lean()).countInStock).toBe(5);
+  });
+
+  it('releases coupon usage recorded for the order', async () => {
+    const { token } = await createAuthedUser();
+    const csrf = await getCsrfToken();
+    const product = await createProduct();
+    const coupon = await Coupon.create({
+      code: `SAVE${Date.now()}`,
+      discountType: 'fixed',
+      discountValue: 5,
+      validUntil: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    });
+
+    const created = await placeOrder(token, csrf, product, { couponCode: coupon.code });
+    expect(created.statusCode).toBe(201);
+    expect((await Coupon.findById(coupon._id).lean()).usedCount).toBe(1);
+
+    const res = await agent
+      .post(`/api/orders/${created.body._id}/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', csrf)
+      .send({});
+
+    expect(res.statusCode).toBe(200);
+    const released = await Coupon.findById(coupon._id).lean();
+    expect(released.usedCount).toBe(0);
+    expect(released.usedBy).toHaveLength(0);
+  });
+
+  it('refuses to cancel an order that has already shipped', async () => {
+    const { token } = await createAuthedUser();
+    const csrf = await getCsrfToken();
+    const product = await createProduct();
+
+    const created = await placeOrder(token, csrf, product);
+    await Order.updateOne({ _id: created.body._id }, { $set: { status: 'shipped' } });
+
+    const res = await agent
+      .post(`/api/orders/${created.body._id}/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', csrf)
+      .send({});
+
+    expect(res.statusCode).toBe(409);
+    expect((await Product.findById(product._id).lean()).countInStock).toBe(3);
+  });
+
+  it('does not let other users cancel the order', async () => {
+    const { token } = await createAuthedUser();
+    const { token: otherToken } = await createAuthedUser();
+    const csrf = await getCsrfToken();
+    const product = await createProduct();
+
+    const created = await placeOrder(token, csrf, product);
+    const res = await agent
+      .post(`/api/orders/${created.body._id}/cancel`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .set('X-CSRF-Token', csrf)
+      .send({});
+
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('Orders - unpaid order expiry', () => {
+  // Loaded after setupTestApp has set the env that order.utils validates on load
+  let expireUnpaidOrders;
+  beforeAll(() => {
+    ({ expireUnpaidOrders } = require('../utils/order.utils'));
+  });
+
+  async function createPendingOrder(user, product, createdAt) {
+    await Product.updateOne({ _id: product._id }, { $inc: { countInStock: -2 } });
+    const order = await Order.create({
+      user: user._id,
+      orderItems: [{ product: product._id, name: product.name, qty: 2, price: product.price }],
+      itemsPrice: 20,
+      shippingPrice: 0,
+      taxPrice: 0,
+      totalPrice: 20,
+      payment: { status: 'pending', method: 'card' },
+    });
+    await Order.collection.updateOne({ _id: order._id }, { $set: { createdAt } });
+    return order;
+  }
+
+  it('cancels unpaid orders past the TTL and restores their stock', async () => {
+    const { user } = await createAuthedUser();
+    const product = await createProduct({ countInStock: 6 });
+
+    const stale = await createPendingOrder(user, product, new Date(Date.now() - 2 * 60 * 60 * 1000));
+    const fresh = await createPendingOrder(user, product, new Date());
+
+    const result = await expireUnpaidOrders({ ttlMinutes: 60 });
+    expect(result.expired).toBe(1);
+
+    const staleAfter = await Order.findById(stale._id).lean();
+    expect(staleAfter.status).toBe('cancelled');
+    expect(staleAfter.timeline.at(-1).message).toMatch(/Expired/);
+    expect((await Order.findById(fresh._id).lean()).status).toBe('pending');
+    expect((await Product.findById(product._id).lean()).countInStock).toBe(4);
+  });
+
+  it('never expires paid orders', async () => {
+    const { user } = await createAuthedUser();
+    const product = await createProduct({ countInStock: 6 });
+    const order = await createPendingOrder(user, product, new Date(Date.now() - 2 * 60 * 60 * 1000));
+    await Order.updateOne({ _id: order._id }, { $set: { isPaid: true, 'payment.status': 'paid' } });
+
+    const result = await expireUnpaidOrders({ ttlMinutes: 60 });
+    expect(result.expired).toBe(0);
+    expect((await Order.findById(order._id).lean()).status).toBe('pending');
+  });
+});
+
+describe('Orders - reorder', () => {
+  async function createPastOrder(user, lines) {
+    return Order.create({
+      user: user._id,
+      orderItems: lines.map(({ product, qty }) => ({
+        product: product._id,
+        name: product.name,
+        qty,
+        price: product.price,
+      })),
+      itemsPrice: 10,
+      shippingPrice: 0,
+      taxPrice: 0,
+      totalPrice: 10,
+      status: 'delivered',
+    });
+  }
+
+  it('copies order lines into the cart and reports what changed', async () => {
+    const { user, token } = await createAuthedUser();
+    const csrf = await getCsrfToken();
+    const plenty = await createProduct();
+    const scarce = await createProduct({ countInStock: 2 });
+    const capped = await createProduct({ maxQty: 3 });
+    const disabled = await createProduct({ enabled: false });
+    const order = await createPastOrder(user, [
+      { product: plenty, qty: 2 },
+      { product: scarce, qty: 5 },
+      { product: capped, qty: 4 },
+      { product: disabled, qty: 1 },
+    ]);
+
+    const res = await agent
+      .post(`/api/orders/${order._id}/reorder`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', csrf);
+
+    expect(res.statusCode).toBe(200);
+    const byProduct = Object.fromEntries(res.body.items.map((it) => [it.product, it]));
+    expect(byProduct[plenty.id]).toMatchObject({ status: 'added', added: 2 });
+    expect(byProduct[scarce.id]).toMatchObject({ status: 'reduced', added: 2, requested: 5 });
+    expect(byProduct[capped.id]).toMatchObject({ status: 'reduced', added: 3 });
+    expect(byProduct[disabled.id]).toMatchObject({ status: 'dropped', reason: 'unavailable' });
+
+    const cart = await Cart.findOne({ user: user._id }).lean();
+    expect(cart.items).toHaveLength(3);
+  });
+
+  it('does not let other users reorder the order', async () => {
+    const { user } = await createAuthedUser();
+    const { token } = await createAuthedUser();
+    const csrf = await getCsrfToken();
+    const order = await createPastOrder(user, [{ product: await createProduct(), qty: 1 }]);
+
+    const res = await agent
+      .post(`/api/orders/${order._id}/reorder`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', csrf);
+
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('Orders - product variants', () => {
+  async function createVariantProduct() {
+    return createProduct({
+      variantOptions: [{ name: 'Size', values: ['5L', '20L'] }],
+      variants: [
+        { sku: `P5-${new mongoose.Types.ObjectId()}`, options: { Size: '5L' }, price: 12, countInStock: 3 },
+        { sku: `P20-${new mongoose.Types.ObjectId()}`, options: { Size: '20L' }, price: 40, countInStock: 1 },
+      ],
+    });
+  }
+
+  async function placeVariantOrder(token, csrf, lines) {
+    return agent
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', csrf)
+      .send({
+        orderItems: lines,
+        shippingAddress: { address: '123 Main', city: 'Kampala', postalCode: '00000', country: 'UG' },
+        paymentMethod: 'card',
+      });
+  }
+
+  it('prices and decrements stock per variant', async () => {
+    const { token } = await createAuthedUser();
+    const csrf = await getCsrfToken();
+    const product = await createVariantProduct();
+    const [small, large] = product.variants;
+
+    const res = await placeVariantOrder(token, csrf, [{ productId: product.id, variantId: large.id, qty: 1 }]);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.orderItems[0]).toMatchObject({ variant: large.id, sku: large.sku, price: 40, variantName: '20L' });
+    const updated = await Product.findById(product._id);
+    expect(updated.variants.id(large._id).countInStock).toBe(0);
+    expect(updated.variants.id(small._id).countInStock).toBe(3);
+    expect(updated.countInStock).toBe(3);
+  });
+
+  it('rejects a variant product ordered without a variant', async () => {
+    const { token } = await createAuthedUser();
+    const csrf = await getCsrfToken();
+    const product = await createVariantProduct();
+
+    const res = await placeVariantOrder(token, csrf, [{ productId: product.id, qty: 1 }]);
+
+    expect(res.statusCode).toBe(409);
+    expect((await Product.findById(product._id)).countInStock).toBe(4);
+  });
+});
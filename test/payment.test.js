@@ -8,11 +8,14 @@ const Product = require('../models/product.model');
 const { setupTestApp } = require('./helpers/setupTestApp');
 
 const mockPaymentIntentsCreate = jest.fn();
+const mockPaymentIntentsCancel = jest.fn();
+const mockRefundsCreate = jest.fn();
 const mockConstructEvent = jest.fn();
 
 jest.mock('stripe', () => {
   return jest.fn().mockImplementation(() => ({
-    paymentIntents: { create: mockPaymentIntentsCreate },
+    paymentIntents: { create: mockPaymentIntentsCreate, cancel: mockPaymentIntentsCancel },
+    refunds: { create: mockRefundsCreate },
     webhooks: { constructEvent: mockConstructEvent },
   }));
 });
@@ -29,6 +32,8 @@ beforeAll(async () => {
 
 beforeEach(async () => {
   mockPaymentIntentsCreate.mockReset();
+  mockPaymentIntentsCancel.mockReset();
+  mockRefundsCreate.mockReset();
   mockConstructEvent.mockReset();
   const collections = await mongoose.connection.db.collections();
   for (const collection of collections) {
@@ -151,6 +156,68 @@ describe('Payment intents', () => {
   });
 });
 
+describe('Payment intents - Idempotency-Key', () => {
+  it('creates a single PaymentIntent for a retried key', async () => {
+    const user = await createUser();
+    const order = await createOrder(user);
+    mockPaymentIntentsCreate.mockResolvedValue({ id: 'pi_once', client_secret: 'secret_once' });
+
+    const csrf = await getCsrfToken();
+    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    const send = () => agent
+      .post('/api/payments/create-payment-intent')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', csrf)
+      .set('Idempotency-Key', `pay-${order.id}`)
+      .send({ orderId: order.id });
+
+    const first = await send();
+    const retry = await send();
+
+    expect(first.statusCode).toBe(200);
+    expect(retry.statusCode).toBe(200);
+    expect(retry.body).toEqual(first.body);
+    expect(mockPaymentIntentsCreate).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Payment intents - guest orders', () => {
+  it('creates a PaymentIntent with the order access token', async () => {
+    const { signOrderAccessToken } = require('../utils/orderAccess.utils');
+    const order = await createOrder({}, { user: undefined, guestEmail: 'guest@example.com' });
+    mockPaymentIntentsCreate.mockResolvedValue({ id: 'pi_guest', client_secret: 'secret_guest' });
+
+    const csrf = await getCsrfToken();
+    const res = await agent
+      .post('/api/payments/guest/create-payment-intent')
+      .set('X-Order-Token', signOrderAccessToken(order))
+      .set('X-CSRF-Token', csrf)
+      .send({ orderId: order.id });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.clientSecret).toBe('secret_guest');
+    const [payload] = mockPaymentIntentsCreate.mock.calls[0];
+    expect(payload.metadata.orderId).toBe(order.id);
+    expect(payload.metadata.guestEmail).toBe('guest@example.com');
+  });
+
+  it('rejects a token issued for another order', async () => {
+    const { signOrderAccessToken } = require('../utils/orderAccess.utils');
+    const order = await createOrder({}, { user: undefined, guestEmail: 'guest@example.com' });
+    const other = await createOrder({}, { user: undefined, guestEmail: 'guest@example.com' });
+
+    const csrf = await getCsrfToken();
+    const res = await agent
+      .post('/api/payments/guest/create-payment-intent')
+      .set('X-Order-Token', signOrderAccessToken(other))
+      .set('X-CSRF-Token', csrf)
+      .send({ orderId: order.id });
+
+    expect(res.statusCode).toBe(403);
+    expect(mockPaymentIntentsCreate).not.toHaveBeenCalled();
+  });
+});
+
 describe('Stripe webhook', () => {
   it('marks the order as paid when payment_intent.succeeded arrives', async () => {
     const user = await createUser();
@@ -242,3 +309,414 @@ describe('Stripe webhook', () => {
     expect(updated.payment.status).toBe('paid');
   });
 });
+
+describe('Order cancellation payments', () => {
+  it('refunds a paid order and restores stock', async () => {
+    const user = await createUser();
+    const order = await createOrder(user, {
+      payment: { status: 'paid', intentId: 'pi_cancel_paid', method: 'card', amount: 1299, currency: 'usd' },
+      status: 'confirmed',
+      isPaid: true,
+    });
+    const productId = order.orderItems[0].product;
+    mockRefundsCreate.mockResolvedValue({ id: 're_123', amount: 1299 });
+
+    const csrf = await getCsrfToken();
+    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    const res = await agent
+      .post(`/api/orders/${order.id}/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', csrf)
+      .send({});
+
+    expect(res.statusCode).toBe(200);
+    expect(mockRefundsCreate).toHaveBeenCalledTimes(1);
+    expect(mockRefundsCreate.mock.calls[0][0].payment_intent).toBe('pi_cancel_paid');
+    expect(mockPaymentIntentsCancel).not.toHaveBeenCalled();
+
+    const updated = await Order.findById(order.id);
+    expect(updated.status).toBe('cancelled');
+    expect(updated.payment.status).toBe('refunded');
+    expect(updated.refunds).toHaveLength(1);
+    expect(updated.refunds[0].amount).toBe(1299);
+    expect(updated.refunds[0].source).toBe('cancellation');
+    expect((await Product.findById(productId).lean()).countInStock).toBe(11);
+  });
+
+  it('cancels the PaymentIntent of an unpaid order', async () => {
+    const user = await createUser();
+    const order = await createOrder(user, {
+      payment: { status: 'pending', intentId: 'pi_cancel_unpaid', method: 'card' },
+      status: 'pending',
+      isPaid: false,
+    });
+    mockPaymentIntentsCancel.mockResolvedValue({ id: 'pi_cancel_unpaid', status: 'canceled' });
+
+    const csrf = await getCsrfToken();
+    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    const res = await agent
+      .post(`/api/orders/${order.id}/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', csrf)
+      .send({});
+
+    expect(res.statusCode).toBe(200);
+    expect(mockPaymentIntentsCancel).toHaveBeenCalledTimes(1);
+    expect(mockPaymentIntentsCancel.mock.calls[0][0]).toBe('pi_cancel_unpaid');
+    expect(mockRefundsCreate).not.toHaveBeenCalled();
+
+    const updated = await Order.findById(order.id);
+    expect(updated.status).toBe('cancelled');
+    expect(updated.payment.status).toBe('cancelled');
+  });
+
+  it('leaves the order untouched when Stripe cannot void the payment', async () => {
+    const user = await createUser();
+    const order = await createOrder(user, {
+      payment: { status: 'pending', intentId: 'pi_cancel_fail', method: 'card' },
+      status: 'pending',
+      isPaid: false,
+    });
+    const productId = order.orderItems[0].product;
+    mockPaymentIntentsCancel.mockRejectedValue(new Error('stripe down'));
+
+    const csrf = await getCsrfToken();
+    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    const res = await agent
+      .post(`/api/orders/${order.id}/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-CSRF-Token', csrf)
+      .send({});
+
+    expect(res.statusCode).toBe(502);
+    const updated = await Order.findById(order.id);
+    expect(updated.status).toBe('pending');
+    expect((await Product.findById(productId).lean()).countInStock).toBe(10);
+  });
+
+  it('moves past expired orders that cannot be voided instead of retrying them every sweep', async () => {
+    const { expireUnpaidOrders } = require('../utils/order.utils');
+    const user = await createUser();
+    const [stuck, next] = await Promise.all(['pi_expiry_stuck', 'pi_expiry_next'].map((intentId) => createOrder(user, {
+      payment: { status: 'pending', intentId, method: 'card' },
+      status: 'pending',
+    })));
+    await Order.collection.updateOne({ _id: stuck._id }, { $set: { createdAt: new Date(Date.now() - 3 * 60 * 60 * 1000) } });
+    await Order.collection.updateOne({ _id: next._id }, { $set: { createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000) } });
+    mockPaymentIntentsCancel.mockImplementation(async (id) => {
+      if (id === 'pi_expiry_stuck') throw new Error('stripe down');
+      return { id, status: 'canceled' };
+    });
+
+    const first = await expireUnpaidOrders({ ttlMinutes: 60, limit: 1 });
+    const second = await expireUnpaidOrders({ ttlMinutes: 60, limit: 1 });
+
+    expect(first).toEqual({ expired: 0, skipped: 1 });
+    expect(second).toEqual({ expired: 1, skipped: 0 });
+    expect((await Order.findById(stuck._id).lean()).expiryAttemptedAt).toBeInstanceOf(Date);
+    expect((await Order.findById(next._id).lean()).status).toBe('cancelled');
+  });
+});
+
+describe('Admin refunds', () => {
+  function adminPath(path) {
+    return `/api/admin/${process.env.ADMIN_ROUTE_KEY}${path}`;
+  }
+
+  async function createPaidOrder(user, overrides = {}) {
+    return createOrder(user, {
+      payment: { status: 'paid', intentId: 'pi_admin_refund', method: 'card', amount: 2000, currency: 'usd' },
+      status: 'delivered',
+      isPaid: true,
+      productPrice: 10,
+      itemsPrice: 20,
+      totalPrice: 20,
+      ...overrides,
+    });
+  }
+
+  async function postRefund(orderId, body) {
+    const admin = await createUser({ role: 'admin' });
+    const csrf = await getCsrfToken();
+    const token = jwt.sign({ id: admin._id, role: 'admin' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    return agent
+      .post(adminPath(`/orders/${orderId}/refunds`))
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-admin-route-key', process.env.ADMIN_ROUTE_KEY)
+      .set('X-CSRF-Token', csrf)
+      .send(body);
+  }
+
+  it('issues a full refund and marks the order refunded', async () => {
+    const user = await createUser();
+    const order = await createPaidOrder(user);
+    mockRefundsCreate.mockResolvedValue({ id: 're_full', amount: 2000 });
+
+    const res = await postRefund(order.id, { reason: 'Customer request' });
+
+    expect(res.statusCode).toBe(201);
+    expect(mockRefundsCreate.mock.calls[0][0].amount).toBe(2000);
+    const updated = await Order.findById(order.id);
+    expect(updated.status).toBe('refunded');
+    expect(updated.payment.status).toBe('refunded');
+    expect(updated.refunds).toHaveLength(1);
+    expect(updated.refunds[0].source).toBe('admin');
+  });
+
+  it('keeps the order status on a partial per-line refund', async () => {
+    const user = await createUser();
+    const order = await createPaidOrder(user);
+    await Order.updateOne({ _id: order._id }, { $set: { 'orderItems.0.qty': 2 } });
+    mockRefundsCreate.mockResolvedValue({ id: 're_line', amount: 1000 });
+
+    const res = await postRefund(order.id, {
+      lines: [{ productId: order.orderItems[0].product.toString(), qty: 1 }],
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(mockRefundsCreate.mock.calls[0][0].amount).toBe(1000);
+    const updated = await Order.findById(order.id);
+    expect(updated.status).toBe('delivered');
+    expect(updated.payment.status).toBe('paid');
+    expect(updated.refunds[0].lines[0].qty).toBe(1);
+  });
+
+  it('rejects refunds larger than what is left', async () => {
+    const user = await createUser();
+    const order = await createPaidOrder(user);
+
+    const res = await postRefund(order.id, { amount: 25 });
+
+    expect(res.statusCode).toBe(400);
+    expect(mockRefundsCreate).not.toHaveBeenCalled();
+  });
+
+  it('refuses a second refund while the first is being issued', async () => {
+    const user = await createUser();
+    const order = await createPaidOrder(user);
+    let concurrent;
+    mockRefundsCreate.mockImplementationOnce(async () => {
+      concurrent = await postRefund(order.id, { amount: 15 });
+      return { id: 're_first', amount: 1500 };
+    });
+
+    const first = await postRefund(order.id, { amount: 15 });
+
+    expect(first.statusCode).toBe(201);
+    expect(concurrent.statusCode).toBe(409);
+    expect(mockRefundsCreate).toHaveBeenCalledTimes(1);
+    const updated = await Order.findById(order.id).select('+refundLockedAt');
+    expect(updated.refunds).toHaveLength(1);
+    expect(updated.refundLockedAt).toBeUndefined();
+  });
+
+  it('does not double-record refunds echoed back by charge.refunded', async () => {
+    const user = await createUser();
+    const order = await createPaidOrder(user);
+    mockRefundsCreate.mockResolvedValue({ id: 're_echo', amount: 500 });
+    await postRefund(order.id, { amount: 5 });
+
+    mockConstructEvent.mockImplementation(() => ({
+      id: `evt_${uniqueValue().slice(-8)}`,
+      type: 'charge.refunded',
+      data: {
+        object: {
+          id: 'ch_echo',
+          payment_intent: 'pi_admin_refund',
+          amount: 2000,
+          amount_refunded: 500,
+          refunds: { data: [{ id: 're_echo', amount: 500, status: 'succeeded' }] },
+        },
+      },
+    }));
+    const res = await request(app)
+      .post('/webhook/stripe')
+      .set('stripe-signature', 'sig_mock')
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify({ test: true }));
+
+    expect(res.statusCode).toBe(200);
+    const updated = await Order.findById(order.id);
+    expect(updated.refunds).toHaveLength(1);
+    expect(updated.status).toBe('delivered');
+  });
+  it('has charge.refunded retried while an admin refund is being recorded', async () => {
+    const user = await createUser();
+    const order = await createPaidOrder(user);
+    mockConstructEvent.mockImplementation(() => ({
+      id: 'evt_early_echo',
+      type: 'charge.refunded',
+      data: {
+        object: {
+          id: 'ch_early',
+          payment_intent: 'pi_admin_refund',
+          amount: 2000,
+          amount_refunded: 500,
+          refunds: { data: [{ id: 're_early', amount: 500, status: 'succeeded' }] },
+        },
+      },
+    }));
+    const deliver = () => request(app)
+      .post('/webhook/stripe')
+      .set('stripe-signature', 'sig_mock')
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify({ test: true }));
+    let early;
+    mockRefundsCreate.mockImplementationOnce(async () => {
+      early = await deliver();
+      return { id: 're_early', amount: 500 };
+    });
+
+    const refund = await postRefund(order.id, { amount: 5 });
+    const retried = await deliver();
+
+    expect(refund.statusCode).toBe(201);
+    expect(early.statusCode).toBe(500);
+    expect(retried.statusCode).toBe(200);
+    const updated = await Order.findById(order.id);
+    expect(updated.refunds).toHaveLength(1);
+    expect(updated.refunds[0].source).toBe('admin');
+  });
+});
+
+describe('Stripe webhook refunds', () => {
+  it('records a partial dashboard refund without marking the order refunded', async () => {
+    const user = await createUser();
+    const order = await createOrder(user, {
+      payment: { status: 'paid', intentId: 'pi_dash', method: 'card', amount: 1299, currency: 'usd' },
+      status: 'confirmed',
+      isPaid: true,
+    });
+
+    mockConstructEvent.mockImplementation(() => ({
+      id: `evt_${uniqueValue().slice(-8)}`,
+      type: 'charge.refunded',
+      data: {
+        object: {
+          id: 'ch_dash',
+          payment_intent: 'pi_dash',
+          amount: 1299,
+          amount_refunded: 300,
+          refunds: { data: [{ id: 're_dash', amount: 300, status: 'succeeded', reason: 'requested_by_customer' }] },
+        },
+      },
+    }));
+    const res = await request(app)
+      .post('/webhook/stripe')
+      .set('stripe-signature', 'sig_mock')
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify({ test: true }));
+
+    expect(res.statusCode).toBe(200);
+    const updated = await Order.findById(order.id);
+    expect(updated.status).toBe('confirmed');
+    expect(updated.payment.status).toBe('paid');
+    expect(updated.refunds).toHaveLength(1);
+    expect(updated.refunds[0].source).toBe('stripe');
+  });
+});
+
+describe('Invoices and credit notes', () => {
+  const year = new Date().getUTCFullYear();
+
+  function bearer(user) {
+    return `Bearer ${jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '1h' })}`;
+  }
+
+  async function deliverPaidEvent(order, intentId) {
+    mockConstructEvent.mockImplementation(() => ({
+      id: `evt_${uniqueValue().slice(-8)}`,
+      type: 'payment_intent.succeeded',
+      data: {
+        object: {
+          id: intentId,
+          metadata: { orderId: order.id },
+          currency: 'usd',
+          amount_received: 1299,
+          payment_method_types: ['card'],
+          charges: { data: [{ id: `ch_${intentId}` }] },
+        },
+      },
+    }));
+    return request(app)
+      .post('/webhook/stripe')
+      .set('stripe-signature', 'sig_mock')
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify({ test: true }));
+  }
+
+  it('assigns sequential invoice numbers when orders become paid', async () => {
+    const user = await createUser();
+    const first = await createOrder(user, { payment: { status: 'pending', intentId: 'pi_inv1' }, status: 'pending' });
+    const second = await createOrder(user, { payment: { status: 'pending', intentId: 'pi_inv2' }, status: 'pending' });
+
+    expect((await deliverPaidEvent(first, 'pi_inv1')).statusCode).toBe(200);
+    expect((await deliverPaidEvent(second, 'pi_inv2')).statusCode).toBe(200);
+    // A redelivered event for an already paid order must not take another number
+    expect((await deliverPaidEvent(first, 'pi_inv1')).statusCode).toBe(200);
+
+    expect((await Order.findById(first.id)).invoiceNumber).toBe(`INV-${year}-000001`);
+    expect((await Order.findById(second.id)).invoiceNumber).toBe(`INV-${year}-000002`);
+  });
+
+  it('serves the invoice PDF to the order owner', async () => {
+    const user = await createUser();
+    const order = await createOrder(user, { payment: { status: 'pending', intentId: 'pi_inv_pdf' }, status: 'pending' });
+    await deliverPaidEvent(order, 'pi_inv_pdf');
+
+    const res = await request(app)
+      .get(`/api/orders/${order.id}/invoice.pdf`)
+      .set('Authorization', bearer(user));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/application\/pdf/);
+    expect(res.headers['content-disposition']).toContain(`INV-${year}-000001.pdf`);
+
+    const other = await createUser();
+    const forbidden = await request(app)
+      .get(`/api/orders/${order.id}/invoice.pdf`)
+      .set('Authorization', bearer(other));
+    expect(forbidden.statusCode).toBe(403);
+  });
+
+  it('has no invoice for an unpaid order', async () => {
+    const user = await createUser();
+    const order = await createOrder(user, { status: 'pending' });
+
+    const res = await request(app)
+      .get(`/api/orders/${order.id}/invoice.pdf`)
+      .set('Authorization', bearer(user));
+
+    expect(res.statusCode).toBe(409);
+  });
+
+  it('numbers a credit note for each admin refund', async () => {
+    const user = await createUser();
+    const admin = await createUser({ role: 'admin' });
+    const order = await createOrder(user, {
+      payment: { status: 'paid', intentId: 'pi_cn', method: 'card', amount: 2000, currency: 'usd' },
+      status: 'delivered',
+      isPaid: true,
+      invoiceNumber: `INV-${year}-000001`,
+    });
+    mockRefundsCreate.mockResolvedValue({ id: 're_cn', amount: 500 });
+
+    const csrf = await getCsrfToken();
+    const refundRes = await agent
+      .post(`/api/admin/${process.env.ADMIN_ROUTE_KEY}/orders/${order.id}/refunds`)
+      .set('Authorization', bearer(admin))
+      .set('x-admin-route-key', process.env.ADMIN_ROUTE_KEY)
+      .set('X-CSRF-Token', csrf)
+      .send({ amount: 5 });
+    expect(refundRes.statusCode).toBe(201);
+
+    const updated = await Order.findById(order.id);
+    expect(updated.refunds[0].creditNoteNumber).toBe(`CN-${year}-000001`);
+
+    const res = await request(app)
+      .get(`/api/orders/${order.id}/credit-notes/${updated.refunds[0]._id}.pdf`)
+      .set('Authorization', bearer(user));
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/application\/pdf/);
+  });
+});
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user.model');
+const Category = require('../models/category.model');
+const Product = require('../models/product.model');
+const { invalidateSuggestIndex } = require('../utils/suggest.utils');
+const { setupTestApp } = require('./helpers/setupTestApp');
+
+let agent;
+let cleanup;
+
+jest.setTimeout(30000);
+
+beforeAll(async () => {
+  ({ agent, cleanup } = await setupTestApp());
+  // Full-text search needs the text index in place
+  await Product.init();
+});
+
+beforeEach(async () => {
+  const collections = await mongoose.connection.db.collections();
+  for (const collection of collections) {
+    await collection.deleteMany({});
+  }
+});
+
+afterAll(async () => {
+  if (cleanup) await cleanup();
+});
+
+async function createCatalog() {
+  const paints = await Category.create({ name: 'Paints' });
+  const tools = await Category.create({ name: 'Tools' });
+  const make = (attrs) => Product.create({
+    category: paints._id,
+    price: 10,
+    countInStock: 5,
+    enabled: true,
+    ...attrs,
+  });
+  const products = {
+    gloss: await make({ name: 'Gloss paint white', description: 'Hard wearing paint for paint jobs', tags: ['interior', 'gloss'], price: 30, ratingAvg: 4.5, featured: true }),
+    matt: await make({ name: 'Matt emulsion', description: 'Wall paint', tags: ['interior'], price: 20, ratingAvg: 3 }),
+    roller: await make({ name: 'Paint roller', category: tools._id, tags: ['accessories'], price: 8, countInStock: 0 }),
+    hammer: await make({ name: 'Claw hammer', category: tools._id, tags: ['accessories'], price: 15 }),
+  };
+  return { paints, tools, products };
+}
+
+describe('Product search', () => {
+  it('ranks full-text matches by relevance across name, description and tags', async () => {
+    const { products } = await createCatalog();
+
+    const res = await agent.get('/api/products?search=paint');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.total).toBe(3);
+    expect(res.body.products[0]._id).toBe(products.gloss.id);
+    expect(res.body.products.map((p) => p.name)).not.toContain('Claw hammer');
+    expect(res.body.products[0].score).toBeUndefined();
+  });
+
+  it('filters by price, tags, rating, stock and featured', async () => {
+    const { products } = await createCatalog();
+
+    const byPrice = await agent.get('/api/products?minPrice=10&maxPrice=25');
+    const byTags = await agent.get('/api/products?tags=gloss,accessories&inStock=true');
+    const byRating = await agent.get('/api/products?minRating=4&featured=true');
+
+    expect(byPrice.body.products.map((p) => p.name).sort()).toEqual(['Claw hammer', 'Matt emulsion']);
+    expect(byTags.body.products.map((p) => p._id).sort()).toEqual([products.gloss.id, products.hammer.id].sort());
+    expect(byRating.body.products.map((p) => p._id)).toEqual([products.gloss.id]);
+  });
+
+  it('returns category, tag and price facet counts for the matching products', async () => {
+    const { paints, tools } = await createCatalog();
+
+    const res = await agent.get('/api/products?limit=1');
+
+    expect(res.body.products).toHaveLength(1);
+    expect(res.body.facets.categories).toEqual(expect.arrayContaining([
+      expect.objectContaining({ _id: paints.id, slug: paints.slug, count: 2 }),
+      expect.objectContaining({ _id: tools.id, count: 2 }),
+    ]));
+    expect(res.body.facets.tags).toEqual(expect.arrayContaining([
+      { tag: 'interior', count: 2 },
+      { tag: 'accessories', count: 2 },
+      { tag: 'gloss', count: 1 },
+    ]));
+    expect(res.body.facets.prices).toEqual([
+      { min: 0, max: 25, count: 3 },
+      { min: 25, max: 50, count: 1 },
+    ]);
+  });
+
+  it('leaves products without a price out of the price facet', async () => {
+    const { tools } = await createCatalog();
+    // Legacy document written before price was required
+    await Product.collection.insertOne({ name: 'Spirit level', slug: 'spirit-level', category: tools._id, enabled: true, tags: [] });
+
+    const res = await agent.get('/api/products');
+
+    expect(res.body.total).toBe(5);
+    expect(res.body.facets.prices).toEqual([
+      { min: 0, max: 25, count: 3 },
+      { min: 25, max: 50, count: 1 },
+    ]);
+  });
+
+  it('rejects invalid filters', async () => {
+    const res = await agent.get('/api/products?minRating=9');
+    expect(res.statusCode).toBe(400);
+  });
+});
+
+describe('Product suggestions', () => {
+  async function createAdminToken() {
+    const admin = await User.create({
+      name: 'Admin',
+      email: `admin-${new mongoose.Types.ObjectId()}@example.com`,
+      password: 'Password123!',
+      isVerified: true,
+      role: 'admin',
+    });
+    return jwt.sign({ id: admin._id.toString(), role: admin.role }, process.env.JWT_SECRET, {
+      expiresIn: '15m',
+      algorithm: 'HS256',
+    });
+  }
+
+  it('matches prefixes and small typos in product names, categories and tags', async () => {
+    await createCatalog();
+    invalidateSuggestIndex();
+
+    const prefix = await agent.get('/api/products/suggest?q=pai');
+    const typo = await agent.get('/api/products/suggest?q=hamer');
+    const accents = await agent.get('/api/products/suggest?q=acc%C3%A9ssories');
+
+    expect(prefix.statusCode).toBe(200);
+    expect(prefix.body.products.map((p) => p.name)).toEqual(expect.arrayContaining(['Gloss paint white', 'Paint roller']));
+    expect(prefix.body.categories.map((c) => c.name)).toEqual(['Paints']);
+    expect(typo.body.products.map((p) => p.name)).toEqual(['Claw hammer']);
+    expect(accents.body.tags).toEqual([{ tag: 'accessories', count: 2 }]);
+  });
+
+  it('picks up products created through the admin API', async () => {
+    const category = await Category.create({ name: 'Garden' });
+    const token = await createAdminToken();
+    await agent.get('/api/products/suggest?q=wheel');
+    const csrfRes = await agent.get('/api/csrf-token');
+
+    const created = await agent
+      .post(`/api/admin/${process.env.ADMIN_ROUTE_KEY}/products`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('x-admin-route-key', process.env.ADMIN_ROUTE_KEY)
+      .set('X-CSRF-Token', csrfRes.body.csrfToken)
+      .send({ name: 'Wheelbarrow', category: category.id, price: 80, countInStock: 3 });
+    const res = await agent.get('/api/products/suggest?q=wheel');
+
+    expect(created.statusCode).toBe(201);
+    expect(res.body.products.map((p) => p.name)).toEqual(['Wheelbarrow']);
+  });
+
+  it('requires a query', async () => {
+    const res = await agent.get('/api/products/suggest');
+    expect(res.statusCode).toBe(400);
+  });
+});
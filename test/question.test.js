@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const Question = require('../models/question.model');
+const { setupTestApp } = require('./helpers/setupTestApp');
+const { adminPath, createUser, createProduct, createBuyer, send: sendAs } = require('./helpers/fixtures');
+
+jest.mock('../utils/email.utils', () => ({
+  ...jest.requireActual('../utils/email.utils'),
+  sendEmail: jest.fn().mockResolvedValue(),
+}));
+
+let agent;
+let cleanup;
+// email.utils validates the env on load, so the mock is required once setupTestApp has set it
+let sendEmail;
+
+jest.setTimeout(30000);
+
+beforeAll(async () => {
+  ({ agent, cleanup } = await setupTestApp());
+  ({ sendEmail } = require('../utils/email.utils'));
+});
+
+beforeEach(async () => {
+  const collections = await mongoose.connection.db.collections();
+  for (const collection of collections) {
+    await collection.deleteMany({});
+  }
+  sendEmail.mockClear();
+});
+
+afterAll(async () => {
+  if (cleanup) await cleanup();
+});
+
+function send(method, path, user, body) {
+  return sendAs(agent, method, path, user, body);
+}
+
+function emailsTo(user) {
+  return sendEmail.mock.calls.filter(([to]) => to === user.email).map(([, subject]) => subject);
+}
+
+describe('Product questions', () => {
+  it('publishes questions after moderation and tells the asker', async () => {
+    const product = await createProduct();
+    const asker = await createUser();
+    const admin = await createUser({ role: 'admin' });
+
+    const asked = await send('post', `/api/questions/product/${product._id}`, asker, { question: 'How much per litre of water?' });
+    const before = await agent.get(`/api/questions/product/${product._id}`);
+    const queue = await send('get', adminPath('/questions'), admin);
+    await send('put', adminPath(`/questions/${asked.body.question._id}/approve`), admin);
+    const after = await agent.get(`/api/questions/product/${product._id}`);
+
+    expect(asked.statusCode).toBe(201);
+    expect(asked.body.question.status).toBe('pending');
+    expect(before.body.total).toBe(0);
+    expect(queue.body.questions.map((q) => q._id)).toEqual([asked.body.question._id]);
+    expect(after.body.questions[0]).toMatchObject({ question: 'How much per litre of water?', userName: asker.name, answerCount: 0 });
+    expect(emailsTo(asker)).toEqual([expect.stringContaining('is published')]);
+  });
+
+  it('keeps rejected questions private and tells the asker why', async () => {
+    const product = await createProduct();
+    const asker = await createUser();
+    const admin = await createUser({ role: 'admin' });
+    const asked = await send('post', `/api/questions/product/${product._id}`, asker, { question: 'Call me on 0123?' });
+
+    const rejected = await send('put', adminPath(`/questions/${asked.body.question._id}/reject`), admin, { reason: 'Contains contact details' });
+    const listing = await agent.get(`/api/questions/product/${product._id}`);
+    const mine = await send('get', '/api/questions/my-questions', asker);
+
+    expect(rejected.body.question).toMatchObject({ status: 'rejected', rejectionReason: 'Contains contact details' });
+    expect(listing.body.total).toBe(0);
+    expect(mine.body[0]).toMatchObject({ productName: product.name, status: 'rejected' });
+    expect(sendEmail.mock.calls[0][2]).toContain('Contains contact details');
+  });
+});
+
+describe('Product answers', () => {
+  async function publishedQuestion(product, asker) {
+    return Question.create({ product: product._id, user: asker._id, question: 'Is it safe for pets?', isApproved: true });
+  }
+
+  it('lets staff and buyers answer and emails the asker', async () => {
+    const product = await createProduct();
+    const asker = await createUser();
+    const buyer = await createBuyer(product);
+    const stranger = await createUser();
+    const admin = await createUser({ role: 'admin' });
+    const question = await publishedQuestion(product, asker);
+    const path = `/api/questions/${question._id}/answers`;
+
+    const fromStranger = await send('post', path, stranger, { body: 'Probably' });
+    const fromBuyer = await send('post', path, buyer, { body: 'Keep them off the lawn for a day.' });
+    const fromStaff = await send('post', path, admin, { body: 'Yes, once dry.' });
+    const listing = await agent.get(`/api/questions/product/${product._id}`);
+
+    expect(fromStranger.statusCode).toBe(403);
+    expect(fromBuyer.body.answer).toMatchObject({ answeredAs: 'verified_purchaser', userName: buyer.name });
+    expect(fromStaff.body.answer.answeredAs).toBe('staff');
+    expect(listing.body.questions[0].answerCount).toBe(2);
+    expect(emailsTo(asker)).toHaveLength(2);
+    expect(sendEmail.mock.calls[0][2]).toContain('Keep them off the lawn for a day.');
+  });
+
+  it('ranks answers by one retractable upvote per user', async () => {
+    const product = await createProduct();
+    const asker = await createUser();
+    const buyer = await createBuyer(product);
+    const admin = await createUser({ role: 'admin' });
+    const question = await publishedQuestion(product, asker);
+    const first = (await send('post', `/api/questions/${question._id}/answers`, admin, { body: 'First' })).body.answer;
+    const second = (await send('post', `/api/questions/${question._id}/answers`, buyer, { body: 'Second' })).body.answer;
+    const upvote = `/api/questions/${question._id}/answers/${second._id}/upvote`;
+
+    const voted = await send('post', upvote, asker);
+    const again = await send('post', upvote, asker);
+    const own = await send('post', upvote, buyer);
+    const ranked = await agent.get(`/api/questions/product/${product._id}`);
+    const retracted = await send('delete', upvote, asker);
+
+    expect(voted.body).toEqual({ upvoteCount: 1, voted: true });
+    expect(again.body).toEqual({ upvoteCount: 1, voted: true });
+    expect(own.statusCode).toBe(400);
+    expect(ranked.body.questions[0].answers.map((a) => a._id)).toEqual([second._id, first._id]);
+    expect(ranked.body.questions[0].answers[0].upvotes).toBeUndefined();
+    expect(retracted.body).toEqual({ upvoteCount: 0, voted: false });
+  });
+});
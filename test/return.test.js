@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user.model');
+const Order = require('../models/order.model');
+const Category = require('../models/category.model');
+const Product = require('../models/product.model');
+const ReturnRequest = require('../models/returnRequest.model');
+const { setupTestApp } = require('./helpers/setupTestApp');
+
+const mockRefundsCreate = jest.fn();
+
+jest.mock('stripe', () => {
+  return jest.fn().mockImplementation(() => ({
+    refunds: { create: mockRefundsCreate },
+  }));
+});
+
+let agent;
+let cleanup;
+
+jest.setTimeout(30000);
+
+beforeAll(async () => {
+  ({ agent, cleanup } = await setupTestApp());
+});
+
+beforeEach(async () => {
+  mockRefundsCreate.mockReset();
+  const collections = await mongoose.connection.db.collections();
+  for (const collection of collections) {
+    await collection.deleteMany({});
+  }
+});
+
+afterAll(async () => {
+  if (cleanup) await cleanup();
+});
+
+function adminPath(path) {
+  return `/api/admin/${process.env.ADMIN_ROUTE_KEY}${path}`;
+}
+
+function signAccessToken(user) {
+  return jwt.sign({ id: user._id.toString(), role: user.role }, process.env.JWT_SECRET, {
+    expiresIn: '15m',
+    algorithm: 'HS256',
+  });
+}
+
+async function createUser(attrs = {}) {
+  const suffix = new mongoose.Types.ObjectId().toString();
+  return User.create({
+    name: `User ${suffix.slice(-5)}`,
+    email: `user-${suffix}@example.com`,
+    password: 'Password123!',
+    isVerified: true,
+    ...attrs,
+  });
+}
+
+async function createDeliveredOrder(user) {
+  const suffix = new mongoose.Types.ObjectId().toString();
+  const category = await Category.create({ name: `Category ${suffix}` });
+  const product = await Product.create({
+    name: `Product ${suffix}`,
+    category: category._id,
+    price: 10,
+    countInStock: 3,
+  });
+  const order = await Order.create({
+    user: user._id,
+    orderItems: [{ product: product._id, name: product.name, qty: 2, price: 10 }],
+    itemsPrice: 20,
+    shippingPrice: 0,
+    taxPrice: 3.6,
+    totalPrice: 23.6,
+    status: 'delivered',
+    isPaid: true,
+    isDelivered: true,
+    deliveredAt: new Date(),
+    payment: { status: 'paid', intentId: 'pi_return', amount: 2360, currency: 'usd' },
+  });
+  return { order, product };
+}
+
+async function getCsrfToken() {
+  const res = await agent.get('/api/csrf-token');
+  return res.body.csrfToken;
+}
+
+describe('Returns - customer requests', () => {
+  it('opens a return for items of a delivered order', async () => {
+    const user = await createUser();
+    const { order, product } = await createDeliveredOrder(user);
+    const csrf = await getCsrfToken();
+
+    const res = await agent
+      .post(`/api/orders/${order.id}/returns`)
+      .set('Authorization', `Bearer ${signAccessToken(user)}`)
+      .set('X-CSRF-Token', csrf)
+      .send({ items: [{ productId: product.id, qty: 1 }], reason: 'Arrived damaged' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.status).toBe('requested');
+    expect(res.body.rmaNumber).toMatch(/^RMA-/);
+    expect(res.body.items[0].qty).toBe(1);
+
+    const updated = await Order.findById(order.id).lean();
+    expect(updated.timeline.at(-1).status).toBe('return_requested');
+  });
+
+  it('rejects returning more than was ordered', async () => {
+    const user = await createUser();
+    const { order, product } = await createDeliveredOrder(user);
+    const csrf = await getCsrfToken();
+    await ReturnRequest.create({
+      order: order._id,
+      user: user._id,
+      items: [{ product: product._id, name: product.name, qty: 2, price: 10 }],
+      reason: 'Wrong item',
+    });
+
+    const res = await agent
+      .post(`/api/orders/${order.id}/returns`)
+      .set('Authorization', `Bearer ${signAccessToken(user)}`)
+      .set('X-CSRF-Token', csrf)
+      .send({ items: [{ productId: product.id, qty: 1 }], reason: 'Changed my mind' });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('only allows returns on delivered orders', async () => {
+    const user = await createUser();
+    const { order, product } = await createDeliveredOrder(user);
+    await Order.updateOne({ _id: order._id }, { $set: { status: 'shipped' } });
+    const csrf = await getCsrfToken();
+
+    const res = await agent
+      .post(`/api/orders/${order.id}/returns`)
+      .set('Authorization', `Bearer ${signAccessToken(user)}`)
+      .set('X-CSRF-Token', csrf)
+      .send({ items: [{ productId: product.id, qty: 1 }], reason: 'Too slow' });
+
+    expect(res.statusCode).toBe(409);
+  });
+});
+
+describe('Returns - admin workflow', () => {
+  it('approves a partial return with a prorated Stripe refund', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const user = await createUser();
+    const { order, product } = await createDeliveredOrder(user);
+    const rr = await ReturnRequest.create({
+      order: order._id,
+      user: user._id,
+      items: [{ product: product._id, name: product.name, qty: 1, price: 10 }],
+      reason: 'Arrived damaged',
+    });
+    mockRefundsCreate.mockResolvedValue({ id: 're_partial', amount: 1180 });
+    const csrf = await getCsrfToken();
+
+    const res = await agent
+      .put(adminPath(`/returns/${rr.id}/approve`))
+      .set('Authorization', `Bearer ${signAccessToken(admin)}`)
+      .set('x-admin-route-key', process.env.ADMIN_ROUTE_KEY)
+      .set('X-CSRF-Token', csrf)
+      .send({});
+
+    expect(res.statusCode).toBe(200);
+    expect(mockRefundsCreate).toHaveBeenCalledTimes(1);
+    const [payload] = mockRefundsCreate.mock.calls[0];
+    expect(payload.payment_intent).toBe('pi_return');
+    expect(payload.amount).toBe(1180);
+    expect(payload.metadata.returnId).toBe(rr.id);
+
+    const updatedReturn = await ReturnRequest.findById(rr.id).lean();
+    expect(updatedReturn.status).toBe('approved');
+    expect(updatedReturn.refund.stripeRefundId).toBe('re_partial');
+
+    const updatedOrder = await Order.findById(order.id).lean();
+    expect(updatedOrder.status).toBe('delivered');
+    expect(updatedOrder.refunds).toHaveLength(1);
+    expect(updatedOrder.refunds[0].amount).toBe(1180);
+    expect(updatedOrder.refunds[0].source).toBe('return');
+    expect(updatedOrder.refunds[0].returnRequest.toString()).toBe(rr.id);
+  });
+
+  it('refuses to approve the same return twice', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const user = await createUser();
+    const { order, product } = await createDeliveredOrder(user);
+    const rr = await ReturnRequest.create({
+      order: order._id,
+      user: user._id,
+      items: [{ product: product._id, name: product.name, qty: 1, price: 10 }],
+      reason: 'Arrived damaged',
+      status: 'rejected',
+    });
+    const csrf = await getCsrfToken();
+
+    const res = await agent
+      .put(adminPath(`/returns/${rr.id}/approve`))
+      .set('Authorization', `Bearer ${signAccessToken(admin)}`)
+      .set('x-admin-route-key', process.env.ADMIN_ROUTE_KEY)
+      .set('X-CSRF-Token', csrf)
+      .send({});
+
+    expect(res.statusCode).toBe(409);
+    expect(mockRefundsCreate).not.toHaveBeenCalled();
+  });
+
+  it('does not approve two returns of one order at the same time', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const user = await createUser();
+    const { order, product } = await createDeliveredOrder(user);
+    const [first, second] = await ReturnRequest.create([1, 2].map(() => ({
+      order: order._id,
+      user: user._id,
+      items: [{ product: product._id, name: product.name, qty: 1, price: 10 }],
+      reason: 'Arrived damaged',
+    })));
+    const approve = async (rr) => agent
+      .put(adminPath(`/returns/${rr.id}/approve`))
+      .set('Authorization', `Bearer ${signAccessToken(admin)}`)
+      .set('x-admin-route-key', process.env.ADMIN_ROUTE_KEY)
+      .set('X-CSRF-Token', await getCsrfToken())
+      .send({});
+    let concurrent;
+    mockRefundsCreate.mockImplementationOnce(async () => {
+      concurrent = await approve(second);
+      return { id: 're_first_return', amount: 1180 };
+    });
+
+    const res = await approve(first);
+
+    expect(res.statusCode).toBe(200);
+    expect(concurrent.statusCode).toBe(409);
+    expect(mockRefundsCreate).toHaveBeenCalledTimes(1);
+    expect((await ReturnRequest.findById(second.id).lean()).status).toBe('requested');
+  });
+
+  it('restocks received items and marks a fully returned order', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const user = await createUser();
+    const { order, product } = await createDeliveredOrder(user);
+    const rr = await ReturnRequest.create({
+      order: order._id,
+      user: user._id,
+      items: [{ product: product._id, name: product.name, qty: 2, price: 10 }],
+      reason: 'Wrong item',
+      status: 'approved',
+    });
+    const csrf = await getCsrfToken();
+
+    const res = await agent
+      .put(adminPath(`/returns/${rr.id}/receive`))
+      .set('Authorization', `Bearer ${signAccessToken(admin)}`)
+      .set('x-admin-route-key', process.env.ADMIN_ROUTE_KEY)
+      .set('X-CSRF-Token', csrf)
+      .send({ restock: true });
+
+    expect(res.statusCode).toBe(200);
+    expect((await Product.findById(product._id).lean()).countInStock).toBe(5);
+    const updatedOrder = await Order.findById(order.id).lean();
+    expect(updatedOrder.status).toBe('returned');
+    expect(updatedOrder.timeline.at(-1).status).toBe('return_received');
+  });
+});
@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Product = require('../models/product.model');
+const Order = require('../models/order.model');
+const Review = require('../models/review.model');
+const { setupTestApp } = require('./helpers/setupTestApp');
+const { adminPath, createUser, createProduct, createBuyer, send: sendAs } = require('./helpers/fixtures');
+
+jest.mock('../utils/email.utils', () => ({
+  ...jest.requireActual('../utils/email.utils'),
+  sendEmail: jest.fn().mockResolvedValue(),
+}));
+
+let agent;
+let cleanup;
+// These modules validate the env on load, so they are required once setupTestApp has set it
+let sendEmail;
+let sendDueReviewRequests;
+let signOptOutToken;
+
+jest.setTimeout(30000);
+
+beforeAll(async () => {
+  ({ agent, cleanup } = await setupTestApp());
+  ({ sendEmail } = require('../utils/email.utils'));
+  ({ sendDueReviewRequests, signOptOutToken } = require('../utils/reviewRequest.utils'));
+  await Review.init();
+});
+
+beforeEach(async () => {
+  const collections = await mongoose.connection.db.collections();
+  for (const collection of collections) {
+    await collection.deleteMany({});
+  }
+  sendEmail.mockClear();
+});
+
+afterAll(async () => {
+  if (cleanup) await cleanup();
+});
+
+function send(method, path, user, body) {
+  return sendAs(agent, method, path, user, body);
+}
+
+function submitReview(product, user, body) {
+  return send('post', `/api/reviews/product/${product._id}`, user, body);
+}
+
+describe('Product reviews', () => {
+  it('holds new reviews for moderation until an admin approves them', async () => {
+    const product = await createProduct();
+    const buyer = await createBuyer(product);
+    const admin = await createUser({ role: 'admin' });
+
+    const submitted = await submitReview(product, buyer, {
+      rating: 4,
+      title: 'Solid sander',
+      comment: 'Does the job well.',
+      images: ['https://cdn.example.com/review.jpg'],
+    });
+    const before = await agent.get(`/api/reviews/product/${product._id}`);
+    const queue = await send('get', adminPath('/reviews'), admin);
+    const approved = await send('put', adminPath(`/reviews/${submitted.body.review._id}/approve`), admin);
+    const after = await agent.get(`/api/reviews/product/${product._id}`);
+
+    expect(submitted.statusCode).toBe(201);
+    expect(submitted.body.review).toMatchObject({ isApproved: false, status: 'pending', verifiedPurchase: true });
+    expect(before.body.reviews).toHaveLength(0);
+    expect(queue.body.reviews.map((r) => r._id)).toEqual([submitted.body.review._id]);
+    expect(approved.statusCode).toBe(200);
+    expect(after.body).toMatchObject({ ratingAvg: 4, ratingCount: 1, total: 1 });
+    expect(after.body.reviews[0]).toMatchObject({
+      title: 'Solid sander',
+      images: ['https://cdn.example.com/review.jpg'],
+      userName: buyer.name,
+    });
+    expect(after.body.reviews[0].order).toBeUndefined();
+  });
+
+  it('only lets buyers review a product once', async () => {
+    const product = await createProduct();
+    const buyer = await createBuyer(product);
+    const stranger = await createUser();
+
+    const first = await submitReview(product, buyer, { rating: 5 });
+    const second = await submitReview(product, buyer, { rating: 3 });
+    const notBought = await submitReview(product, stranger, { rating: 1 });
+
+    expect(first.statusCode).toBe(201);
+    expect(second.statusCode).toBe(400);
+    expect(notBought.statusCode).toBe(403);
+  });
+
+  it('counts only approved reviews in the product rating', async () => {
+    const product = await createProduct();
+    const [happy, unhappy] = [await createBuyer(product), await createBuyer(product)];
+    const admin = await createUser({ role: 'admin' });
+    const good = (await submitReview(product, happy, { rating: 5 })).body.review;
+    await submitReview(product, unhappy, { rating: 1 });
+
+    await send('put', adminPath(`/reviews/${good._id}/approve`), admin);
+    const afterApproval = await Product.findById(product._id).lean();
+    const response = await send('put', adminPath(`/reviews/${good._id}/response`), admin, { comment: 'Thanks!' });
+    const rejected = await send('put', adminPath(`/reviews/${good._id}/reject`), admin, { reason: 'Spam' });
+    const afterRejection = await Product.findById(product._id).lean();
+    const rejectedList = await send('get', adminPath('/reviews?status=rejected'), admin);
+
+    expect(afterApproval).toMatchObject({ ratingAvg: 5, ratingCount: 1 });
+    expect(response.body.review.adminResponse.comment).toBe('Thanks!');
+    expect(rejected.body.review).toMatchObject({ isApproved: false, status: 'rejected', rejectionReason: 'Spam' });
+    expect(afterRejection).toMatchObject({ ratingAvg: 0, ratingCount: 0 });
+    expect(rejectedList.body.reviews.map((r) => r._id)).toEqual([good._id]);
+  });
+
+  it('sends edited reviews back to the moderation queue', async () => {
+    const product = await createProduct();
+    const buyer = await createBuyer(product);
+    const admin = await createUser({ role: 'admin' });
+    const review = (await submitReview(product, buyer, { rating: 5 })).body.review;
+    await send('put', adminPath(`/reviews/${review._id}/approve`), admin);
+
+    const edited = await send('put', `/api/reviews/${review._id}`, buyer, { rating: 2, comment: 'Broke after a week' });
+    const updated = await Product.findById(product._id).lean();
+    const mine = await send('get', '/api/reviews/my-reviews', buyer);
+
+    expect(edited.body.review).toMatchObject({ rating: 2, isApproved: false, status: 'pending' });
+    expect(updated).toMatchObject({ ratingAvg: 0, ratingCount: 0 });
+    expect(mine.body[0]).toMatchObject({ productName: product.name, status: 'pending' });
+  });
+});
+
+describe('Review votes and reports', () => {
+  async function publishedReview(product, attrs = {}) {
+    const author = await createBuyer(product);
+    return Review.create({ product: product._id, user: author._id, rating: 4, isApproved: true, ...attrs });
+  }
+
+  it('counts one retractable helpful vote per user and sorts by it', async () => {
+    const product = await createProduct();
+    const plain = await publishedReview(product);
+    const useful = await publishedReview(product);
+    const voter = await createUser();
+    const author = await User.findById(useful.user);
+
+    const first = await send('post', `/api/reviews/${useful._id}/helpful`, voter);
+    const again = await send('post', `/api/reviews/${useful._id}/helpful`, voter);
+    const own = await send('post', `/api/reviews/${useful._id}/helpful`, author);
+    const sorted = await agent.get(`/api/reviews/product/${product._id}?sort=most_helpful`);
+    const retracted = await send('delete', `/api/reviews/${useful._id}/helpful`, voter);
+
+    expect(first.body).toEqual({ helpfulCount: 1, voted: true });
+    expect(again.body).toEqual({ helpfulCount: 1, voted: true });
+    expect(own.statusCode).toBe(400);
+    expect(sorted.body.reviews.map((r) => r._id)).toEqual([useful.id, plain.id]);
+    expect(sorted.body.reviews[0].helpfulVotes).toBeUndefined();
+    expect(retracted.body).toEqual({ helpfulCount: 0, voted: false });
+  });
+
+  it('hides a review once reports reach the threshold and queues it for moderation', async () => {
+    const product = await createProduct();
+    const review = await publishedReview(product, { rating: 2 });
+    const admin = await createUser({ role: 'admin' });
+    const reporters = [await createUser(), await createUser(), await createUser()];
+
+    const statuses = [];
+    for (const reporter of reporters.slice(0, 2)) {
+      statuses.push((await send('post', `/api/reviews/${review._id}/report`, reporter, { reason: 'Spam' })).statusCode);
+    }
+    const duplicate = await send('post', `/api/reviews/${review._id}/report`, reporters[0], { reason: 'Spam' });
+    const stillShown = await agent.get(`/api/reviews/product/${product._id}`);
+    await send('post', `/api/reviews/${review._id}/report`, reporters[2], { reason: 'Offensive' });
+    const hidden = await agent.get(`/api/reviews/product/${product._id}`);
+    const queue = await send('get', adminPath('/reviews'), admin);
+    await send('put', adminPath(`/reviews/${review._id}/approve`), admin);
+    const restored = await Review.findById(review._id).lean();
+
+    expect(statuses).toEqual([201, 201]);
+    expect(duplicate.statusCode).toBe(409);
+    expect(stillShown.body.total).toBe(1);
+    expect(hidden.body).toMatchObject({ total: 0, ratingCount: 0 });
+    expect(queue.body.reviews[0]).toMatchObject({ _id: review.id, reportCount: 3 });
+    expect(queue.body.reviews[0].flaggedAt).toBeTruthy();
+    expect(restored).toMatchObject({ isApproved: true, reportCount: 0 });
+    expect(restored.reports).toHaveLength(3);
+  });
+});
+
+describe('Review request emails', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  async function deliver(buyer, admin) {
+    const order = await Order.findOne({ user: buyer._id });
+    await send('put', adminPath(`/orders/${order._id}/deliver`), admin);
+    return order;
+  }
+
+  function linkTokens(html) {
+    return [...html.matchAll(/token=([^&"]+)&rating=5/g)].map((m) => m[1]);
+  }
+
+  it('emails one-click review links a while after delivery', async () => {
+    const product = await createProduct();
+    const buyer = await createBuyer(product, { status: 'shipped' });
+    const admin = await createUser({ role: 'admin' });
+
+    const order = await deliver(buyer, admin);
+    const { reviewRequest } = await Order.findById(order._id).lean();
+    const early = await sendDueReviewRequests({ now: new Date(Date.now() + DAY) });
+    const due = await sendDueReviewRequests({ now: new Date(Date.now() + 8 * DAY) });
+    const again = await sendDueReviewRequests({ now: new Date(Date.now() + 9 * DAY) });
+
+    expect(reviewRequest.status).toBe('scheduled');
+    expect(reviewRequest.dueAt.getTime()).toBeGreaterThan(Date.now() + 6 * DAY);
+    expect(early.sent).toBe(0);
+    expect(due.sent).toBe(1);
+    expect(again.sent).toBe(0);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    const [to, , html] = sendEmail.mock.calls[0];
+    expect(to).toBe(buyer.email);
+
+    const [token] = linkTokens(html);
+    const request = await agent.get(`/api/reviews/request/${token}`);
+    const csrfRes = await agent.get('/api/csrf-token');
+    const submitted = await agent
+      .post(`/api/reviews/request/${token}`)
+      .set('X-CSRF-Token', csrfRes.body.csrfToken)
+      .send({ rating: 5, comment: 'Great' });
+    const tampered = await agent.get(`/api/reviews/request/${token}x`);
+
+    expect(request.body).toMatchObject({ product: { name: product.name }, canReview: true });
+    expect(submitted.statusCode).toBe(201);
+    expect(submitted.body.review).toMatchObject({ rating: 5, user: buyer.id, status: 'pending' });
+    expect(tampered.statusCode).toBe(403);
+  });
+
+  it('skips customers who already reviewed everything or opted out', async () => {
+    const product = await createProduct();
+    const reviewer = await createBuyer(product, { status: 'shipped' });
+    const optedOut = await createBuyer(product, { status: 'shipped' });
+    const admin = await createUser({ role: 'admin' });
+    await Review.create({ product: product._id, user: reviewer._id, rating: 4 });
+
+    const csrfRes = await agent.get('/api/csrf-token');
+    const optOut = await agent
+      .post(`/api/reviews/opt-out/${signOptOutToken(optedOut._id)}`)
+      .set('X-CSRF-Token', csrfRes.body.csrfToken);
+    await deliver(reviewer, admin);
+    await deliver(optedOut, admin);
+    const result = await sendDueReviewRequests({ now: new Date(Date.now() + 8 * DAY) });
+    const orders = await Order.find().lean();
+
+    expect(optOut.statusCode).toBe(200);
+    expect(result).toEqual({ sent: 0, skipped: 2, failed: 0 });
+    expect(sendEmail).not.toHaveBeenCalled();
+    expect(orders.map((o) => o.reviewRequest.skippedReason).sort()).toEqual(['already_reviewed', 'opted_out']);
+  });
+
+  it('takes over requests a dead sweep left in sending', async () => {
+    const product = await createProduct();
+    const dueAt = new Date(Date.now() - DAY);
+    const stuck = await createBuyer(product, {
+      reviewRequest: { status: 'sending', dueAt, claimedAt: new Date(Date.now() - 20 * 60 * 1000) },
+    });
+    const inFlight = await createBuyer(product, {
+      reviewRequest: { status: 'sending', dueAt, claimedAt: new Date(Date.now() - 60 * 1000) },
+    });
+
+    const result = await sendDueReviewRequests();
+    const orders = await Order.find().lean();
+
+    expect(result).toEqual({ sent: 1, skipped: 0, failed: 0 });
+    expect(sendEmail.mock.calls.map(([to]) => to)).toEqual([stuck.email]);
+    const statusOf = (user) => orders.find((o) => o.user.equals(user._id)).reviewRequest.status;
+    expect(statusOf(stuck)).toBe('sent');
+    expect(statusOf(inFlight)).toBe('sending');
+  });
+});
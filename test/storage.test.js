@@ -0,0 +1,158 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Category = require('../models/category.model');
+const Product = require('../models/product.model');
+const { createFakeS3Client } = require('./helpers/fakeS3');
+const { setupTestApp } = require('./helpers/setupTestApp');
+
+let agent;
+let cleanup;
+let root;
+let local;
+// Storage modules validate the env on load, so they are required once setupTestApp has set it
+let createStorage;
+let setStorage;
+let migrateFiles;
+let rewriteProductImageUrls;
+
+jest.setTimeout(30000);
+
+beforeAll(async () => {
+  ({ agent, cleanup } = await setupTestApp());
+  ({ createStorage, setStorage } = require('../storage'));
+  ({ migrateFiles } = require('../storage/migrate'));
+  ({ rewriteProductImageUrls } = require('../utils/productImage.utils'));
+});
+
+beforeEach(async () => {
+  const collections = await mongoose.connection.db.collections();
+  for (const collection of collections) {
+    await collection.deleteMany({});
+  }
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+  local = createStorage('local', { root: path.join(root, 'public'), privateRoot: path.join(root, 'private') });
+  setStorage(local);
+});
+
+afterEach(() => {
+  setStorage(null);
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+afterAll(async () => {
+  if (cleanup) await cleanup();
+});
+
+function s3Storage(client = createFakeS3Client()) {
+  return createStorage('s3', {
+    bucket: 'jaguza-test',
+    region: 'us-east-1',
+    endpoint: 'http://localhost:9000',
+    forcePathStyle: true,
+    credentials: { accessKeyId: 'minio', secretAccessKey: 'minio-secret' },
+    client,
+  });
+}
+
+describe('Local storage', () => {
+  it('stores, lists and removes files', async () => {
+    await local.put('products/p1/a.jpg', Buffer.from('a'));
+    await local.put('products/p2/b.jpg', Buffer.from('bb'));
+
+    expect((await local.get('products/p1/a.jpg')).toString()).toBe('a');
+    expect((await local.list('products/')).map((f) => f.key).sort()).toEqual(['products/p1/a.jpg', 'products/p2/b.jpg']);
+    expect(local.url('products/p1/a.jpg')).toBe(`${process.env.BASE_URL}/uploads/products/p1/a.jpg`);
+
+    await local.remove('products/p1/a.jpg');
+    expect(await local.exists('products/p1/a.jpg')).toBe(false);
+    expect(fs.existsSync(path.join(root, 'public/products/p1'))).toBe(false);
+  });
+
+  it('refuses keys outside its directory', async () => {
+    await expect(local.put('../escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+  });
+
+  it('keeps private files outside the publicly served directory', async () => {
+    await local.put('private/manuals/guide.pdf', Buffer.from('%PDF-1.4 guide'));
+    await local.put('products/p1/a.jpg', Buffer.from('a'));
+
+    expect(fs.existsSync(path.join(root, 'private/manuals/guide.pdf'))).toBe(true);
+    expect(fs.existsSync(path.join(root, 'public/private'))).toBe(false);
+    expect((await local.list()).map((f) => f.key).sort()).toEqual(['private/manuals/guide.pdf', 'products/p1/a.jpg']);
+    expect((await local.list('private/manuals')).map((f) => f.key)).toEqual(['private/manuals/guide.pdf']);
+    await expect(local.put('private/../../escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+  });
+
+  it('serves private files only through unexpired signed links', async () => {
+    await local.put('private/manuals/guide.pdf', Buffer.from('%PDF-1.4 guide'));
+    const url = new URL(await local.signedUrl('private/manuals/guide.pdf', { expiresIn: 60, filename: 'Guide.pdf' }));
+
+    const signed = await agent.get(url.pathname + url.search);
+    const tampered = await agent.get(url.pathname + url.search.replace('Guide.pdf', 'Other.pdf'));
+    const unsigned = await agent.get(url.pathname);
+
+    expect(signed.statusCode).toBe(200);
+    expect(signed.headers['content-disposition']).toContain('Guide.pdf');
+    expect(tampered.statusCode).toBe(403);
+    expect(unsigned.statusCode).toBe(403);
+  });
+
+  it('expires signed links', async () => {
+    await local.put('private/a.txt', Buffer.from('a'));
+    const url = new URL(await local.signedUrl('private/a.txt', { expiresIn: -1 }));
+
+    const res = await agent.get(url.pathname + url.search);
+
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('S3 storage', () => {
+  it('works against an S3-compatible endpoint with path-style URLs', async () => {
+    const s3 = s3Storage();
+
+    await s3.put('products/p1/a.jpg', Buffer.from('a'), { contentType: 'image/jpeg' });
+
+    expect(await s3.exists('products/p1/a.jpg')).toBe(true);
+    expect(await s3.exists('products/p1/missing.jpg')).toBe(false);
+    expect((await s3.get('products/p1/a.jpg')).toString()).toBe('a');
+    expect(s3.url('products/p1/a.jpg')).toBe('http://localhost:9000/jaguza-test/products/p1/a.jpg');
+
+    const signed = new URL(await s3.signedUrl('private/guide.pdf', { expiresIn: 120 }));
+    expect(signed.pathname).toBe('/jaguza-test/private/guide.pdf');
+    expect(signed.searchParams.get('X-Amz-Expires')).toBe('120');
+    expect(signed.searchParams.get('X-Amz-Signature')).toBeTruthy();
+  });
+});
+
+describe('Storage migration', () => {
+  it('copies files to the new driver and repoints product image URLs', async () => {
+    const client = createFakeS3Client();
+    const s3 = s3Storage(client);
+    const category = await Category.create({ name: 'Paints' });
+    const keys = ['products/p1/a.jpg', 'products/p1/a.webp'];
+    for (const key of keys) await local.put(key, Buffer.from(key));
+    const product = await Product.create({
+      name: 'Gloss',
+      category: category._id,
+      price: 10,
+      images: [local.url(keys[0]), 'https://cdn.example.com/pasted.jpg'],
+      imageAssets: [{ url: local.url(keys[0]), webpUrl: local.url(keys[1]), files: keys }],
+    });
+
+    const result = await migrateFiles(local, s3, { prefix: 'products/', deleteSource: true });
+    const again = await migrateFiles(local, s3, { prefix: 'products/' });
+    const updated = await rewriteProductImageUrls(local, s3);
+
+    expect(result).toEqual({ copied: 2, skipped: 0, removed: 2 });
+    expect(again.copied).toBe(0);
+    expect([...client.objects.keys()].sort()).toEqual(keys);
+    expect(client.objects.get(keys[1]).contentType).toBe('image/webp');
+    expect(updated).toBe(1);
+    const after = await Product.findById(product._id).lean();
+    expect(after.images).toEqual([s3.url(keys[0]), 'https://cdn.example.com/pasted.jpg']);
+    expect(after.imageAssets[0].webpUrl).toBe(s3.url(keys[1]));
+  });
+});
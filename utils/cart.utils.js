@@ -0,0 +1,105 @@
+/**
+ * Cart helpers
+ * Bulk-add lines to a cart within stock and per-product limits, and price cart lines
+ */
+
+const { findVariant, availableStock } = require('./inventory.utils');
+const { resolveLinePrice } = require('./pricing.utils');
+
+// Same per-line cap as POST /api/cart
+const MAX_LINE_QTY = 100;
+
+// Product fields populated on cart lines
+const CART_PRODUCT_FIELDS = 'name slug price promoPrice discountPercent promoStartsAt promoEndsAt images countInStock maxQty variantOptions variants';
+
+function isPurchasable(product, variantId) {
+  if (!product || product.enabled === false || product.isDeleted) return false;
+  if (!product.variants?.length) return !variantId;
+  const variant = findVariant(product, variantId);
+  return Boolean(variant) && variant.enabled !== false;
+}
+
+/**
+ * Most units of a product (variant) a single cart line may hold
+ * @param {Object} product - Product with countInStock, maxQty and variants
+ * @param {string} variantId - Chosen variant of a variant product
+ */
+function maxCartQty(product, variantId) {
+  const stock = availableStock(product, variantId);
+  const perOrder = Number(product.maxQty) > 0 ? Number(product.maxQty) : Infinity;
+  return Math.min(stock, perOrder, MAX_LINE_QTY);
+}
+
+/**
+ * Add lines to a cart, adding to quantities already in it and reducing or dropping
+ * lines that exceed what can be bought. Caller saves the cart.
+ * @param {Object} cart - Cart document
+ * @param {Array<{product: string, variant?: string, qty: number, name?: string}>} lines - Requested lines
+ * @param {Array<Object>} products - Products referenced by the lines
+ * @returns {Array<{product: string, variant?: string, name: string, requested: number, added: number, status: string, reason?: string}>}
+ */
+function addLinesToCart(cart, lines, products) {
+  const byId = new Map(products.map((p) => [p._id.toString(), p]));
+
+  // Same product (variant) on several lines counts as one request
+  const requested = new Map();
+  for (const line of lines) {
+    const id = String(line.product);
+    const variant = line.variant ? String(line.variant) : undefined;
+    const key = `${id}:${variant || ''}`;
+    const prev = requested.get(key);
+    requested.set(key, { id, variant, qty: (prev?.qty || 0) + (Number(line.qty) || 0), name: prev?.name || line.name });
+  }
+
+  const report = [];
+  for (const { id, variant, qty, name } of requested.values()) {
+    const product = byId.get(id);
+    const entry = { product: id, variant, name: product?.name || name, requested: qty, added: 0 };
+    if (!isPurchasable(product, variant)) {
+      report.push({ ...entry, status: 'dropped', reason: 'unavailable' });
+      continue;
+    }
+
+    const existing = cart.items.find((i) => i.product.toString() === id && String(i.variant || '') === (variant || ''));
+    const current = existing ? existing.quantity : 0;
+    const target = Math.min(current + qty, maxCartQty(product, variant));
+    const added = Math.max(0, target - current);
+    if (!added) {
+      report.push({ ...entry, status: 'dropped', reason: current ? 'limit_reached' : 'out_of_stock' });
+      continue;
+    }
+
+    if (existing) existing.quantity = target;
+    else cart.items.push({ product: product._id, variant, quantity: target });
+    report.push(added < qty
+      ? { ...entry, added, status: 'reduced', reason: 'quantity_limited' }
+      : { ...entry, added, status: 'added' });
+  }
+  return report;
+}
+
+/**
+ * Cart (populated) with the current unit pricing of every line, sale prices and the
+ * customer's price list included
+ * @param {Object} cart - Cart with items.product populated
+ * @param {Object} priceList - The customer's price list, if any
+ */
+function withLinePricing(cart, priceList = null) {
+  const plain = typeof cart.toJSON === 'function' ? cart.toJSON() : cart;
+  return {
+    ...plain,
+    items: (plain.items || []).map((it) => ({
+      ...it,
+      pricing: it.product ? resolveLinePrice(it.product, it.variant, { priceList, qty: it.quantity }) : undefined,
+    })),
+  };
+}
+
+module.exports = {
+  MAX_LINE_QTY,
+  CART_PRODUCT_FIELDS,
+  withLinePricing,
+  isPurchasable,
+  maxCartQty,
+  addLinesToCart,
+};
@@ -0,0 +1,94 @@
+/**
+ * Checkout pricing helpers
+ * Shared by order creation and checkout quotes so both always agree on totals
+ */
+
+const { calculateOrderTotals } = require('./shipping.utils');
+const { findVariant, variantLabel } = require('./inventory.utils');
+const { resolvePrice } = require('./pricing.utils');
+
+// Product fields buildOrderLines needs to snapshot and price a line
+const ORDER_LINE_PRODUCT_FIELDS = 'name sku price promoPrice discountPercent promoStartsAt promoEndsAt images variantOptions variants';
+
+/**
+ * Accept `{ productId | product, variantId | variant, qty | quantity }` lines from a checkout body
+ * @returns {Array<{productId: string, variantId?: string, qty: number}>}
+ */
+function normalizeOrderItems(orderItems) {
+  const items = Array.isArray(orderItems) ? orderItems : [];
+  return items
+    .map((it) => {
+      const productId = it.productId || it.product;
+      const variantId = it.variantId || it.variant || undefined;
+      const qty = Number(it.qty ?? it.quantity ?? 0);
+      return { productId, variantId, qty };
+    })
+    .filter((it) => it.productId && Number.isFinite(it.qty) && it.qty > 0);
+}
+
+/**
+ * Snapshot order lines from product documents at the customer's current price.
+ * Products with variants are priced, numbered and pictured by the chosen variant,
+ * which every line for such a product must name.
+ * @param {Array<{productId: string, variantId?: string, qty: number}>} normalized - Requested lines
+ * @param {Array<Object>} products - Products with name, sku, prices, sale window, images and variants
+ * @param {Object} options
+ * @param {Object} options.priceList - The customer's price list, if any
+ * @param {Date} options.now - Moment to price at
+ * @returns {{items: Array<Object>, itemsPrice: number, missing: boolean, priceList?: Object}}
+ */
+function buildOrderLines(normalized, products, { priceList = null, now = new Date() } = {}) {
+  const byId = new Map(products.map((p) => [p._id.toString(), p]));
+  const items = [];
+  let itemsPrice = 0;
+  let appliedList;
+  for (const it of normalized) {
+    const product = byId.get(String(it.productId));
+    if (!product) return { items: [], itemsPrice: 0, missing: true };
+    const variant = findVariant(product, it.variantId);
+    if (product.variants?.length ? !variant || variant.enabled === false : it.variantId) {
+      return { items: [], itemsPrice: 0, missing: true };
+    }
+    const pricing = resolvePrice(product, variant, { now, priceList, qty: it.qty });
+    const { price: unitPrice, originalPrice, discount } = pricing;
+    appliedList = appliedList || pricing.priceList;
+    itemsPrice += unitPrice * it.qty;
+    items.push({
+      product: product._id,
+      variant: variant?._id,
+      sku: variant?.sku || product.sku,
+      name: product.name,
+      variantName: variant ? variantLabel(product, variant) : undefined,
+      qty: it.qty,
+      image: variant?.image || (Array.isArray(product.images) ? product.images[0] : undefined),
+      price: unitPrice,
+      originalPrice,
+      discount,
+    });
+  }
+  return { items, itemsPrice, missing: false, priceList: appliedList };
+}
+
+/**
+ * Shipping, tax and total for priced lines
+ * @param {Object} params
+ * @param {Array<Object>} params.items - Lines from buildOrderLines
+ * @param {Object} params.shippingAddress - Checkout address (country defaults to UG)
+ * @param {string} params.shippingMethod - 'standard' or 'express'
+ * @param {number} params.discountAmount - Coupon discount
+ */
+function priceOrder({ items, shippingAddress, shippingMethod = 'standard', discountAmount = 0 }) {
+  return calculateOrderTotals({
+    items,
+    countryCode: shippingAddress?.country || 'UG',
+    shippingMethod,
+    couponDiscount: discountAmount,
+  });
+}
+
+module.exports = {
+  ORDER_LINE_PRODUCT_FIELDS,
+  normalizeOrderItems,
+  buildOrderLines,
+  priceOrder,
+};
@@ -0,0 +1,144 @@
+/**
+ * Product downloads
+ * Files attached to products are never exposed directly: buyers (or anyone, for public
+ * files) get a short-lived one-time link, and every redeemed link is logged so per-customer
+ * download limits can be enforced.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Order = require('../models/order.model');
+const DownloadLog = require('../models/downloadLog.model');
+const DownloadUsage = require('../models/downloadUsage.model');
+const { env } = require('../config/env');
+
+// Keeps download tokens from being accepted as session or order tokens and vice versa
+const DOWNLOAD_AUDIENCE = 'download';
+
+/**
+ * Download entries safe to show on the storefront (no storage keys or URLs)
+ */
+function toPublicDownloads(downloads = []) {
+  return downloads.map((d) => ({ name: d.name, isPublic: !!d.isPublic, maxDownloads: d.maxDownloads }));
+}
+
+function findDownload(product, name) {
+  return (product?.downloads || []).find((d) => d.name === name) || null;
+}
+
+/**
+ * The user's most recent paid order containing the product, or null
+ */
+async function findPaidOrderWithProduct(userId, productId) {
+  if (!userId) return null;
+  return Order.findOne({
+    user: userId,
+    isPaid: true,
+    status: { $nin: ['cancelled', 'refunded'] },
+    'orderItems.product': productId,
+  }).sort({ createdAt: -1 }).select('_id').lean();
+}
+
+/**
+ * The customer's usage counter for a download, created from the download log the first time
+ * so links redeemed before counters existed still count
+ */
+async function ensureDownloadUsage(productId, name, userId) {
+  const key = { product: productId, name, user: userId };
+  const usage = await DownloadUsage.findOne(key).lean();
+  if (usage) return usage;
+  const count = await DownloadLog.countDocuments(key);
+  try {
+    return (await DownloadUsage.create({ ...key, count })).toObject();
+  } catch (err) {
+    // Another request created it first
+    if (err?.code === 11000) return DownloadUsage.findOne(key).lean();
+    throw err;
+  }
+}
+
+/**
+ * Count one redeemed link against maxDownloads, unless the limit is already reached.
+ * The check and the increment are a single update, so concurrent redeems cannot overshoot.
+ * @returns {Promise<boolean>} False when the limit is reached
+ */
+async function claimDownload(productId, download, userId) {
+  await ensureDownloadUsage(productId, download.name, userId);
+  const usage = await DownloadUsage.findOneAndUpdate(
+    { product: productId, name: download.name, user: userId, count: { $lt: download.maxDownloads } },
+    { $inc: { count: 1 } }
+  );
+  return !!usage;
+}
+
+/**
+ * Give back a claim whose download did not go through
+ */
+async function releaseDownload(productId, download, userId) {
+  await DownloadUsage.updateOne(
+    { product: productId, name: download.name, user: userId, count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+}
+
+/**
+ * Whether a user may fetch a download, and the order that entitles them
+ * @returns {Promise<{ok: boolean, error?: 'login_required'|'not_purchased'|'limit_reached', order?: Object, remaining?: number}>}
+ */
+async function checkDownloadAccess(product, download, user) {
+  let order;
+  if (!download.isPublic) {
+    if (!user) return { ok: false, error: 'login_required' };
+    order = await findPaidOrderWithProduct(user._id, product._id);
+    if (!order) return { ok: false, error: 'not_purchased' };
+  }
+
+  let remaining;
+  if (download.maxDownloads && user) {
+    const { count } = await ensureDownloadUsage(product._id, download.name, user._id);
+    remaining = download.maxDownloads - count;
+    if (remaining <= 0) return { ok: false, error: 'limit_reached', remaining: 0 };
+  }
+  return { ok: true, order, remaining };
+}
+
+/**
+ * Sign a one-time link token for a download
+ * @returns {{token: string, expiresAt: Date}}
+ */
+function signDownloadToken({ product, download, user, order }) {
+  const token = jwt.sign({
+    pid: product._id.toString(),
+    name: download.name,
+    uid: user?._id?.toString(),
+    oid: order?._id?.toString(),
+  }, env.JWT_SECRET, {
+    expiresIn: env.DOWNLOAD_LINK_EXPIRES_IN,
+    audience: DOWNLOAD_AUDIENCE,
+    jwtid: crypto.randomBytes(12).toString('hex'),
+    algorithm: 'HS256',
+  });
+  return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+}
+
+/**
+ * @returns {{productId: string, name: string, userId?: string, orderId?: string, tokenId: string} | null} Null when invalid or expired
+ */
+function verifyDownloadToken(token) {
+  try {
+    const payload = jwt.verify(token, env.JWT_SECRET, { algorithms: ['HS256'], audience: DOWNLOAD_AUDIENCE });
+    return { productId: payload.pid, name: payload.name, userId: payload.uid, orderId: payload.oid, tokenId: payload.jti };
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  toPublicDownloads,
+  findDownload,
+  checkDownloadAccess,
+  claimDownload,
+  releaseDownload,
+  signDownloadToken,
+  verifyDownloadToken,
+};
@@ -15,6 +15,13 @@ async function sendEmail(to, subject, html) {
   await transporter.sendMail({ from, to, subject, html });
 }
 
+// Customer-written text (questions, answers) is escaped before it goes into an email
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
 function verificationTemplate(name, link) {
   return `<p>Hi ${name},</p>
           <p>Please verify your email by clicking <a href="${link}">here</a>.</p>`;
@@ -34,10 +41,45 @@ function paymentConfirmationTemplate(orderId) {
   return `<p>Your payment for Order ${orderId} was successful.</p>`;
 }
 
+function questionApprovedTemplate(name, productName, link) {
+  return `<p>Hi ${escapeHtml(name)},</p>
+          <p>Your question about ${escapeHtml(productName)} is now published. We'll email you when it is answered.</p>
+          <p><a href="${link}">View the question</a></p>`;
+}
+
+function questionRejectedTemplate(name, productName, reason) {
+  return `<p>Hi ${escapeHtml(name)},</p>
+          <p>Your question about ${escapeHtml(productName)} was not published${reason ? `: ${escapeHtml(reason)}` : '.'}</p>
+          <p>You are welcome to contact us directly instead.</p>`;
+}
+
+function questionAnsweredTemplate(name, productName, answer, link) {
+  return `<p>Hi ${escapeHtml(name)},</p>
+          <p>Your question about ${escapeHtml(productName)} has a new answer:</p>
+          <blockquote>${escapeHtml(answer)}</blockquote>
+          <p><a href="${link}">View all answers</a></p>`;
+}
+
+/**
+ * @param {Array<{name: string, ratingLinks: string[]}>} products ratingLinks[i] rates the product i + 1 stars
+ */
+function reviewRequestTemplate(name, products, optOutLink) {
+  const rows = products.map((p) => `<p><strong>${escapeHtml(p.name)}</strong><br>
+          ${p.ratingLinks.map((link, i) => `<a href="${link}">${'★'.repeat(i + 1)}</a>`).join(' &nbsp; ')}</p>`).join('\n          ');
+  return `<p>Hi ${escapeHtml(name)},</p>
+          <p>How did we do? Tap a rating to review what you bought:</p>
+          ${rows}
+          <p style="font-size:12px">Don't want these emails? <a href="${optOutLink}">Stop review requests</a>.</p>`;
+}
+
 module.exports = {
   sendEmail,
   verificationTemplate,
   resetPasswordTemplate,
   orderConfirmationTemplate,
-  paymentConfirmationTemplate
+  paymentConfirmationTemplate,
+  questionApprovedTemplate,
+  questionRejectedTemplate,
+  questionAnsweredTemplate,
+  reviewRequestTemplate
 };
\ No newline at end of file
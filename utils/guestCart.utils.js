@@ -0,0 +1,97 @@
+/**
+ * Guest carts
+ * Anonymous visitors get a cart identified by a signed cookie. Signing in or registering
+ * merges it into the account's cart; unused guest carts expire after GUEST_CART_TTL_DAYS.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Cart = require('../models/cart.model');
+const Product = require('../models/product.model');
+const { addLinesToCart } = require('./cart.utils');
+const { env } = require('../config/env');
+
+const GUEST_CART_COOKIE = 'guestCart';
+// Keeps cart cookies from being accepted as session or order tokens and vice versa
+const GUEST_CART_AUDIENCE = 'guest-cart';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sent to /api/cart and /api/auth alike, so login can find the cart to merge
+const isProduction = env.NODE_ENV === 'production';
+const COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: isProduction,
+  sameSite: isProduction ? 'none' : 'strict',
+  path: '/',
+};
+
+function newGuestCartId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function guestCartExpiry(now = new Date()) {
+  return new Date(now.getTime() + env.GUEST_CART_TTL_DAYS * DAY_MS);
+}
+
+/**
+ * Point the visitor's cookie at a guest cart (again), renewing it for another TTL period
+ */
+function setGuestCartCookie(res, guestId) {
+  const token = jwt.sign({ gid: guestId }, env.JWT_SECRET, { audience: GUEST_CART_AUDIENCE, algorithm: 'HS256' });
+  res.cookie(GUEST_CART_COOKIE, token, { ...COOKIE_OPTIONS, maxAge: env.GUEST_CART_TTL_DAYS * DAY_MS });
+}
+
+function clearGuestCartCookie(res) {
+  res.clearCookie(GUEST_CART_COOKIE, COOKIE_OPTIONS);
+}
+
+/**
+ * @returns {string | null} The guest cart id from a validly signed cookie
+ */
+function readGuestCartId(req) {
+  const token = req.cookies?.[GUEST_CART_COOKIE];
+  if (!token) return null;
+  try {
+    return jwt.verify(token, env.JWT_SECRET, { algorithms: ['HS256'], audience: GUEST_CART_AUDIENCE }).gid || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Move the visitor's guest cart into the user's cart: quantities of lines in both are added up,
+ * then reduced to what stock and per-product limits allow. Clears the cookie.
+ * @returns {Promise<Array<Object> | null>} addLinesToCart's report per line, or null without a guest cart
+ */
+async function mergeGuestCart(req, res, userId) {
+  const guestId = readGuestCartId(req);
+  if (!guestId) return null;
+  clearGuestCartCookie(res);
+
+  const guestCart = await Cart.findOne({ guestId }).lean();
+  if (!guestCart) return null;
+  if (!guestCart.items.length) {
+    await Cart.deleteOne({ _id: guestCart._id });
+    return null;
+  }
+
+  const products = await Product.find({ _id: { $in: guestCart.items.map((i) => i.product) } }).lean();
+  const cart = (await Cart.findOne({ user: userId })) || new Cart({ user: userId, items: [] });
+  const report = addLinesToCart(
+    cart,
+    guestCart.items.map((i) => ({ product: i.product, variant: i.variant, qty: i.quantity })),
+    products
+  );
+  await cart.save();
+  await Cart.deleteOne({ _id: guestCart._id });
+  return report;
+}
+
+module.exports = {
+  newGuestCartId,
+  guestCartExpiry,
+  setGuestCartCookie,
+  clearGuestCartCookie,
+  readGuestCartId,
+  mergeGuestCart,
+};
@@ -0,0 +1,79 @@
+/**
+ * Stock reservation per product or product variant
+ * Products with variants keep stock per variant and their own countInStock as the total,
+ * so every change moves both counters in the same update.
+ */
+
+const Product = require('../models/product.model');
+
+/**
+ * Variant of a product by id (works on documents and lean objects)
+ */
+function findVariant(product, variantId) {
+  if (!variantId) return null;
+  return (product?.variants || []).find((v) => v._id.toString() === String(variantId)) || null;
+}
+
+/**
+ * Human readable label of a variant in option order, e.g. "5L / Red"
+ */
+function variantLabel(product, variant) {
+  const options = variant?.options instanceof Map
+    ? variant.options
+    : new Map(Object.entries(variant?.options || {}));
+  return (product?.variantOptions || []).map((o) => options.get(o.name)).filter(Boolean).join(' / ');
+}
+
+/**
+ * Units that can be sold of a product line (the variant's stock for variant products)
+ */
+function availableStock(product, variantId) {
+  if (!product?.variants?.length) return Math.max(0, Number(product?.countInStock) || 0);
+  const variant = findVariant(product, variantId);
+  if (!variant || variant.enabled === false) return 0;
+  return Math.max(0, Number(variant.countInStock) || 0);
+}
+
+/**
+ * Atomically take `qty` units of a purchasable product or variant.
+ * Products with variants can only be reserved through a variant.
+ * @param {{productId: string, variantId?: string, qty: number}} line
+ * @param {Object} options
+ * @param {Object} options.session - Mongo session when running in a transaction
+ * @returns {Promise<boolean>} Whether the stock was reserved
+ */
+async function reserveStock({ productId, variantId, qty }, { session } = {}) {
+  const filter = { _id: productId, enabled: true, isDeleted: { $ne: true } };
+  const update = { $inc: { countInStock: -qty } };
+  if (variantId) {
+    filter.variants = { $elemMatch: { _id: variantId, enabled: { $ne: false }, countInStock: { $gte: qty } } };
+    update.$inc['variants.$.countInStock'] = -qty;
+  } else {
+    filter.countInStock = { $gte: qty };
+    filter['variants.0'] = { $exists: false };
+  }
+  const result = await Product.updateOne(filter, update, session ? { session } : undefined);
+  return (result?.modifiedCount ?? result?.nModified ?? 0) > 0;
+}
+
+/**
+ * Put `qty` units back on a product or variant
+ * @param {{productId: string, variantId?: string, qty: number}} line
+ */
+async function releaseStock({ productId, variantId, qty }) {
+  if (!variantId) {
+    return Product.updateOne({ _id: productId }, { $inc: { countInStock: qty } });
+  }
+  return Product.updateOne(
+    { _id: productId, 'variants._id': variantId },
+    { $inc: { countInStock: qty, 'variants.$.countInStock': qty } }
+  );
+}
+
+module.exports = {
+  findVariant,
+  variantLabel,
+  availableStock,
+  reserveStock,
+  releaseStock,
+};
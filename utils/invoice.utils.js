@@ -0,0 +1,250 @@
+/**
+ * Invoices and credit notes
+ * Gap-free yearly document numbers and PDF rendering
+ */
+
+const PDFDocument = require('pdfkit');
+const Order = require('../models/order.model');
+const Counter = require('../models/counter.model');
+const { calculateTax } = require('./shipping.utils');
+const { env } = require('../config/env');
+
+function formatDocumentNumber(prefix, year, seq) {
+  return `${prefix}-${year}-${String(seq).padStart(6, '0')}`;
+}
+
+/**
+ * Give a paid order its invoice number (once). The order is numbered with a conditional
+ * update so concurrent webhook deliveries cannot both take a number; the loser hands its
+ * number back to keep the sequence gap-free.
+ * @param {Object} order - Order document
+ * @param {Date} date - Invoice date (picks the yearly sequence)
+ * @returns {Promise<string>} The order's invoice number
+ */
+async function assignInvoiceNumber(order, date = new Date()) {
+  if (order.invoiceNumber) return order.invoiceNumber;
+
+  const year = date.getUTCFullYear();
+  const sequence = `invoice:${year}`;
+  const seq = await Counter.next(sequence);
+  const invoiceNumber = formatDocumentNumber('INV', year, seq);
+
+  const result = await Order.updateOne(
+    { _id: order._id, invoiceNumber: null },
+    { $set: { invoiceNumber, invoicedAt: date } }
+  );
+  if (!(result?.modifiedCount ?? 0)) {
+    await Counter.release(sequence, seq);
+    const current = await Order.findById(order._id).select('invoiceNumber invoicedAt').lean();
+    order.invoiceNumber = current?.invoiceNumber;
+    order.invoicedAt = current?.invoicedAt;
+    return order.invoiceNumber;
+  }
+
+  order.invoiceNumber = invoiceNumber;
+  order.invoicedAt = date;
+  return invoiceNumber;
+}
+
+/**
+ * Number every refund of an order that has no credit note yet, oldest first.
+ * Safe to call repeatedly; call after the refunds have been saved.
+ * @returns {Promise<number>} Credit notes issued
+ */
+async function issueCreditNotes(order) {
+  let issued = 0;
+  const pending = (order.refunds || [])
+    .filter((r) => !r.creditNoteNumber)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  for (const refund of pending) {
+    const date = refund.date ? new Date(refund.date) : new Date();
+    const year = date.getUTCFullYear();
+    const sequence = `credit-note:${year}`;
+    const seq = await Counter.next(sequence);
+    const creditNoteNumber = formatDocumentNumber('CN', year, seq);
+
+    const result = await Order.updateOne(
+      { _id: order._id, refunds: { $elemMatch: { _id: refund._id, creditNoteNumber: null } } },
+      { $set: { 'refunds.$.creditNoteNumber': creditNoteNumber } }
+    );
+    if (!(result?.modifiedCount ?? 0)) {
+      await Counter.release(sequence, seq);
+      continue;
+    }
+    refund.creditNoteNumber = creditNoteNumber;
+    issued++;
+  }
+  return issued;
+}
+
+function money(value, currency) {
+  return `${(Number(value) || 0).toFixed(2)} ${currency}`;
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : '';
+}
+
+function billingName(order) {
+  return order.user?.name || order.guestEmail || '';
+}
+
+function renderHeader(doc, title, number, date, order) {
+  doc.fontSize(20).text(env.INVOICE_SELLER_NAME, { continued: false });
+  doc.fontSize(9);
+  if (env.INVOICE_SELLER_ADDRESS) doc.text(env.INVOICE_SELLER_ADDRESS);
+  if (env.INVOICE_VAT_NUMBER) doc.text(`VAT No: ${env.INVOICE_VAT_NUMBER}`);
+  doc.moveDown();
+
+  doc.fontSize(16).text(title);
+  doc.fontSize(10)
+    .text(`Number: ${number}`)
+    .text(`Date: ${formatDate(date)}`)
+    .text(`Order: ${order.orderNumber || order._id}`);
+  doc.moveDown();
+
+  const address = order.shipping?.address || {};
+  doc.text('Bill to:');
+  doc.text(billingName(order));
+  [address.line1, address.line2, [address.postalCode, address.city].filter(Boolean).join(' '), address.country]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line));
+  doc.moveDown();
+}
+
+function renderLines(doc, lines, currency) {
+  const top = doc.y;
+  doc.font('Helvetica-Bold')
+    .text('Item', 50, top, { width: 250 })
+    .text('Qty', 300, top, { width: 50, align: 'right' })
+    .text('Unit price', 350, top, { width: 90, align: 'right' })
+    .text('Amount', 440, top, { width: 100, align: 'right' });
+  doc.font('Helvetica');
+  doc.moveDown(0.5);
+
+  lines.forEach((line) => {
+    const y = doc.y;
+    doc.text(line.variantName ? `${line.name} (${line.variantName})` : line.name, 50, y, { width: 250 })
+      .text(String(line.qty), 300, y, { width: 50, align: 'right' })
+      .text(money(line.price, currency), 350, y, { width: 90, align: 'right' })
+      .text(money(line.price * line.qty, currency), 440, y, { width: 100, align: 'right' });
+    doc.moveDown(0.3);
+  });
+  doc.moveDown();
+}
+
+function renderTotals(doc, rows, currency) {
+  rows.forEach(([label, value, bold]) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+      .text(label, 300, y, { width: 140, align: 'right' })
+      .text(money(value, currency), 440, y, { width: 100, align: 'right' });
+    doc.moveDown(0.3);
+  });
+  doc.font('Helvetica');
+}
+
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+/**
+ * Render the invoice of a numbered order
+ * @param {Object} order - Order (user populated with name for the billing block)
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function renderInvoicePdf(order) {
+  const currency = (order.payment?.currency || 'usd').toUpperCase();
+  const tax = calculateTax({ countryCode: order.shipping?.address?.country || 'UG', subtotal: order.itemsPrice });
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+  renderHeader(doc, 'Invoice', order.invoiceNumber, order.invoicedAt || order.paidAt, order);
+  renderLines(doc, order.orderItems || [], currency);
+  renderTotals(doc, [
+    ['Subtotal', order.itemsPrice],
+    ...(order.discountAmount ? [['Discount', -order.discountAmount]] : []),
+    ['Shipping', order.shippingPrice],
+    [`VAT ${tax.ratePercent} on ${money(order.itemsPrice, currency)}`, order.taxPrice],
+    ['Total', order.totalPrice, true],
+  ], currency);
+
+  return toBuffer(doc);
+}
+
+/**
+ * Render the credit note for one refund of an order
+ * @param {Object} order - Order (user populated with name for the billing block)
+ * @param {Object} refund - Entry of order.refunds with a creditNoteNumber
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function renderCreditNotePdf(order, refund) {
+  const currency = (order.payment?.currency || 'usd').toUpperCase();
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+  renderHeader(doc, 'Credit note', refund.creditNoteNumber, refund.date, order);
+  if (order.invoiceNumber) doc.text(`Credits invoice ${order.invoiceNumber}`).moveDown();
+
+  const lines = (refund.lines || []).map((l) => {
+    const item = (order.orderItems || []).find((it) => it.product.toString() === l.product.toString()
+      && String(it.variant || '') === String(l.variant || ''));
+    return { name: item?.name || 'Item', variantName: item?.variantName, qty: l.qty, price: item?.price || 0 };
+  });
+  if (lines.length) renderLines(doc, lines, currency);
+  if (refund.reason) doc.text(`Reason: ${refund.reason}`).moveDown();
+
+  // Refund amounts are stored in the smallest currency unit
+  const amount = (Number(refund.amount) || 0) / 100;
+  const tax = calculateTax({ countryCode: order.shipping?.address?.country || 'UG', subtotal: 1 });
+  const vat = tax.rate ? Number((amount - amount / (1 + tax.rate)).toFixed(2)) : 0;
+  renderTotals(doc, [
+    [`Of which VAT ${tax.ratePercent}`, vat],
+    ['Total credited', amount, true],
+  ], currency);
+
+  return toBuffer(doc);
+}
+
+/**
+ * Invoice PDF for an order, if it has been invoiced (paid)
+ * @returns {Promise<{ok: boolean, error?: string, filename?: string, pdf?: Buffer}>}
+ */
+async function buildInvoiceDocument(order) {
+  if (!order.invoiceNumber) return { ok: false, error: 'not_invoiced' };
+  return { ok: true, filename: `${order.invoiceNumber}.pdf`, pdf: await renderInvoicePdf(order) };
+}
+
+/**
+ * Credit note PDF for one refund, numbering it first if that has not happened yet
+ * @returns {Promise<{ok: boolean, error?: string, filename?: string, pdf?: Buffer}>}
+ */
+async function buildCreditNoteDocument(order, refundId) {
+  const refund = (order.refunds || []).find((r) => r._id.toString() === String(refundId));
+  if (!refund) return { ok: false, error: 'not_found' };
+  if (!refund.creditNoteNumber) await issueCreditNotes(order);
+  if (!refund.creditNoteNumber) {
+    const current = await Order.findById(order._id).select('refunds').lean();
+    refund.creditNoteNumber = current?.refunds?.find((r) => r._id.toString() === String(refundId))?.creditNoteNumber;
+  }
+  return {
+    ok: true,
+    filename: `${refund.creditNoteNumber}.pdf`,
+    pdf: await renderCreditNotePdf(order, refund),
+  };
+}
+
+module.exports = {
+  formatDocumentNumber,
+  assignInvoiceNumber,
+  issueCreditNotes,
+  renderInvoicePdf,
+  renderCreditNotePdf,
+  buildInvoiceDocument,
+  buildCreditNoteDocument,
+};
@@ -0,0 +1,329 @@
+/**
+ * Order lifecycle helpers shared by customer, admin and background flows
+ */
+
+const Order = require('../models/order.model');
+const Coupon = require('../models/coupon.model');
+const { cancelPaymentIntent, createRefund } = require('./payment.utils');
+const { issueCreditNotes } = require('./invoice.utils');
+const { releaseStock } = require('./inventory.utils');
+const {
+  ORDER_TRANSITIONS,
+  SYSTEM_ACTOR,
+  canTransitionStatus,
+  applyOrderTransition,
+} = require('./orderStatus.utils');
+
+// Orders that have not entered fulfilment yet
+const CANCELLABLE_STATUSES = Object.keys(ORDER_TRANSITIONS).filter((s) => canTransitionStatus(s, 'cancelled'));
+// An expired order whose payment could not be voided waits this long before the next attempt
+const EXPIRY_RETRY_MS = 30 * 60 * 1000;
+// A refund claim older than this is assumed to have died and can be taken over
+const REFUND_LOCK_MS = 2 * 60 * 1000;
+
+/**
+ * Put the quantities reserved by addOrderItems back on each product or variant
+ */
+async function restockOrderItems(order) {
+  await Promise.all(
+    (order.orderItems || []).map((it) =>
+      releaseStock({ productId: it.product, variantId: it.variant, qty: it.qty })
+    )
+  );
+}
+
+function isAlreadyCancelledIntent(err) {
+  return err?.code === 'payment_intent_unexpected_state' && err?.raw?.payment_intent?.status === 'canceled';
+}
+
+/**
+ * Cancel an order: void or refund its payment, restore stock and release coupon usage.
+ * @param {Object} order - Order document
+ * @param {Object} options
+ * @param {string} options.reason - Stored on the order as cancellationReason
+ * @param {string} options.message - Timeline message
+ * @param {Object} options.actor - Timeline actor (defaults to the system)
+ * @returns {Promise<{cancelled: boolean, order?: Object, refund?: Object, error?: string}>}
+ */
+async function cancelOrder(order, { reason, message = 'Order cancelled', actor = SYSTEM_ACTOR } = {}) {
+  const previousStatus = order.status;
+  if (!canTransitionStatus(previousStatus, 'cancelled')) {
+    return { cancelled: false, error: 'not_cancellable' };
+  }
+
+  // Claim the order first so concurrent cancellations only restock once.
+  const cancelledAt = new Date();
+  const claim = await Order.updateOne(
+    { _id: order._id, status: previousStatus },
+    { $set: { status: 'cancelled', cancelledAt } }
+  );
+  if (!(claim?.modifiedCount ?? 0)) {
+    return { cancelled: false, error: 'not_cancellable' };
+  }
+
+  let refund = null;
+  const intentId = order.payment?.intentId;
+  try {
+    if (order.isPaid && intentId) {
+      refund = await createRefund(intentId, undefined, { orderId: order.id, reference: 'cancel' });
+    } else if (intentId) {
+      await cancelPaymentIntent(intentId);
+    }
+  } catch (err) {
+    if (!isAlreadyCancelledIntent(err)) {
+      // Release the claim so the order keeps its reservation and can be retried.
+      await Order.updateOne(
+        { _id: order._id, status: 'cancelled' },
+        { $set: { status: previousStatus }, $unset: { cancelledAt: 1 } }
+      );
+      return { cancelled: false, error: 'payment_void_failed', message: err.message };
+    }
+  }
+
+  await restockOrderItems(order);
+  if (order.coupon) {
+    await Coupon.releaseUsage(order.coupon, order._id);
+  }
+
+  order.status = 'cancelled';
+  order.cancelledAt = cancelledAt;
+  order.cancellationReason = reason || undefined;
+  order.payment = order.payment || {};
+  if (refund) {
+    recordRefund(order, {
+      stripeRefundId: refund.id,
+      amount: refund.amount,
+      reason: reason || 'Order cancelled',
+      source: 'cancellation',
+      actor,
+    });
+  } else if (order.payment.status !== 'paid') {
+    order.payment.status = 'cancelled';
+  }
+  order.addTimelineEvent('cancelled', message, undefined, actor);
+  await order.save();
+  if (refund) await issueCreditNotes(order);
+
+  return { cancelled: true, order, refund };
+}
+
+/**
+ * Query for pending orders whose payment never completed
+ * @param {Date} createdBefore - Only orders created at or before this time
+ */
+function unpaidPendingOrderQuery(createdBefore) {
+  const query = {
+    status: 'pending',
+    isPaid: { $ne: true },
+    'payment.status': { $ne: 'paid' },
+  };
+  if (createdBefore) query.createdAt = { $lte: createdBefore };
+  return query;
+}
+
+/**
+ * When an unpaid order created at `createdAt` stops holding its stock
+ */
+function getOrderExpiry(createdAt, ttlMinutes) {
+  return new Date(new Date(createdAt).getTime() + ttlMinutes * 60 * 1000);
+}
+
+/**
+ * Cancel unpaid pending orders older than the payment TTL, releasing their stock and coupons.
+ * Orders whose PaymentIntent cannot be voided are skipped and left out of sweeps for
+ * EXPIRY_RETRY_MS, so a backlog of failures cannot hold up orders behind it.
+ * @param {Object} options
+ * @param {number} options.ttlMinutes - Payment window for new orders
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @param {number} options.limit - Max orders handled per sweep
+ * @returns {Promise<{expired: number, skipped: number}>}
+ */
+async function expireUnpaidOrders({ ttlMinutes, now = new Date(), limit = 100 }) {
+  const cutoff = new Date(now.getTime() - ttlMinutes * 60 * 1000);
+  const orders = await Order.find({
+    ...unpaidPendingOrderQuery(cutoff),
+    $or: [{ expiryAttemptedAt: null }, { expiryAttemptedAt: { $lte: new Date(now.getTime() - EXPIRY_RETRY_MS) } }],
+  })
+    .sort({ expiryAttemptedAt: 1, createdAt: 1 })
+    .limit(limit);
+
+  let expired = 0;
+  let skipped = 0;
+  for (const order of orders) {
+    const result = await cancelOrder(order, {
+      reason: 'Payment not completed in time',
+      message: `Expired: payment not completed within ${ttlMinutes} minutes`,
+    });
+    if (result.cancelled) {
+      expired++;
+    } else {
+      skipped++;
+      if (result.error === 'payment_void_failed') {
+        await Order.updateOne({ _id: order._id }, { $set: { expiryAttemptedAt: now } });
+      }
+    }
+  }
+  return { expired, skipped };
+}
+
+/**
+ * Key identifying an order line: the product, plus the variant for variant products
+ */
+function orderLineKey(product, variant) {
+  return variant ? `${product}:${variant}` : String(product);
+}
+
+/**
+ * Order line matching a product (and variant)
+ */
+function findOrderItem(order, productId, variantId) {
+  const key = orderLineKey(productId, variantId);
+  return (order.orderItems || []).find((it) => orderLineKey(it.product, it.variant) === key);
+}
+
+/**
+ * Normalize `{ productId, variantId, qty }` lines from a request body, merging duplicate lines
+ * @returns {Array<{productId: string, variantId?: string, qty: number}>}
+ */
+function mergeItemLines(items) {
+  const merged = new Map();
+  (Array.isArray(items) ? items : []).forEach((it) => {
+    const productId = String(it.productId || it.product || '');
+    const variantId = it.variantId || it.variant ? String(it.variantId || it.variant) : undefined;
+    const qty = Number(it.qty ?? it.quantity ?? 0);
+    if (!productId || !Number.isInteger(qty) || qty <= 0) return;
+    const key = orderLineKey(productId, variantId);
+    const line = merged.get(key) || { productId, variantId, qty: 0 };
+    line.qty += qty;
+    merged.set(key, line);
+  });
+  return [...merged.values()];
+}
+
+/**
+ * Amount actually charged for an order, in the smallest currency unit
+ */
+function getRefundableTotal(order) {
+  const charged = Number(order.payment?.amount);
+  return Number.isFinite(charged) && charged > 0
+    ? charged
+    : Math.round((Number(order.totalPrice) || 0) * 100);
+}
+
+/**
+ * Amount already refunded on an order, in the smallest currency unit
+ */
+function getRefundedAmount(order) {
+  return (order.refunds || []).reduce((sum, r) => sum + (Number(r.amount) || 0), 0);
+}
+
+/**
+ * Quantities per order line (see orderLineKey) already refunded line by line
+ * @returns {Map<string, number>}
+ */
+function getRefundedQuantities(order) {
+  const refunded = new Map();
+  (order.refunds || []).forEach((r) => (r.lines || []).forEach((l) => {
+    const key = orderLineKey(l.product, l.variant);
+    refunded.set(key, (refunded.get(key) || 0) + l.qty);
+  }));
+  return refunded;
+}
+
+/**
+ * Refundable amount (smallest currency unit) for giving back some order lines.
+ * Tax and discount are prorated by line value; covering every remaining item refunds
+ * whatever is left of the order total, shipping included.
+ * @param {Object} order - Order document
+ * @param {Array<{price: number, qty: number}>} lines - Lines being refunded
+ * @param {Object} options
+ * @param {boolean} options.coversRemainingItems - Lines are everything not yet refunded
+ */
+function calculateLineRefund(order, lines, { coversRemainingItems = false } = {}) {
+  const remaining = Math.max(0, getRefundableTotal(order) - getRefundedAmount(order));
+  if (coversRemainingItems) return remaining;
+
+  const linesValue = lines.reduce((sum, l) => sum + (Number(l.price) || 0) * (Number(l.qty) || 0), 0);
+  const itemsPrice = Number(order.itemsPrice) || 0;
+  const ratio = itemsPrice > 0 ? Math.min(1, linesValue / itemsPrice) : 0;
+  const amount = linesValue
+    + (Number(order.taxPrice) || 0) * ratio
+    - (Number(order.discountAmount) || 0) * ratio;
+  return Math.min(remaining, Math.max(0, Math.round(amount * 100)));
+}
+
+/**
+ * Claim an order for issuing a refund, so concurrent refunds cannot both pass the
+ * amount-left check before either is recorded. Release it with releaseOrderRefund.
+ * @returns {Promise<Object|null>} The claimed order, or null when missing or already claimed
+ */
+function claimOrderForRefund(orderId) {
+  return Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      $or: [{ refundLockedAt: null }, { refundLockedAt: { $lte: new Date(Date.now() - REFUND_LOCK_MS) } }],
+    },
+    { $set: { refundLockedAt: new Date() } },
+    { new: true }
+  );
+}
+
+function releaseOrderRefund(orderId) {
+  return Order.updateOne({ _id: orderId }, { $unset: { refundLockedAt: 1 } });
+}
+
+/**
+ * Append a refund to the order history (once per Stripe refund id). Once the whole
+ * charged amount is refunded the payment is settled as refunded and, where the state
+ * machine allows it, the order becomes `refunded`. Caller saves the order.
+ * @returns {boolean} Whether the refund was new
+ */
+function recordRefund(order, { stripeRefundId, amount, reason, source, lines, returnRequest, createdBy, actor = SYSTEM_ACTOR }) {
+  if (stripeRefundId && (order.refunds || []).some((r) => r.stripeRefundId === stripeRefundId)) {
+    return false;
+  }
+  order.refunds.push({ stripeRefundId, amount, reason, source, lines, returnRequest, createdBy, date: new Date() });
+
+  if (getRefundedAmount(order) >= getRefundableTotal(order)) {
+    order.payment = order.payment || {};
+    order.payment.status = 'refunded';
+    order.isPaid = false;
+    if (canTransitionStatus(order.status, 'refunded')) {
+      applyOrderTransition(order, { status: 'refunded', actor, message: 'Order fully refunded' });
+    }
+  }
+  return true;
+}
+
+/**
+ * The user's latest paid order containing the product (proof of purchase for reviews and answers)
+ * @returns {Promise<{_id: import('mongoose').Types.ObjectId} | null>}
+ */
+function findProductPurchase(userId, productId) {
+  return Order.findOne({
+    user: userId,
+    'orderItems.product': productId,
+    isPaid: true,
+    status: { $in: ['confirmed', 'processing', 'shipped', 'delivered'] },
+  }).sort('-createdAt').select('_id').lean();
+}
+
+module.exports = {
+  CANCELLABLE_STATUSES,
+  restockOrderItems,
+  cancelOrder,
+  unpaidPendingOrderQuery,
+  getOrderExpiry,
+  expireUnpaidOrders,
+  orderLineKey,
+  findOrderItem,
+  mergeItemLines,
+  getRefundableTotal,
+  getRefundedAmount,
+  getRefundedQuantities,
+  calculateLineRefund,
+  claimOrderForRefund,
+  releaseOrderRefund,
+  recordRefund,
+  findProductPurchase,
+};
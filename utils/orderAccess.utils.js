@@ -0,0 +1,61 @@
+/**
+ * Guest order access
+ * Signed tokens that let a guest view and pay for one order, and claiming guest
+ * orders into an account once its email address is verified
+ */
+
+const jwt = require('jsonwebtoken');
+const Order = require('../models/order.model');
+const { env } = require('../config/env');
+
+// Keeps order tokens from being accepted as session tokens and vice versa
+const ORDER_ACCESS_AUDIENCE = 'order-access';
+
+/**
+ * Sign a token granting access to a single guest order
+ * @param {Object} order - Order with guestEmail
+ */
+function signOrderAccessToken(order) {
+  return jwt.sign({ oid: order._id.toString(), email: order.guestEmail }, env.JWT_SECRET, {
+    expiresIn: env.ORDER_ACCESS_TOKEN_EXPIRES_IN,
+    audience: ORDER_ACCESS_AUDIENCE,
+    algorithm: 'HS256',
+  });
+}
+
+/**
+ * @returns {{orderId: string, email: string} | null} Null when invalid or expired
+ */
+function verifyOrderAccessToken(token) {
+  try {
+    const payload = jwt.verify(token, env.JWT_SECRET, { algorithms: ['HS256'], audience: ORDER_ACCESS_AUDIENCE });
+    return { orderId: payload.oid, email: payload.email };
+  } catch {
+    return null;
+  }
+}
+
+// Guest orders placed with an address that nobody has claimed yet
+function unclaimedGuestOrderQuery(email) {
+  return { guestEmail: String(email || '').toLowerCase(), user: null };
+}
+
+/**
+ * Attach unclaimed guest orders placed with the user's email to the account.
+ * Only call once the user has proven they own the address.
+ * @returns {Promise<number>} Orders claimed
+ */
+async function claimGuestOrders(user) {
+  if (!user?.email) return 0;
+  const result = await Order.updateMany(unclaimedGuestOrderQuery(user.email), {
+    $set: { user: user._id, claimedAt: new Date() },
+  });
+  return result?.modifiedCount ?? 0;
+}
+
+module.exports = {
+  signOrderAccessToken,
+  verifyOrderAccessToken,
+  unclaimedGuestOrderQuery,
+  claimGuestOrders,
+};
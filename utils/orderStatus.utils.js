@@ -0,0 +1,141 @@
+/**
+ * Order status state machine
+ * Single source of truth for which `status` and `shipping.status` moves are allowed
+ */
+
+// Allowed order status moves. `cancelled` and `refunded` are terminal.
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled', 'refunded'],
+  processing: ['shipped', 'refunded'],
+  shipped: ['delivered', 'returned', 'refunded'],
+  delivered: ['returned', 'refunded'],
+  returned: ['refunded'],
+  cancelled: [],
+  refunded: [],
+};
+
+// Allowed shipping status moves
+const SHIPPING_TRANSITIONS = {
+  pending: ['processing', 'shipped', 'failed'],
+  processing: ['shipped', 'failed'],
+  shipped: ['in-transit', 'out-for-delivery', 'delivered', 'returned', 'failed'],
+  'in-transit': ['out-for-delivery', 'delivered', 'returned', 'failed'],
+  'out-for-delivery': ['in-transit', 'delivered', 'returned', 'failed'],
+  delivered: ['returned'],
+  failed: ['processing', 'shipped', 'returned'],
+  returned: [],
+};
+
+// Shipping statuses that can coexist with each order status (null: any)
+const SHIPPING_FOR_ORDER_STATUS = {
+  pending: ['pending'],
+  confirmed: ['pending'],
+  processing: ['pending', 'processing', 'failed'],
+  shipped: ['shipped', 'in-transit', 'out-for-delivery', 'failed'],
+  delivered: ['delivered'],
+  returned: ['delivered', 'returned', 'failed'],
+  cancelled: ['pending', 'processing', 'failed'],
+  refunded: null,
+};
+
+// Shipping status an order status change brings along when none is given explicitly
+const IMPLIED_SHIPPING_STATUS = {
+  shipped: 'shipped',
+  delivered: 'delivered',
+  returned: 'returned',
+};
+
+const SYSTEM_ACTOR = Object.freeze({ kind: 'system' });
+const STRIPE_ACTOR = Object.freeze({ kind: 'stripe' });
+
+function canTransitionStatus(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+function canTransitionShipping(from, to) {
+  return (SHIPPING_TRANSITIONS[from] || []).includes(to);
+}
+
+function isShippingConsistent(status, shippingStatus) {
+  const allowed = SHIPPING_FOR_ORDER_STATUS[status];
+  return allowed === null || (allowed || []).includes(shippingStatus);
+}
+
+/**
+ * Timeline actor for a request user
+ * @param {Object} user - req.user
+ */
+function actorFromUser(user) {
+  if (!user) return SYSTEM_ACTOR;
+  return { kind: user.role === 'admin' ? 'admin' : 'customer', user: user._id || user.id };
+}
+
+/**
+ * Move an order (and its shipment) to a new status if the state machine allows it,
+ * recording an actor-attributed timeline entry. Caller saves the order.
+ * @param {Object} order - Order document
+ * @param {Object} options
+ * @param {string} options.status - Target order status (defaults to the current one)
+ * @param {string} options.shippingStatus - Target shipping status (defaults to the one the new order status implies)
+ * @param {Object} options.actor - `{ kind, user }` responsible for the change
+ * @param {string} options.message - Timeline message
+ * @param {string} options.location - Timeline location
+ * @returns {{ok: boolean, changed?: boolean, error?: string, message?: string}}
+ */
+function applyOrderTransition(order, { status, shippingStatus, actor = SYSTEM_ACTOR, message, location } = {}) {
+  const from = order.status;
+  const to = status ?? from;
+  if (to !== from && !canTransitionStatus(from, to)) {
+    return { ok: false, error: 'invalid_transition', message: `Cannot move order from ${from} to ${to}` };
+  }
+
+  const fromShipping = order.shipping?.status || 'pending';
+  let toShipping = shippingStatus ?? fromShipping;
+  if (shippingStatus === undefined && to !== from && IMPLIED_SHIPPING_STATUS[to]) {
+    toShipping = IMPLIED_SHIPPING_STATUS[to];
+  }
+  // Implied moves go through the shipping state machine too (e.g. a failed shipment cannot be delivered)
+  if (toShipping !== fromShipping && !canTransitionShipping(fromShipping, toShipping)) {
+    return { ok: false, error: 'invalid_transition', message: `Cannot move shipping from ${fromShipping} to ${toShipping}` };
+  }
+  if (!isShippingConsistent(to, toShipping)) {
+    return {
+      ok: false,
+      error: 'invalid_transition',
+      message: `Shipping status ${toShipping} does not match order status ${to}`,
+    };
+  }
+
+  const now = new Date();
+  if (toShipping !== fromShipping) {
+    order.shipping = order.shipping || {};
+    order.shipping.status = toShipping;
+    if (toShipping === 'shipped' && !order.shipping.shippedAt) order.shipping.shippedAt = now;
+  }
+  if (to !== from) {
+    order.status = to;
+    if (to === 'delivered') {
+      order.isDelivered = true;
+      order.deliveredAt = order.deliveredAt || now;
+    }
+    order.addTimelineEvent(to, message || `Order ${to}`, location, actor);
+  } else if (toShipping !== fromShipping) {
+    order.addTimelineEvent(`shipping:${toShipping}`, message || `Shipment ${toShipping}`, location, actor);
+  }
+
+  return { ok: true, changed: to !== from || toShipping !== fromShipping };
+}
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  SHIPPING_TRANSITIONS,
+  SHIPPING_FOR_ORDER_STATUS,
+  SYSTEM_ACTOR,
+  STRIPE_ACTOR,
+  canTransitionStatus,
+  canTransitionShipping,
+  isShippingConsistent,
+  actorFromUser,
+  applyOrderTransition,
+};
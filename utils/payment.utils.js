@@ -15,4 +15,22 @@ async function createPaymentIntent(amount, currency = 'usd', metadata = {}) {
     { idempotencyKey: `pi:create:${metadata.orderId || 'order'}:${amount}:${currency}` }
   );
 }
-module.exports = { createPaymentIntent, getStripe };
\ No newline at end of file
+async function cancelPaymentIntent(intentId, reason = 'requested_by_customer') {
+  const s = getStripe();
+  return await s.paymentIntents.cancel(
+    intentId,
+    { cancellation_reason: reason },
+    { idempotencyKey: `pi:cancel:${intentId}` }
+  );
+}
+// amount in the smallest currency unit; omit for a full refund
+async function createRefund(intentId, amount, metadata = {}) {
+  const s = getStripe();
+  const params = { payment_intent: intentId, metadata };
+  if (amount) params.amount = amount;
+  return await s.refunds.create(
+    params,
+    { idempotencyKey: `re:create:${intentId}:${metadata.reference || 'order'}:${amount || 'full'}` }
+  );
+}
+module.exports = { createPaymentIntent, cancelPaymentIntent, createRefund, getStripe };
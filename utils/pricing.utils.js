@@ -0,0 +1,128 @@
+/**
+ * Effective selling price
+ * The one place sale prices are resolved, shared by listings, the cart, checkout quotes
+ * and order creation so customers are charged what they were shown.
+ */
+
+const { findVariant } = require('./inventory.utils');
+
+function round2(value) {
+  return Number((Number(value) || 0).toFixed(2));
+}
+
+function percentOf(price, percentOff) {
+  return round2(price * (1 - Math.min(Number(percentOff) || 0, 100) / 100));
+}
+
+/**
+ * Whether the product's sale window (promoStartsAt/promoEndsAt, both optional) is open
+ */
+function isPromoActive(product, now = new Date()) {
+  if (product?.promoStartsAt && now < new Date(product.promoStartsAt)) return false;
+  if (product?.promoEndsAt && now >= new Date(product.promoEndsAt)) return false;
+  return true;
+}
+
+/**
+ * Unit price a price list gives a product (variant) at a quantity, or null when it does not cover it.
+ * A variant entry beats a product entry; the highest quantity tier reached beats the entry;
+ * without an entry the list-wide percentOff applies. Absolute prices on product entries only
+ * apply to variants without their own price.
+ */
+function priceFromList(priceList, product, variant, qty, originalPrice) {
+  if (!priceList) return null;
+  const productId = product._id.toString();
+  const entries = (priceList.entries || []).filter((e) => e.product.toString() === productId);
+  const entry = (variant && entries.find((e) => e.variant?.toString() === variant._id.toString()))
+    || entries.find((e) => !e.variant);
+
+  if (!entry) {
+    return Number(priceList.percentOff) > 0 ? percentOf(originalPrice, priceList.percentOff) : null;
+  }
+
+  const tier = (entry.tiers || [])
+    .filter((t) => qty >= t.minQty && (t.price != null || Number(t.percentOff) > 0))
+    .sort((a, b) => b.minQty - a.minQty)[0];
+  const rule = tier || entry;
+  const absoluteApplies = rule.price != null && (!variant || entry.variant || variant.price == null);
+  if (absoluteApplies) return round2(rule.price);
+  if (Number(rule.percentOff) > 0) return percentOf(originalPrice, rule.percentOff);
+  return null;
+}
+
+/**
+ * Unit price of a product (or one of its variants) for a customer right now.
+ * While the sale window is open the lowest of the regular price, `promoPrice` and the
+ * `discountPercent` reduction applies. `promoPrice` is a price for the product itself,
+ * so variants priced on their own only get the percentage. A customer's price list
+ * (see PriceList.findForUser) wins when it is lower than that.
+ * @param {Object} product - Product with price, promoPrice, discountPercent and sale window
+ * @param {Object} variant - Chosen variant, if any
+ * @param {Object} options
+ * @param {Date} options.now - Moment to price at
+ * @param {Object} options.priceList - Price list of the customer, if any
+ * @param {number} options.qty - Line quantity, for quantity tiers
+ * @returns {{price: number, originalPrice: number, discount: number, onSale: boolean, saleEndsAt?: Date, priceList?: Object}}
+ */
+function resolvePrice(product, variant, { now = new Date(), priceList = null, qty = 1 } = {}) {
+  const originalPrice = round2(variant?.price ?? product?.price);
+  let price = originalPrice;
+  let saleEndsAt;
+
+  if (isPromoActive(product, now)) {
+    const promoPrice = Number(product.promoPrice);
+    if (variant?.price == null && promoPrice > 0) price = Math.min(price, promoPrice);
+    const percent = Number(product.discountPercent);
+    if (percent > 0) price = Math.min(price, percentOf(originalPrice, percent));
+    if (price < originalPrice && product.promoEndsAt) saleEndsAt = product.promoEndsAt;
+  }
+
+  let appliedList;
+  const listPrice = priceFromList(priceList, product, variant, qty, originalPrice);
+  if (listPrice != null && listPrice < price) {
+    price = listPrice;
+    saleEndsAt = undefined;
+    appliedList = { _id: priceList._id, name: priceList.name };
+  }
+
+  price = round2(price);
+  return {
+    price,
+    originalPrice,
+    discount: round2(originalPrice - price),
+    onSale: price < originalPrice,
+    saleEndsAt,
+    priceList: appliedList,
+  };
+}
+
+/**
+ * Product (lean) with `pricing` resolved for the product and each of its variants
+ * @param {Object} product - Lean product
+ * @param {Object} options - `{ now, priceList }` as for resolvePrice
+ */
+function withPricing(product, options = {}) {
+  if (!product) return product;
+  return {
+    ...product,
+    pricing: resolvePrice(product, null, options),
+    variants: (product.variants || []).map((v) => ({ ...v, pricing: resolvePrice(product, v, options) })),
+  };
+}
+
+/**
+ * Unit pricing of a cart or order line
+ * @param {Object} product - Product of the line
+ * @param {string} variantId - Chosen variant, if any
+ * @param {Object} options - `{ now, priceList, qty }` as for resolvePrice
+ */
+function resolveLinePrice(product, variantId, options = {}) {
+  return resolvePrice(product, findVariant(product, variantId), options);
+}
+
+module.exports = {
+  isPromoActive,
+  resolvePrice,
+  resolveLinePrice,
+  withPricing,
+};
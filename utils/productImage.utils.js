@@ -0,0 +1,150 @@
+/**
+ * Product image pipeline
+ * Uploaded images are re-encoded with sharp: orientation is applied and all metadata (EXIF,
+ * GPS) dropped, and a display size, a thumbnail and WebP copies of both are stored under
+ * products/<productId>/ in the configured storage.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const Product = require('../models/product.model');
+const { getStorage, contentTypeFor } = require('../storage');
+
+const SIZES = { display: 1600, thumbnail: 400 };
+// Files younger than this may belong to an upload still in progress
+const ORPHAN_MIN_AGE_MS = 60 * 60 * 1000;
+
+function writeFile(key, buffer) {
+  return getStorage().put(key, buffer, { contentType: contentTypeFor(key) });
+}
+
+/**
+ * Delete stored files by key, ignoring ones already gone
+ * @param {string[]} keys
+ */
+async function removeImageFiles(keys = []) {
+  const storage = getStorage();
+  await Promise.all(keys.map((key) => storage.remove(key)));
+}
+
+/**
+ * Re-encode one uploaded image and store its variants
+ * @param {Buffer} buffer - Uploaded file
+ * @param {string} productId
+ * @returns {Promise<Object>} Asset for Product.imageAssets
+ * @throws {Error} with status 400 when the file is not a readable image
+ */
+async function storeProductImage(buffer, productId) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    const err = new Error('File is not a supported image');
+    err.status = 400;
+    throw err;
+  }
+
+  // Keep transparency as PNG; everything else becomes JPEG
+  const ext = metadata.hasAlpha ? 'png' : 'jpg';
+  const base = `products/${productId}/${crypto.randomBytes(8).toString('hex')}`;
+  const keys = {
+    display: `${base}.${ext}`,
+    displayWebp: `${base}.webp`,
+    thumbnail: `${base}-thumb.${ext}`,
+    thumbnailWebp: `${base}-thumb.webp`,
+  };
+
+  // rotate() bakes in the EXIF orientation; sharp writes no metadata unless asked to
+  const display = sharp(buffer).rotate().resize(SIZES.display, SIZES.display, { fit: 'inside', withoutEnlargement: true });
+  const thumbnail = sharp(buffer).rotate().resize(SIZES.thumbnail, SIZES.thumbnail, { fit: 'inside', withoutEnlargement: true });
+  const encode = (pipeline) => (ext === 'png' ? pipeline.clone().png() : pipeline.clone().jpeg({ quality: 85, mozjpeg: true }));
+
+  const [displayFile, displayWebp, thumbnailFile, thumbnailWebp] = await Promise.all([
+    encode(display).toBuffer({ resolveWithObject: true }),
+    display.clone().webp({ quality: 80 }).toBuffer(),
+    encode(thumbnail).toBuffer(),
+    thumbnail.clone().webp({ quality: 80 }).toBuffer(),
+  ]);
+
+  const files = Object.values(keys);
+  try {
+    await writeFile(keys.display, displayFile.data);
+    await writeFile(keys.displayWebp, displayWebp);
+    await writeFile(keys.thumbnail, thumbnailFile);
+    await writeFile(keys.thumbnailWebp, thumbnailWebp);
+  } catch (err) {
+    await removeImageFiles(files);
+    throw err;
+  }
+
+  const storage = getStorage();
+  return {
+    url: storage.url(keys.display),
+    webpUrl: storage.url(keys.displayWebp),
+    thumbnailUrl: storage.url(keys.thumbnail),
+    thumbnailWebpUrl: storage.url(keys.thumbnailWebp),
+    width: displayFile.info.width,
+    height: displayFile.info.height,
+    files,
+  };
+}
+
+/**
+ * Delete stored product images no product references any more (left behind by failed
+ * uploads or products removed outside the admin API)
+ * @param {Object} options
+ * @param {number} options.minAgeMs - Skip files newer than this
+ * @param {boolean} options.dryRun - Only report what would be removed
+ * @returns {Promise<string[]>} Removed (or removable) keys
+ */
+async function cleanupOrphanedProductImages({ minAgeMs = ORPHAN_MIN_AGE_MS, dryRun = false } = {}) {
+  const referenced = new Set();
+  const products = await Product.find({ 'imageAssets.0': { $exists: true } }).select('imageAssets.files').lean();
+  products.forEach((p) => p.imageAssets.forEach((a) => (a.files || []).forEach((key) => referenced.add(key))));
+
+  const files = await getStorage().list('products/');
+  const orphans = files
+    .filter((f) => !referenced.has(f.key) && Date.now() - new Date(f.lastModified).getTime() >= minAgeMs)
+    .map((f) => f.key);
+
+  if (!dryRun) await removeImageFiles(orphans);
+  return orphans;
+}
+
+/**
+ * Point image URLs of every product at another storage after its files were copied there
+ * @param {Object} from - Storage the URLs currently point at
+ * @param {Object} to - Storage the files now live in
+ * @returns {Promise<number>} Products updated
+ */
+async function rewriteProductImageUrls(from, to) {
+  let updated = 0;
+  const cursor = Product.find({ 'imageAssets.0': { $exists: true } }).cursor();
+  for await (const product of cursor) {
+    const urlMap = new Map();
+    product.imageAssets.forEach((a) => (a.files || []).forEach((key) => urlMap.set(from.url(key), to.url(key))));
+    const move = (url) => urlMap.get(url) || url;
+
+    product.images = product.images.map(move);
+    product.imageAssets.forEach((a) => {
+      ['url', 'webpUrl', 'thumbnailUrl', 'thumbnailWebpUrl'].forEach((field) => {
+        if (a[field]) a[field] = move(a[field]);
+      });
+    });
+    product.variants.forEach((v) => {
+      if (v.image) v.image = move(v.image);
+    });
+    if (product.isModified()) {
+      await product.save({ validateBeforeSave: false });
+      updated++;
+    }
+  }
+  return updated;
+}
+
+module.exports = {
+  storeProductImage,
+  removeImageFiles,
+  cleanupOrphanedProductImages,
+  rewriteProductImageUrls,
+};
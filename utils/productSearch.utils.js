@@ -0,0 +1,112 @@
+/**
+ * Storefront product search
+ * Full-text search on the product text index (name, description, tags) with filters and
+ * facet counts, computed in one aggregation so counts always match the result set.
+ */
+
+const Product = require('../models/product.model');
+const Category = require('../models/category.model');
+
+// Lower bounds of the price facet buckets; the last bucket is open-ended
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+const MAX_TAG_FACETS = 20;
+
+/**
+ * Match stage for storefront filters. Price filters use the regular product price.
+ * @param {Object} filters - `{ search, category, tags, minPrice, maxPrice, minRating, inStock, featured }`
+ */
+function buildProductMatch(filters = {}) {
+  const match = { enabled: true, isDeleted: { $ne: true } };
+  if (filters.search) match.$text = { $search: filters.search };
+  if (filters.category) match.category = filters.category;
+  if (filters.tags?.length) match.tags = { $in: filters.tags };
+  if (filters.minPrice != null || filters.maxPrice != null) {
+    match.price = {};
+    if (filters.minPrice != null) match.price.$gte = filters.minPrice;
+    if (filters.maxPrice != null) match.price.$lte = filters.maxPrice;
+  }
+  if (filters.minRating != null) match.ratingAvg = { $gte: filters.minRating };
+  if (filters.inStock === true) match.countInStock = { $gt: 0 };
+  if (filters.inStock === false) match.countInStock = { $lte: 0 };
+  if (filters.featured !== undefined) match.featured = filters.featured;
+  return match;
+}
+
+function toPriceFacets(buckets) {
+  return buckets.map((b) => {
+    const i = PRICE_BUCKETS.indexOf(b._id);
+    return { min: b._id, max: PRICE_BUCKETS[i + 1] ?? null, count: b.count };
+  });
+}
+
+/**
+ * One page of matching products with facet counts per category, tag and price bucket
+ * @param {Object} filters - See buildProductMatch
+ * @param {Object} options
+ * @param {number} options.page
+ * @param {number} options.limit
+ * @param {string} options.sort - Product field, or 'relevance' (text score, only when searching)
+ * @param {number} options.sortOrder - 1 or -1
+ * @returns {Promise<{total: number, products: Object[], facets: {categories: Object[], tags: Object[], prices: Object[]}}>}
+ */
+async function searchProducts(filters, { page = 1, limit = 12, sort = 'createdAt', sortOrder = -1 } = {}) {
+  const match = buildProductMatch(filters);
+  const byRelevance = Boolean(filters.search) && sort === 'relevance';
+  const sortStage = byRelevance
+    ? { score: -1, _id: 1 }
+    : { [sort === 'relevance' ? 'createdAt' : sort]: sortOrder, _id: 1 };
+
+  const productsPage = [{ $sort: sortStage }, { $skip: (page - 1) * limit }, { $limit: limit }];
+  const pipeline = [{ $match: match }];
+  if (filters.search) {
+    pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+    // The score only orders the page; it is not part of the product
+    productsPage.push({ $unset: 'score' });
+  }
+  pipeline.push({
+    $facet: {
+      products: productsPage,
+      total: [{ $count: 'count' }],
+      categories: [
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+      ],
+      tags: [
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: MAX_TAG_FACETS },
+      ],
+      prices: [
+        // Without this, products missing a price would land in the open-ended default bucket
+        { $match: { price: { $type: 'number' } } },
+        { $bucket: { groupBy: '$price', boundaries: PRICE_BUCKETS, default: PRICE_BUCKETS[PRICE_BUCKETS.length - 1] } },
+      ],
+    },
+  });
+
+  const [result] = await Product.aggregate(pipeline);
+  const products = await Product.populate(result.products, { path: 'category', select: 'name slug' });
+
+  const categoryIds = result.categories.map((c) => c._id);
+  const categories = await Category.find({ _id: { $in: categoryIds } }).select('name slug').lean();
+  const categoryById = new Map(categories.map((c) => [c._id.toString(), c]));
+
+  return {
+    total: result.total[0]?.count || 0,
+    products,
+    facets: {
+      categories: result.categories
+        .filter((c) => categoryById.has(String(c._id)))
+        .map((c) => ({ ...categoryById.get(c._id.toString()), count: c.count })),
+      tags: result.tags.map((t) => ({ tag: t._id, count: t.count })),
+      prices: toPriceFacets(result.prices),
+    },
+  };
+}
+
+module.exports = {
+  PRICE_BUCKETS,
+  buildProductMatch,
+  searchProducts,
+};
@@ -0,0 +1,297 @@
+/**
+ * Product catalog spreadsheets
+ * Import (upsert by sku, with a per-row error report) and export share one column layout,
+ * so an exported file can be edited and uploaded again. CSV and XLSX are both supported.
+ */
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const Product = require('../models/product.model');
+const Category = require('../models/category.model');
+const ImportJob = require('../models/importJob.model');
+const { invalidateSuggestIndex } = require('./suggest.utils');
+
+const COLUMNS = [
+  'sku', 'name', 'description', 'category', 'price', 'countInStock', 'tags', 'enabled', 'featured',
+  'discountPercent', 'promoPrice', 'promoStartsAt', 'promoEndsAt', 'minQty', 'maxQty', 'lowStockThreshold',
+];
+const NUMBER_COLUMNS = new Set(['price', 'discountPercent', 'promoPrice']);
+const INTEGER_COLUMNS = new Set(['countInStock', 'minQty', 'maxQty', 'lowStockThreshold']);
+const BOOLEAN_COLUMNS = new Set(['enabled', 'featured']);
+const DATE_COLUMNS = new Set(['promoStartsAt', 'promoEndsAt']);
+// Columns exported as text, which get a leading quote when they look like a formula
+const STRING_COLUMNS = new Set(['sku', 'name', 'description', 'category', 'tags']);
+
+const MAX_ROWS = 5000;
+const MAX_ROW_ERRORS = 1000;
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+function cellValue(value) {
+  if (value == null) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map((r) => r.text).join('');
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.text !== undefined) return String(value.text);
+    return '';
+  }
+  return typeof value === 'string' ? value.trim() : value;
+}
+
+// Undo the quote export puts in front of formula-like text
+function unescapeCell(column, value) {
+  if (STRING_COLUMNS.has(column) && typeof value === 'string' && /^'[=+\-@]/.test(value)) return value.slice(1);
+  return value;
+}
+
+/**
+ * Rows of the first worksheet as objects keyed by known column, with their spreadsheet row number
+ * @param {Buffer} buffer - Uploaded file
+ * @param {'csv'|'xlsx'} format
+ * @returns {Promise<Array<{row: number, values: Object}>>}
+ */
+async function readSpreadsheet(buffer, format) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = format === 'xlsx'
+    ? (await workbook.xlsx.load(buffer)).worksheets[0]
+    : await workbook.csv.read(Readable.from(buffer), { map: (v) => v });
+  if (!worksheet) throw new Error('The file has no worksheet');
+
+  const columnsByLower = new Map(COLUMNS.map((c) => [c.toLowerCase(), c]));
+  let headers = null;
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    const cells = row.values.slice(1).map(cellValue);
+    if (!headers) {
+      headers = cells.map((h) => columnsByLower.get(String(h).trim().toLowerCase()));
+      return;
+    }
+    const values = {};
+    headers.forEach((column, i) => {
+      if (column && cells[i] !== '' && cells[i] !== undefined) values[column] = unescapeCell(column, cells[i]);
+    });
+    if (Object.keys(values).length) rows.push({ row: rowNumber, values });
+  });
+
+  if (!headers?.includes('sku')) throw new Error('The header row must include a sku column');
+  if (rows.length > MAX_ROWS) throw new Error(`Files are limited to ${MAX_ROWS} rows`);
+  return rows;
+}
+
+function parseBoolean(value) {
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', '1', 'y'].includes(text)) return true;
+  if (['false', 'no', '0', 'n'].includes(text)) return false;
+  return undefined;
+}
+
+/**
+ * Product fields of one row; blank cells are left out so updates keep the current value
+ * @param {Object} values - Row values keyed by column
+ * @param {Map<string, Object>} categoriesBySlug
+ * @returns {{fields: Object, errors: Array<{field: string, message: string}>}}
+ */
+function rowToFields(values, categoriesBySlug) {
+  const fields = {};
+  const errors = [];
+
+  Object.entries(values).forEach(([column, value]) => {
+    if (column === 'category') {
+      const category = categoriesBySlug.get(String(value).toLowerCase());
+      if (!category) errors.push({ field: column, message: `Unknown category "${value}"` });
+      else fields.category = category._id;
+    } else if (NUMBER_COLUMNS.has(column) || INTEGER_COLUMNS.has(column)) {
+      const number = Number(value);
+      if (!Number.isFinite(number) || (INTEGER_COLUMNS.has(column) && !Number.isInteger(number))) {
+        errors.push({ field: column, message: `${column} must be ${INTEGER_COLUMNS.has(column) ? 'a whole number' : 'a number'}` });
+      } else {
+        fields[column] = number;
+      }
+    } else if (BOOLEAN_COLUMNS.has(column)) {
+      const bool = parseBoolean(value);
+      if (bool === undefined) errors.push({ field: column, message: `${column} must be true or false` });
+      else fields[column] = bool;
+    } else if (DATE_COLUMNS.has(column)) {
+      const date = value instanceof Date ? value : new Date(String(value));
+      if (Number.isNaN(date.getTime())) errors.push({ field: column, message: `${column} must be a date` });
+      else fields[column] = date;
+    } else if (column === 'tags') {
+      fields.tags = String(value).split(',').map((t) => t.trim()).filter(Boolean);
+    } else {
+      fields[column] = String(value);
+    }
+  });
+
+  return { fields, errors };
+}
+
+function saveErrors(err) {
+  if (err?.name === 'ValidationError') {
+    return Object.values(err.errors).map((e) => ({ field: e.path, message: e.message }));
+  }
+  if (err?.code === 11000) {
+    const field = Object.keys(err.keyValue || {})[0];
+    return [{ field, message: `Another product already uses this ${field || 'value'}` }];
+  }
+  throw err;
+}
+
+/**
+ * Validate one row against the Product schema and, unless dry-running, upsert it by sku.
+ * Existing products only get the row's columns written, and a new countInStock only lands
+ * if no order reserved stock since the product was read, so reservations are never undone.
+ * @returns {Promise<{action: 'created'|'updated'|'failed', errors: Object[]}>}
+ */
+async function importRow(values, { categoriesBySlug, dryRun }) {
+  const sku = values.sku != null ? String(values.sku).trim() : '';
+  if (!sku) return { action: 'failed', errors: [{ field: 'sku', message: 'sku is required' }] };
+
+  const { fields, errors } = rowToFields(values, categoriesBySlug);
+  if (errors.length) return { action: 'failed', errors };
+
+  const existing = await Product.findOne({ sku });
+  // Stock of products with variants is the variant total, which the sheet cannot change
+  if (existing?.variants?.length) delete fields.countInStock;
+  const stockRead = existing?.countInStock;
+  const product = existing || new Product({ images: [] });
+  product.set(fields);
+  try {
+    await product.validate();
+    if (dryRun) return { action: existing ? 'updated' : 'created', errors: [] };
+    if (!existing) {
+      await product.save({ validateBeforeSave: false });
+      return { action: 'created', errors: [] };
+    }
+
+    const update = Object.fromEntries(Object.keys(fields).map((path) => [path, product.get(path)]));
+    const filter = { _id: existing._id };
+    if ('countInStock' in update) filter.countInStock = stockRead;
+    const { matchedCount } = await Product.updateOne(filter, { $set: update });
+    if (!matchedCount) {
+      return { action: 'failed', errors: [{ field: 'countInStock', message: 'Stock changed while importing, upload the row again' }] };
+    }
+  } catch (err) {
+    return { action: 'failed', errors: saveErrors(err) };
+  }
+  return { action: 'updated', errors: [] };
+}
+
+/**
+ * Run a queued import job over its uploaded file, recording totals and row errors on the job
+ * @param {string} jobId - ImportJob id
+ * @param {Buffer} buffer - Uploaded file
+ */
+async function runProductImport(jobId, buffer) {
+  const job = await ImportJob.findById(jobId);
+  if (!job) return null;
+  job.status = 'running';
+  job.startedAt = new Date();
+  await job.save();
+
+  const addError = (error) => {
+    if (job.rowErrors.length < MAX_ROW_ERRORS) job.rowErrors.push(error);
+  };
+
+  try {
+    const rows = await readSpreadsheet(buffer, job.format);
+    const categories = await Category.find().select('slug').lean();
+    const categoriesBySlug = new Map(categories.map((c) => [c.slug.toLowerCase(), c]));
+    const seenSkus = new Set();
+    job.totals.rows = rows.length;
+
+    for (const { row, values } of rows) {
+      const sku = values.sku != null ? String(values.sku).trim() : undefined;
+      let result;
+      if (sku && seenSkus.has(sku)) {
+        result = { action: 'failed', errors: [{ field: 'sku', message: 'sku appears on an earlier row' }] };
+      } else {
+        result = await importRow(values, { categoriesBySlug, dryRun: job.dryRun });
+      }
+      if (sku) seenSkus.add(sku);
+      job.totals[result.action] += 1;
+      result.errors.forEach((e) => addError({ row, sku, ...e }));
+    }
+    job.status = 'completed';
+  } catch (err) {
+    job.status = 'failed';
+    job.error = err.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+  if (!job.dryRun && (job.totals.created || job.totals.updated)) invalidateSuggestIndex();
+  return job;
+}
+
+function exportCell(product, column) {
+  const value = column === 'category' ? product.category?.slug : product[column];
+  if (value == null) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (value instanceof Date) return value.toISOString();
+  if (STRING_COLUMNS.has(column) && FORMULA_PREFIX.test(String(value))) return `'${value}`;
+  return value;
+}
+
+function csvLine(cells) {
+  return cells.map((cell) => {
+    const text = String(cell);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+/**
+ * Stream the catalog (deleted products left out) to a writable response in the import layout.
+ * Stops, closing the database cursor, when the response goes away before the end.
+ * @param {import('stream').Writable} out - Typically the Express response
+ * @param {'csv'|'xlsx'} format
+ */
+async function writeProductExport(out, format) {
+  const cursor = Product.find({ isDeleted: { $ne: true } })
+    .select(COLUMNS.join(' '))
+    .populate('category', 'slug')
+    .sort({ sku: 1, _id: 1 })
+    .lean()
+    .cursor();
+
+  try {
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: false, useSharedStrings: false });
+      const worksheet = workbook.addWorksheet('Products');
+      worksheet.addRow(COLUMNS).commit();
+      for await (const product of cursor) {
+        if (out.destroyed) return;
+        worksheet.addRow(COLUMNS.map((c) => exportCell(product, c))).commit();
+      }
+      worksheet.commit();
+      await workbook.commit();
+      return;
+    }
+
+    async function* csvLines() {
+      yield csvLine(COLUMNS);
+      for await (const product of cursor) {
+        yield csvLine(COLUMNS.map((c) => exportCell(product, c)));
+      }
+    }
+    // pipeline honours backpressure and rejects instead of waiting forever on a closed response
+    await pipeline(Readable.from(csvLines()), out);
+  } finally {
+    await cursor.close();
+  }
+}
+
+module.exports = {
+  COLUMNS,
+  FORMATS,
+  readSpreadsheet,
+  runProductImport,
+  writeProductExport,
+};
@@ -0,0 +1,159 @@
+/**
+ * Review request emails
+ * Delivered orders are stamped with a due date; a background sweep then emails the customer
+ * one-click rating links for each product they have not reviewed yet. The links carry signed
+ * tokens, so the review can be written without signing in.
+ */
+
+const jwt = require('jsonwebtoken');
+const Order = require('../models/order.model');
+const Product = require('../models/product.model');
+const Review = require('../models/review.model');
+const User = require('../models/user.model');
+const { sendEmail, reviewRequestTemplate } = require('./email.utils');
+const { env } = require('../config/env');
+
+// Keeps these tokens from being accepted as session, order or download tokens and vice versa
+const REVIEW_REQUEST_AUDIENCE = 'review-request';
+const OPT_OUT_AUDIENCE = 'review-request-opt-out';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A sweep that has not finished an order in this time is assumed dead (crash, restart)
+const SENDING_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Stamp a newly delivered order with its review request due date (once per order; guest orders
+ * have no account to review with). The caller saves the order.
+ * @returns {boolean} Whether a request was scheduled
+ */
+function scheduleReviewRequest(order, now = new Date()) {
+  if (!order.user || order.reviewRequest) return false;
+  order.reviewRequest = {
+    status: 'scheduled',
+    dueAt: new Date(now.getTime() + env.REVIEW_REQUEST_DELAY_DAYS * DAY_MS),
+  };
+  return true;
+}
+
+function signReviewRequestToken({ userId, productId, orderId }) {
+  return jwt.sign({ uid: userId.toString(), pid: productId.toString(), oid: orderId.toString() }, env.JWT_SECRET, {
+    expiresIn: env.REVIEW_REQUEST_TOKEN_EXPIRES_IN,
+    audience: REVIEW_REQUEST_AUDIENCE,
+    algorithm: 'HS256',
+  });
+}
+
+/**
+ * @returns {{userId: string, productId: string, orderId: string} | null} Null when invalid or expired
+ */
+function verifyReviewRequestToken(token) {
+  try {
+    const payload = jwt.verify(token, env.JWT_SECRET, { algorithms: ['HS256'], audience: REVIEW_REQUEST_AUDIENCE });
+    return { userId: payload.uid, productId: payload.pid, orderId: payload.oid };
+  } catch {
+    return null;
+  }
+}
+
+// Opt-out links do not expire: an old email must still be able to stop the next one
+function signOptOutToken(userId) {
+  return jwt.sign({ uid: userId.toString() }, env.JWT_SECRET, { audience: OPT_OUT_AUDIENCE, algorithm: 'HS256' });
+}
+
+/**
+ * @returns {string | null} The user id, or null when invalid
+ */
+function verifyOptOutToken(token) {
+  try {
+    return jwt.verify(token, env.JWT_SECRET, { algorithms: ['HS256'], audience: OPT_OUT_AUDIENCE }).uid;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Email the review request for one claimed order
+ * @returns {Promise<{status: 'sent'|'skipped', skippedReason?: string}>}
+ */
+async function deliverReviewRequest(order) {
+  const user = await User.findById(order.user).select('name email isActive reviewRequestOptOut').lean();
+  if (!user || user.isActive === false || user.reviewRequestOptOut) return { status: 'skipped', skippedReason: 'opted_out' };
+
+  const productIds = [...new Set(order.orderItems.map((i) => i.product.toString()))];
+  const [reviewed, products] = await Promise.all([
+    Review.distinct('product', { user: user._id, product: { $in: productIds } }),
+    Product.find({ _id: { $in: productIds }, isDeleted: { $ne: true } }).select('name').lean(),
+  ]);
+  const reviewedIds = new Set(reviewed.map(String));
+  const toReview = products.filter((p) => !reviewedIds.has(p._id.toString()));
+  if (!toReview.length) return { status: 'skipped', skippedReason: 'already_reviewed' };
+
+  const base = `${env.CLIENT_ORIGIN}/reviews/write`;
+  const items = toReview.map((p) => {
+    const token = signReviewRequestToken({ userId: user._id, productId: p._id, orderId: order._id });
+    return { name: p.name, ratingLinks: [1, 2, 3, 4, 5].map((n) => `${base}?token=${token}&rating=${n}`) };
+  });
+  const optOutLink = `${env.CLIENT_ORIGIN}/review-requests/opt-out?token=${signOptOutToken(user._id)}`;
+
+  await sendEmail(user.email, 'How was your order?', reviewRequestTemplate(user.name, items, optOutLink));
+  return { status: 'sent' };
+}
+
+/**
+ * Send the review requests that are due. Each order is claimed before sending, so overlapping
+ * sweeps or server instances never email a customer twice. Claims older than SENDING_TIMEOUT_MS
+ * are taken over, so a sweep that died mid-send does not leave the order stuck in 'sending'.
+ * @returns {Promise<{sent: number, skipped: number, failed: number}>}
+ */
+async function sendDueReviewRequests({ now = new Date(), limit = 100 } = {}) {
+  const result = { sent: 0, skipped: 0, failed: 0 };
+  const claimable = {
+    $or: [
+      { 'reviewRequest.status': 'scheduled', 'reviewRequest.dueAt': { $lte: now } },
+      {
+        'reviewRequest.status': 'sending',
+        $or: [
+          { 'reviewRequest.claimedAt': null },
+          { 'reviewRequest.claimedAt': { $lte: new Date(now.getTime() - SENDING_TIMEOUT_MS) } },
+        ],
+      },
+    ],
+  };
+  const due = await Order.find(claimable)
+    .sort({ 'reviewRequest.dueAt': 1 })
+    .limit(limit)
+    .select('_id')
+    .lean();
+
+  for (const { _id } of due) {
+    const order = await Order.findOneAndUpdate(
+      { _id, ...claimable },
+      { $set: { 'reviewRequest.status': 'sending', 'reviewRequest.claimedAt': new Date() } },
+      { new: true }
+    ).select('user orderItems reviewRequest').lean();
+    if (!order) continue;
+
+    let update;
+    try {
+      const outcome = await deliverReviewRequest(order);
+      update = outcome.status === 'sent'
+        ? { 'reviewRequest.status': 'sent', 'reviewRequest.sentAt': new Date() }
+        : { 'reviewRequest.status': 'skipped', 'reviewRequest.skippedReason': outcome.skippedReason };
+      result[outcome.status]++;
+    } catch (err) {
+      console.error(`[review-requests] order ${_id} failed:`, err.message);
+      update = { 'reviewRequest.status': 'failed' };
+      result.failed++;
+    }
+    await Order.updateOne({ _id }, { $set: update });
+  }
+  return result;
+}
+
+module.exports = {
+  scheduleReviewRequest,
+  signReviewRequestToken,
+  verifyReviewRequestToken,
+  signOptOutToken,
+  verifyOptOutToken,
+  sendDueReviewRequests,
+};
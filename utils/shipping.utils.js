@@ -110,15 +110,18 @@ function calculateShipping({ countryCode, orderTotal, method = 'standard', itemC
 
 /**
  * Get available shipping methods for a country
+ * @param {string} countryCode - ISO country code
+ * @param {number} orderTotal - Order subtotal
+ * @param {number} itemCount - Number of items (large-order surcharge)
  */
-function getShippingMethods(countryCode, orderTotal) {
+function getShippingMethods(countryCode, orderTotal, itemCount = 1) {
   const region = getShippingRegion(countryCode);
   const rates = SHIPPING_RATES[region] || SHIPPING_RATES.DEFAULT;
   
   const methods = [];
   
   // Standard shipping
-  const standardCost = calculateShipping({ countryCode, orderTotal, method: 'standard' });
+  const standardCost = calculateShipping({ countryCode, orderTotal, method: 'standard', itemCount });
   methods.push({
     id: 'standard',
     name: 'Standard Shipping',
@@ -127,7 +130,7 @@ function getShippingMethods(countryCode, orderTotal) {
   
   // Express shipping
   if (rates.express) {
-    const expressCost = calculateShipping({ countryCode, orderTotal, method: 'express' });
+    const expressCost = calculateShipping({ countryCode, orderTotal, method: 'express', itemCount });
     methods.push({
       id: 'express',
       name: 'Express Shipping',
@@ -0,0 +1,197 @@
+/**
+ * Search autocomplete
+ * An in-process index of product names, category names and tags, matched by prefix with
+ * a small edit distance so partial and misspelled input still finds something. The index
+ * is built on first use and rebuilt after admin catalog changes (see suggest.middleware).
+ */
+
+const Product = require('../models/product.model');
+const Category = require('../models/category.model');
+const { errorLogger } = require('../logging/logger');
+
+// Safety net for changes made outside the admin API or by other instances
+const MAX_INDEX_AGE_MS = 10 * 60 * 1000;
+const LIMITS = { products: 6, categories: 3, tags: 5 };
+
+let index = null;
+let building = null;
+let stale = false;
+
+/**
+ * Lowercase, accent-free words of a text ("Crème brûlée" -> ['creme', 'brulee'])
+ */
+function tokenize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// Typos allowed for a query word of this length
+function allowedEdits(length) {
+  if (length < 4) return 0;
+  return length < 8 ? 1 : 2;
+}
+
+/**
+ * Levenshtein distance between a and b, or max + 1 once it is known to exceed max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Edits needed for a query word to match a word, as a whole word or as its prefix
+ */
+function wordDistance(queryWord, word, max) {
+  if (word.startsWith(queryWord)) return 0;
+  if (max === 0) return 1;
+  let best = editDistance(queryWord, word, max);
+  // Prefixes one shorter or longer than the query word cover dropped and doubled letters
+  for (let len = queryWord.length - 1; len <= queryWord.length + 1 && best > 0; len++) {
+    if (len > 0 && len < word.length) best = Math.min(best, editDistance(queryWord, word.slice(0, len), max));
+  }
+  return best;
+}
+
+/**
+ * Total edits for every query word to match a word of the entry, or -1 when one does not
+ */
+function matchEntry(queryWords, entry) {
+  let total = 0;
+  for (const q of queryWords) {
+    const max = allowedEdits(q.length);
+    let best = max + 1;
+    for (const w of entry.words) {
+      best = Math.min(best, wordDistance(q, w, max));
+      if (best === 0) break;
+    }
+    if (best > max) return -1;
+    total += best;
+  }
+  return total;
+}
+
+async function buildIndex() {
+  const [products, categories] = await Promise.all([
+    Product.find({ enabled: true, isDeleted: { $ne: true } }).select('name slug tags ratingCount').lean(),
+    Category.find({ isEnabled: true }).select('name slug').lean(),
+  ]);
+
+  // Tags differing only in case are one suggestion, spelled as first seen
+  const tagCounts = new Map();
+  products.forEach((p) => (p.tags || []).forEach((t) => {
+    const tag = String(t).trim();
+    if (!tag) return;
+    const key = tag.toLowerCase();
+    const seen = tagCounts.get(key);
+    tagCounts.set(key, { tag: seen?.tag || tag, count: (seen?.count || 0) + 1 });
+  }));
+
+  return {
+    builtAt: Date.now(),
+    products: products.map((p) => ({
+      value: { _id: p._id, name: p.name, slug: p.slug },
+      label: p.name,
+      words: tokenize(p.name),
+      weight: p.ratingCount || 0,
+    })),
+    categories: categories.map((c) => ({
+      value: { _id: c._id, name: c.name, slug: c.slug },
+      label: c.name,
+      words: tokenize(c.name),
+      weight: 0,
+    })),
+    tags: [...tagCounts.values()].map(({ tag, count }) => ({
+      value: { tag, count },
+      label: tag,
+      words: tokenize(tag),
+      weight: count,
+    })),
+  };
+}
+
+// One build at a time; changes made while building trigger another pass
+function rebuild() {
+  if (!building) {
+    building = (async () => {
+      do {
+        stale = false;
+        index = await buildIndex();
+      } while (stale);
+      return index;
+    })().finally(() => { building = null; });
+  }
+  return building;
+}
+
+/**
+ * Marks the index out of date and starts rebuilding it. Suggestions wait for the rebuild
+ * so admins see their changes straight away.
+ */
+function invalidateSuggestIndex() {
+  stale = true;
+  if (!index) return;
+  rebuild().catch((err) => errorLogger.error({ message: 'Suggest index rebuild failed', error: err.message, stack: err.stack }));
+}
+
+async function getIndex() {
+  if (!index || stale || building) return rebuild();
+  if (Date.now() - index.builtAt > MAX_INDEX_AGE_MS) {
+    // Refresh in the background and answer from the current index meanwhile
+    rebuild().catch((err) => errorLogger.error({ message: 'Suggest index rebuild failed', error: err.message, stack: err.stack }));
+  }
+  return index;
+}
+
+function topMatches(entries, queryWords, limit) {
+  const matches = [];
+  for (const entry of entries) {
+    const distance = matchEntry(queryWords, entry);
+    if (distance >= 0) matches.push({ entry, distance });
+  }
+  return matches
+    .sort((a, b) => a.distance - b.distance
+      || b.entry.weight - a.entry.weight
+      || a.entry.label.length - b.entry.label.length
+      || a.entry.label.localeCompare(b.entry.label))
+    .slice(0, limit)
+    .map((m) => m.entry.value);
+}
+
+/**
+ * Product names, categories and tags matching partially typed input
+ * @param {string} q - Input as typed
+ * @returns {Promise<{products: Object[], categories: Object[], tags: Object[]}>}
+ */
+async function suggest(q) {
+  const queryWords = tokenize(q).slice(0, 5);
+  if (!queryWords.length) return { products: [], categories: [], tags: [] };
+  const idx = await getIndex();
+  return {
+    products: topMatches(idx.products, queryWords, LIMITS.products),
+    categories: topMatches(idx.categories, queryWords, LIMITS.categories),
+    tags: topMatches(idx.tags, queryWords, LIMITS.tags),
+  };
+}
+
+module.exports = {
+  tokenize,
+  editDistance,
+  suggest,
+  invalidateSuggestIndex,
+};